@@ -15,9 +15,12 @@ import BookMovie from './pages/BookMovie';
 import BookingHistory from './pages/BookingHistory';
 import MyBookings from './pages/MyBookings';
 import BookingSummary from './pages/BookingSummary';
+import WaitlistClaim from './pages/WaitlistClaim';
+import Wallet from './pages/Wallet';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import AddMovie from './pages/admin/AddMovie'; 
 import EditMovie from './pages/admin/EditMovie'; 
+import CheckIn from './pages/staff/CheckIn';
 import EditProfile from './pages/EditProfile';
 import ForgotPassword from './pages/ForgotPassword';
 
@@ -33,6 +36,7 @@ function App() {
   const { isAuthenticated, user } = useContext(AuthContext);
 
   const isAdmin = useMemo(() => user?.role === 'admin', [user]);
+  const isStaff = useMemo(() => ['staff', 'admin', 'superadmin'].includes(user?.role), [user]);
 
   const Protected = ({ children }) => (
     <ProtectedRoute isAuthenticated={isAuthenticated}>{children}</ProtectedRoute>
@@ -68,6 +72,8 @@ function App() {
           <Route path="/bookings" element={<Protected><BookingHistory /></Protected>} />
           <Route path="/my-bookings" element={<Protected><MyBookings /></Protected>} />
           <Route path="/my-bookings/:id" element={<Protected><BookingSummary /></Protected>} />
+          <Route path="/waitlist/claim/:token" element={<Protected><WaitlistClaim /></Protected>} />
+          <Route path="/wallet" element={<Protected><Wallet /></Protected>} />
 
           {/* 🛡️ Admin Routes */}
           <Route
@@ -88,6 +94,16 @@ function App() {
           />
           <Route path="/admin/edit-movie/:movieId" element={<EditMovie />} />
 
+          {/* 🚪 Staff Routes */}
+          <Route
+            path="/staff/checkin"
+            element={
+              <AdminRoute isAuthenticated={isAuthenticated} isAdmin={isStaff}>
+                <CheckIn />
+              </AdminRoute>
+            }
+          />
+
           {/* 🚫 Fallback */}
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import handlePayment from './PaymentCheckout';
+import { requestBookingChange, confirmBookingChange, releaseSeatHold } from '../services/api';
+
+const formatRupees = (paise) => `₹${(Math.abs(paise) / 100).toFixed(2)}`;
+
+// 🔀 Move a booking to other seats or another show of the same movie
+function ChangeBookingPanel({ booking, onChanged }) {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [showKey, setShowKey] = useState(`${booking.theater?.name}|${new Date(booking.showtimeDate).toISOString()}`);
+  const [seatInput, setSeatInput] = useState(booking.seats.join(', '));
+  const [change, setChange] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const now = Date.now();
+  const shows = (booking.movie?.embeddedTheaters || []).flatMap(theater =>
+    (theater.showtimes || [])
+      .filter(st => new Date(st.startTime).getTime() > now)
+      .map(st => ({
+        key: `${theater.name}|${new Date(st.startTime).toISOString()}`,
+        theater: { name: theater.name, location: theater.location },
+        showtimeDate: new Date(st.startTime).toISOString(),
+        label: `${theater.name} — ${new Date(st.startTime).toLocaleString('en-IN')}`
+      }))
+  );
+
+  const discard = () => {
+    if (change) releaseSeatHold(change.holdId).catch(() => {});
+    setChange(null);
+  };
+
+  const checkPrice = async () => {
+    const show = shows.find(s => s.key === showKey);
+    const seats = seatInput.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (!show || seats.length === 0) {
+      toast.error('Pick a show and at least one seat.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { data } = await requestBookingChange(booking._id, {
+        theater: show.theater,
+        showtimeDate: show.showtimeDate,
+        seats
+      });
+      setChange(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not hold those seats.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirm = async () => {
+    if (!change) return;
+
+    if (change.requiresPayment) {
+      await handlePayment(
+        {
+          amount: change.difference,
+          movieId: booking.movie?._id || booking.movie,
+          holdId: change.holdId,
+          seats: change.seats,
+          theater: change.theater,
+          showtimeDate: change.showtimeDate
+        },
+        setLoading,
+        navigate,
+        () => {
+          setChange(null);
+          setOpen(false);
+          onChanged?.();
+        },
+        discard
+      );
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const { data } = await confirmBookingChange(booking._id, change.holdId);
+      toast.success(
+        data.difference < 0 ? `✅ Booking changed. ${formatRupees(data.difference)} will be refunded.` : '✅ Booking changed.'
+      );
+      setChange(null);
+      setOpen(false);
+      onChanged?.(data.booking);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not change the booking.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="mt-4 ml-2 px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-800 transition"
+      >
+        🔀 Change Seats / Show
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-4 p-4 border rounded space-y-3 text-gray-700">
+      <h3 className="font-semibold">Change your booking</h3>
+
+      <label className="block">
+        <span className="text-sm">Show</span>
+        <select
+          value={showKey}
+          onChange={e => { discard(); setShowKey(e.target.value); }}
+          className="mt-1 w-full border rounded p-2"
+        >
+          {shows.map(show => (
+            <option key={show.key} value={show.key}>{show.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="block">
+        <span className="text-sm">Seats (comma separated)</span>
+        <input
+          value={seatInput}
+          onChange={e => { discard(); setSeatInput(e.target.value); }}
+          className="mt-1 w-full border rounded p-2"
+        />
+      </label>
+
+      {change && (
+        <p className="text-sm">
+          New price {formatRupees(change.quote.total)} —{' '}
+          {change.difference > 0
+            ? `pay ${formatRupees(change.difference)} more`
+            : change.difference < 0
+              ? `${formatRupees(change.difference)} back to you`
+              : 'no difference'}
+          . Seats held until {new Date(change.expiresAt).toLocaleTimeString('en-IN')}.
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        {change ? (
+          <button
+            onClick={confirm}
+            disabled={loading}
+            className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {change.requiresPayment ? 'Pay & Confirm' : 'Confirm Change'}
+          </button>
+        ) : (
+          <button
+            onClick={checkPrice}
+            disabled={loading}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            {loading ? 'Checking...' : 'Check Price'}
+          </button>
+        )}
+        <button
+          onClick={() => { discard(); setOpen(false); }}
+          className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ChangeBookingPanel;
@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { getLoyalty } from '../services/api';
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(0)}`;
+
+const TIER_STYLES = {
+  Member: 'bg-gray-200 text-gray-800',
+  Silver: 'bg-slate-300 text-slate-900',
+  Gold: 'bg-yellow-300 text-yellow-900',
+  Platinum: 'bg-indigo-200 text-indigo-900'
+};
+
+// ⭐ Perks of a tier, in words (early access only while pre-sale windows are on)
+const describePerks = (tier, earlyAccess) => {
+  const perks = [];
+  if (tier.convenienceFeeDiscount >= 100) perks.push('No convenience fee');
+  else if (tier.convenienceFeeDiscount > 0) perks.push(`${tier.convenienceFeeDiscount}% off the convenience fee`);
+  if (earlyAccess && tier.earlyAccessDays > 0) perks.push(`Book upcoming movies ${tier.earlyAccessDays} day(s) early`);
+  return perks.length ? perks.join(' · ') : 'Earn points on every booking';
+};
+
+// ⭐ Loyalty points, tier progress and perks (amounts in paise)
+function LoyaltySection() {
+  const [loyalty, setLoyalty] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getLoyalty()
+      .then(res => setLoyalty(res.data))
+      .catch(err => {
+        console.error('Loyalty fetch error:', err.response?.data || err.message);
+        setError('Failed to load your loyalty status.');
+      });
+  }, []);
+
+  if (error) return <p className="mt-8 text-red-500">{error}</p>;
+  if (!loyalty) return <p className="mt-8 text-gray-500">Loading loyalty status...</p>;
+
+  const { tier, nextTier } = loyalty;
+  const progress = nextTier
+    ? Math.min(100, Math.round(((loyalty.yearlySpend - tier.minSpend) / (nextTier.minSpend - tier.minSpend)) * 100))
+    : 100;
+
+  return (
+    <section className="mt-8 p-4 border rounded">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-xl font-bold text-indigo-700">ShowSnap Rewards</h3>
+        <span className={`px-3 py-1 rounded-full text-sm font-semibold ${TIER_STYLES[tier.name] || TIER_STYLES.Member}`}>
+          {tier.name}
+        </span>
+      </div>
+
+      <p className="text-2xl font-semibold">{loyalty.points} points</p>
+      <p className="text-sm text-gray-600">{describePerks(tier, loyalty.earlyAccess)}</p>
+
+      <div className="mt-3">
+        <p className="text-sm">Spent in the last 12 months: {formatRupees(loyalty.yearlySpend)}</p>
+        {nextTier ? (
+          <>
+            <div className="w-full bg-gray-200 rounded h-2 mt-1">
+              <div className="bg-indigo-600 h-2 rounded" style={{ width: `${progress}%` }} />
+            </div>
+            <p className="text-xs text-gray-600 mt-1">
+              Spend {formatRupees(loyalty.spendToNextTier)} more to reach {nextTier.name}: {describePerks(nextTier, loyalty.earlyAccess)}
+            </p>
+          </>
+        ) : (
+          <p className="text-xs text-gray-600 mt-1">You have reached our top tier.</p>
+        )}
+      </div>
+
+      {loyalty.history?.length > 0 && (
+        <ul className="mt-4 text-sm divide-y">
+          {loyalty.history.map(entry => (
+            <li key={entry._id} className="flex justify-between py-1">
+              <span>
+                {entry.type === 'earn' ? 'Earned' : 'Reversed'} — {entry.reason}
+                {entry.booking?.seats?.length ? ` (${entry.booking.seats.join(', ')})` : ''}
+              </span>
+              <span className={entry.type === 'earn' ? 'text-green-600' : 'text-red-500'}>
+                {entry.type === 'earn' ? '+' : '−'}{entry.points}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default LoyaltySection;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { completeMockPayment } from '../services/api';
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+// 🧪 Stand-in for the gateway's checkout while the backend runs the mock payment provider (dev builds only)
+function MockCheckout({ order, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const pay = async (outcome) => {
+    setBusy(true);
+    setError('');
+    try {
+      const { data } = await completeMockPayment(order.orderId, outcome);
+      onClose({ paymentId: data.mock_payment_id, fields: data });
+    } catch (err) {
+      // A declined payment keeps the checkout open so another attempt can be made, as real gateways do
+      setError(err.response?.data?.error || 'Mock payment failed.');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="w-full max-w-md rounded-lg bg-white p-6 text-gray-900 shadow-xl space-y-4">
+        <div>
+          <h2 className="text-lg font-bold">ShowSnap — Mock Checkout</h2>
+          <p className="text-sm text-gray-600">No money moves. Pick how this payment should end.</p>
+        </div>
+
+        <div className="rounded border p-3 text-sm">
+          <p>Order: <span className="font-mono">{order.orderId}</span></p>
+          <p>Amount: <span className="font-semibold">{formatRupees(order.amount)}</span></p>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          <button
+            onClick={() => onClose(null)}
+            disabled={busy}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => pay('failure')}
+            disabled={busy}
+            className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-gray-400"
+          >
+            Simulate Failure
+          </button>
+          <button
+            onClick={() => pay('success')}
+            disabled={busy}
+            className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400"
+          >
+            {busy ? 'Processing...' : 'Simulate Success'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MockCheckout;
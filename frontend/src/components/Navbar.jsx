@@ -35,14 +35,17 @@ function Navbar() {
   };
 
   const isAdmin = user?.role === 'admin';
+  const isStaff = ['staff', 'admin', 'superadmin'].includes(user?.role);
   const firstName = user?.name?.split(' ')[0] || 'User';
 
   const menuItems = [
     { name: 'Browse Movies', path: '/movies' },
     ...(user ? [
       { name: 'My Bookings', path: '/my-bookings' },
+      { name: 'Credits', path: '/wallet' },
       { name: 'Edit Profile', path: '/profile/edit' }
     ] : []),
+    ...(isStaff ? [{ name: 'Check-in', path: '/staff/checkin' }] : []),
     ...(isAdmin ? [{ name: 'Admin Dashboard', path: '/admin' }] : [])
   ];
 
@@ -0,0 +1,263 @@
+import toast from 'react-hot-toast';
+import { loadStripe } from '@stripe/stripe-js';
+
+const API_URL = process.env.REACT_APP_API_URL || 'hhttps://showsnap-backend-ioiz.onrender.com';
+const RAZORPAY_KEY = process.env.REACT_APP_RAZORPAY_KEY || 'rzp_test_RIn3HX6YPDL3Nf';
+const STRIPE_KEY = process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY;
+
+// 🔧 Unified fetch helper with token + error handling
+const apiFetch = async (endpoint, options = {}) => {
+  const token = localStorage.getItem('token');
+
+  const res = await fetch(`${API_URL}${endpoint}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${token}`,
+      ...options.headers,
+    },
+    ...options,
+  });
+
+  let data = {};
+  try {
+    data = await res.json();
+  } catch {
+    toast.error('Server returned invalid response.');
+  }
+
+  if (!res.ok) {
+    throw new Error(data.error || `API error: ${res.status}`);
+  }
+
+  return data;
+};
+
+// 💳 Razorpay checkout — resolves with what /verify needs, or null when the user closes it
+const openRazorpayCheckout = (order, user) =>
+  new Promise((resolve, reject) => {
+    if (!window.Razorpay) {
+      reject(new Error('Razorpay SDK not loaded. Please refresh.'));
+      return;
+    }
+
+    const options = {
+      key: order.checkout?.keyId || RAZORPAY_KEY,
+      amount: order.amount,
+      currency: order.currency || 'INR',
+      name: 'ShowSnap',
+      description: 'Movie Ticket Booking',
+      order_id: order.orderId,
+      handler: (response) => {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = response;
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+          reject(new Error('Incomplete payment response.'));
+          return;
+        }
+        resolve({ paymentId: razorpay_payment_id, fields: { razorpay_order_id, razorpay_payment_id, razorpay_signature } });
+      },
+      modal: {
+        ondismiss: () => resolve(null)
+      },
+      prefill: {
+        name: user.name || 'Guest',
+        email: user.email || 'guest@example.com',
+        contact: /^\d{10}$/.test(user.contact) ? user.contact : '9999999999',
+      },
+      theme: { color: '#F37254' },
+    };
+
+    new window.Razorpay(options).open();
+  });
+
+// 💳 Stripe checkout — card form in an overlay, since Stripe has no hosted modal for PaymentIntents
+const openStripeCheckout = async (order) => {
+  const stripe = await loadStripe(order.checkout?.publishableKey || STRIPE_KEY);
+  if (!stripe) throw new Error('Stripe could not be loaded. Please refresh.');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4';
+  overlay.innerHTML = `
+    <div class="w-full max-w-md rounded-lg bg-white p-6 text-gray-900 shadow-xl">
+      <h2 class="mb-1 text-lg font-bold">ShowSnap</h2>
+      <p class="mb-4 text-sm text-gray-600">Pay ${(order.currency || 'INR')} ${(order.amount / 100).toFixed(2)}</p>
+      <div data-stripe-element></div>
+      <p data-stripe-error class="mt-3 text-sm text-red-600"></p>
+      <div class="mt-4 flex justify-end gap-2">
+        <button type="button" data-stripe-cancel class="rounded px-4 py-2 text-gray-700 hover:bg-gray-100">Cancel</button>
+        <button type="button" data-stripe-pay class="rounded bg-indigo-600 px-4 py-2 font-semibold text-white hover:bg-indigo-700 disabled:opacity-50">Pay</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const elements = stripe.elements({ clientSecret: order.checkout.clientSecret });
+  elements.create('payment').mount(overlay.querySelector('[data-stripe-element]'));
+
+  return new Promise((resolve) => {
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+    const payButton = overlay.querySelector('[data-stripe-pay]');
+
+    overlay.querySelector('[data-stripe-cancel]').onclick = () => close(null);
+    payButton.onclick = async () => {
+      payButton.disabled = true;
+      const { error, paymentIntent } = await stripe.confirmPayment({
+        elements,
+        // Methods that leave the page come back to My Bookings; the webhook completes the booking
+        confirmParams: { return_url: `${window.location.origin}/my-bookings` },
+        redirect: 'if_required',
+      });
+      if (error) {
+        overlay.querySelector('[data-stripe-error]').textContent = error.message;
+        payButton.disabled = false;
+        return;
+      }
+      close({ paymentId: paymentIntent.id, fields: { payment_intent: paymentIntent.id } });
+    };
+  });
+};
+
+// 🧪 Mock gateway checkout, used when the backend runs PAYMENT_PROVIDER=mock (dev builds only)
+const openMockCheckout = async (order) => {
+  const [{ createRoot }, { default: MockCheckout }] = await Promise.all([
+    import('react-dom/client'),
+    import('./MockCheckout'),
+  ]);
+
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const root = createRoot(container);
+
+  return new Promise((resolve) => {
+    const close = (result) => {
+      // Unmount after the click that closed the checkout has finished rendering
+      setTimeout(() => {
+        root.unmount();
+        container.remove();
+      });
+      resolve(result);
+    };
+    root.render(<MockCheckout order={order} onClose={close} />);
+  });
+};
+
+const checkouts = {
+  razorpay: openRazorpayCheckout,
+  stripe: openStripeCheckout,
+  ...(process.env.NODE_ENV !== 'production' && { mock: openMockCheckout }),
+};
+
+// 💳 Payment handler for whichever provider the backend picked (or credits/a coupon alone), with cancellation support
+const handlePayment = async (payload, setLoading, navigate, onSuccess, onCancel) => {
+  const token = localStorage.getItem('token');
+  const user = JSON.parse(localStorage.getItem('user'));
+
+  if (!token || !user) {
+    toast.error('User not authenticated. Please log in.');
+    return;
+  }
+
+  const isValidPayload =
+    payload &&
+    Number.isFinite(payload.amount) &&
+    payload.amount >= 0 &&
+    payload.movieId &&
+    payload.holdId &&
+    payload.seats?.length &&
+    payload.theater?.name &&
+    payload.theater?.location &&
+    payload.showtimeDate;
+
+  if (!isValidPayload) {
+    toast.error('Incomplete booking details. Please select showtime and seats.');
+    return;
+  }
+
+  const formattedDate = new Date(payload.showtimeDate).toISOString();
+
+  try {
+    setLoading?.(true);
+    console.log('🔍 Booking Payload:', payload);
+
+    const order = await apiFetch('/api/payments/create-order', {
+      method: 'POST',
+      body: JSON.stringify({
+        holdId: payload.holdId,
+        couponCode: payload.couponCode,
+        addOns: payload.addOns,
+        useWallet: Boolean(payload.useWallet),
+      }),
+    });
+
+    if (!order.orderId) {
+      toast.error('Failed to create payment order.');
+      return;
+    }
+
+    // 👛 ShowSnap credits or a coupon covered the whole amount: the booking already exists
+    if (order.provider === 'wallet' || order.provider === 'free') {
+      toast.success(
+        order.provider === 'wallet'
+          ? '🎉 Booking successful! Paid with ShowSnap credits.'
+          : '🎉 Booking successful! Nothing to pay with your coupon.'
+      );
+      navigate(`/my-bookings/${order.bookingId}`);
+      if (onSuccess) onSuccess({ orderId: order.orderId, paymentId: null });
+      return;
+    }
+
+    const provider = order.provider || 'razorpay';
+    const openCheckout = checkouts[provider];
+    if (!openCheckout) {
+      toast.error(`Unsupported payment provider: ${provider}`);
+      return;
+    }
+
+    const result = await openCheckout(order, user);
+    if (!result) {
+      console.log('❌ Payment cancelled by user');
+      toast.error('Payment was cancelled. Booking not completed.');
+      if (onCancel) onCancel();
+      return;
+    }
+
+    const verifyRes = await apiFetch('/api/payments/verify', {
+      method: 'POST',
+      body: JSON.stringify({
+        provider,
+        ...result.fields,
+        holdId: payload.holdId,
+        movieId: payload.movieId,
+        seats: payload.seats,
+        theater: {
+          name: payload.theater.name,
+          location: payload.theater.location,
+        },
+        showtimeDate: formattedDate,
+      }),
+    });
+
+    console.log('✅ Verification Response:', verifyRes);
+
+    if (!verifyRes.success) {
+      toast.error(verifyRes.error || 'Payment verification failed.');
+      return;
+    }
+
+    toast.success('🎉 Booking successful!');
+    if (verifyRes.bookingId) {
+      navigate(`/my-bookings/${verifyRes.bookingId}`);
+      if (onSuccess) onSuccess({ orderId: order.orderId, paymentId: result.paymentId });
+    } else {
+      toast.error('Booking ID missing in response.');
+    }
+  } catch (err) {
+    console.error('Payment error:', err);
+    toast.error(err.message || 'Unable to complete payment. Please try again.');
+  } finally {
+    setLoading?.(false);
+  }
+};
+
+export default handlePayment;
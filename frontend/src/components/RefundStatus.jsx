@@ -0,0 +1,42 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  processed: 'text-green-600',
+  pending: 'text-yellow-600',
+  failed: 'text-red-500'
+};
+
+const STATUS_LABELS = {
+  processed: 'Refunded',
+  pending: 'Refund in progress',
+  failed: 'Refund failed — contact support'
+};
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+// 💸 Refunds issued for a booking (amounts in paise)
+function RefundStatus({ booking }) {
+  const refunds = Array.isArray(booking?.refunds) ? booking.refunds : [];
+  if (refunds.length === 0) return null;
+
+  return (
+    <div className="mt-2">
+      <p>
+        <strong>Payment:</strong>{' '}
+        {booking.paymentStatus === 'refunded' ? 'Fully refunded' : booking.paymentStatus === 'partially_refunded'
+          ? `Partially refunded (${formatRupees(booking.refundedAmount || 0)} of ${formatRupees(booking.amount)})`
+          : 'Paid'}
+      </p>
+      <ul className="text-sm ml-4 list-disc">
+        {refunds.map((refund, i) => (
+          <li key={refund.refundId || i} className={STATUS_STYLES[refund.status] || 'text-gray-600'}>
+            {formatRupees(refund.amount)} — {STATUS_LABELS[refund.status] || refund.status}
+            {refund.destination === 'wallet' && ' as ShowSnap credits'}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RefundStatus;
@@ -1,6 +1,18 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import handleRazorpayPayment from '../components/RazorpayCheckout';
+import handlePayment from '../components/PaymentCheckout';
+import {
+  holdSeats,
+  releaseSeatHold,
+  fetchScreenLayout,
+  fetchTheaterMenu,
+  getPriceQuote,
+  validateCoupon,
+  getBookingConfirmation,
+  joinWaitlist,
+  getWallet,
+  fetchPublicMovie
+} from '../services/api';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 
@@ -19,11 +31,39 @@ function BookMovie() {
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(true);
   const [bookedSeats, setBookedSeats] = useState([]);
+  const [heldSeats, setHeldSeats] = useState([]);
+  const [seatHold, setSeatHold] = useState(null);
+  const [seatRefreshKey, setSeatRefreshKey] = useState(0);
+  const [layout, setLayout] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [coupon, setCoupon] = useState(null);
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [menu, setMenu] = useState([]);
+  const [addOnQuantities, setAddOnQuantities] = useState({});
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [useWallet, setUseWallet] = useState(false);
+
+  // 🏷️ Seat category lookup — rows no category claims fall into the first one
+  const getSeatCategory = (seatId) => {
+    if (!layout?.categories?.length) return null;
+    const row = seatId.match(/^([A-Z]+)\d+$/)?.[1];
+    return layout.categories.find(c => c.rows.includes(row)) || layout.categories[0];
+  };
+
+  // 💰 Prices always come from the server quote (amounts in paise)
+  const toRupees = (paise) => (paise / 100).toFixed(2).replace(/\.00$/, '');
+  const payableQuote = coupon?.quote || quote;
+  const totalPrice = payableQuote ? toRupees(payableQuote.total) : 0;
 
-  const rows = useMemo(() => ['A', 'B', 'C', 'D'], []);
-  const cols = useMemo(() => [1, 2, 3, 4, 5, 6], []);
-  const pricePerSeat = 250;
-  const totalPrice = selectedSeats.length * pricePerSeat;
+  // 👛 Credits pay first; like the server, leave the gateway nothing or at least ₹1 to charge
+  const payableTotal = payableQuote?.total || 0;
+  let creditsApplied = useWallet ? Math.min(walletBalance, payableTotal) : 0;
+  if (payableTotal - creditsApplied > 0 && payableTotal - creditsApplied < 100) {
+    creditsApplied = Math.max(0, payableTotal - 100);
+  }
+  const amountToPay = toRupees(payableTotal - creditsApplied);
 
   const selectedTheater = theaters?.[Number(selectedTheaterIndex)];
 
@@ -36,8 +76,25 @@ function BookMovie() {
     return stTime.toISOString() === selectedTime.toISOString();
   });
 
+  const theaterName = selectedTheater?.name;
+  const screenName = selectedShowtimeObj?.screen || 'Screen 1';
+  const seatNumbers = layout ? Array.from({ length: layout.seatsPerRow }, (_, i) => i + 1) : [];
+
+  // 🍿 F&B picked for this order, as sent to the server
+  const addOns = useMemo(
+    () => Object.entries(addOnQuantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity })),
+    [addOnQuantities]
+  );
+
   const blockedSeats = selectedShowtimeObj?.blockedSeats || [];
-  const allBookedSeats = [...new Set([...bookedSeats, ...blockedSeats])];
+  const allBookedSeats = [...new Set([...bookedSeats, ...blockedSeats, ...heldSeats])];
+  const freeSeatCount = layout
+    ? layout.rowLabels.length * layout.seatsPerRow - layout.unavailable.length -
+      allBookedSeats.filter(s => !layout.unavailable.includes(s)).length
+    : null;
+  const isSoldOut = freeSeatCount !== null && freeSeatCount < seatCount;
 
   //const seatMap = useMemo(() => {
     //return rows.flatMap(row =>
@@ -60,7 +117,7 @@ function BookMovie() {
       setError('');
 
       try {
-        const movieRes = await axios.get(`https://showsnap-backend-ioiz.onrender.com/api/movies/${id}`);
+        const movieRes = await fetchPublicMovie(id);
         const movieData = movieRes.data;
 
         const normalizedTheaters = Array.isArray(movieData.theaters) && typeof movieData.theaters[0] === 'object'
@@ -92,19 +149,130 @@ function BookMovie() {
           params: {
             movieId: movie._id,
             theater: selectedTheater.name,
-            showtime: selectedShowtimeObj.startTime
+            showtime: selectedShowtimeObj.startTime,
+            holdId: seatHold?.holdId
           }
         });
-        setBookedSeats(res.data);
+        setBookedSeats(res.data?.bookedSeats || []);
+        setHeldSeats(res.data?.heldSeats || []);
       } catch (err) {
         console.error('❌ Error fetching booked seats:', err.message);
       }
     };
 
     fetchBookedSeats();
-  }, [selectedShowtimeObj, selectedTheater, movie]);
+  }, [selectedShowtimeObj, selectedTheater, movie, seatHold, seatRefreshKey]);
+
+  // 💺 Load the seat map of the selected screen
+  useEffect(() => {
+    if (!theaterName || !selectedShowtime) {
+      setLayout(null);
+      return;
+    }
+
+    fetchScreenLayout(theaterName, screenName)
+      .then(res => setLayout(res.data?.layout || null))
+      .catch(err => {
+        console.error('❌ Error fetching seat layout:', err.response?.data?.error || err.message);
+        setLayout(null);
+      });
+  }, [theaterName, screenName, selectedShowtime]);
+
+  // 🍿 Load the theater's F&B menu
+  useEffect(() => {
+    setAddOnQuantities({});
+    if (!theaterName) {
+      setMenu([]);
+      return;
+    }
+
+    fetchTheaterMenu(theaterName)
+      .then(res => setMenu((res.data?.menu || []).filter(item => item.available)))
+      .catch(err => {
+        console.error('❌ Error fetching menu:', err.response?.data?.error || err.message);
+        setMenu([]);
+      });
+  }, [theaterName]);
 
-  const isUpcoming = movie?.releaseDate && new Date(movie.releaseDate) > new Date();
+  useEffect(() => {
+    getWallet({ limit: 1 })
+      .then(res => setWalletBalance(res.data?.balance || 0))
+      .catch(() => setWalletBalance(0));
+  }, []);
+
+  const changeAddOn = (itemId, delta) => {
+    setAddOnQuantities(prev => ({ ...prev, [itemId]: Math.min(10, Math.max(0, (prev[itemId] || 0) + delta)) }));
+  };
+
+  // 🧾 Re-quote whenever the selection changes
+  useEffect(() => {
+    setCoupon(null);
+    if (!movie?._id || !theaterName || !selectedShowtime || selectedSeats.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    getPriceQuote({
+      movieId: movie._id,
+      theater: { name: theaterName },
+      showtimeDate: new Date(selectedShowtime).toISOString(),
+      seats: selectedSeats,
+      addOns
+    })
+      .then(res => !cancelled && setQuote(res.data?.quote || null))
+      .catch(err => {
+        console.error('❌ Error fetching price quote:', err.response?.data?.error || err.message);
+        if (!cancelled) setQuote(null);
+      });
+
+    return () => { cancelled = true; };
+  }, [movie?._id, theaterName, selectedShowtime, selectedSeats, addOns]);
+
+  // 🏷️ Check a promo code against the current selection
+  const applyCoupon = async () => {
+    if (!couponInput.trim() || !quote) return;
+    setApplyingCoupon(true);
+    try {
+      const res = await validateCoupon({
+        code: couponInput.trim(),
+        movieId: movie._id,
+        theater: { name: theaterName },
+        showtimeDate: new Date(selectedShowtime).toISOString(),
+        seats: selectedSeats,
+        addOns
+      });
+      setCoupon(res.data);
+      toast.success(`🏷️ Coupon ${res.data.code} applied: −₹${toRupees(res.data.discount)}`);
+    } catch (err) {
+      setCoupon(null);
+      toast.error(err.response?.data?.error || 'Could not apply coupon.');
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  // ⏳ Queue for seats when the show cannot fit the party
+  const handleJoinWaitlist = async () => {
+    setJoiningWaitlist(true);
+    try {
+      const res = await joinWaitlist({
+        movieId: movie._id,
+        theater: { name: selectedTheater.name, location: selectedTheater.location },
+        showtimeDate: new Date(selectedShowtime).toISOString(),
+        seats: seatCount
+      });
+      toast.success(`📝 You're #${res.data.position} on the waitlist. We'll email you when seats free up.`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not join the waitlist.');
+    } finally {
+      setJoiningWaitlist(false);
+    }
+  };
+
+  // 🎟️ Pre-sale opening for this user's tier; null when upcoming movies are not gated
+  const bookingOpensAt = movie?.bookingOpensAt ? new Date(movie.bookingOpensAt) : null;
+  const isBookingClosed = bookingOpensAt && bookingOpensAt > new Date();
 
   const toggleSeat = (seatId) => {
     const isBooked = allBookedSeats.includes(seatId);
@@ -158,35 +326,65 @@ function BookMovie() {
       },
       showtimeId: selectedShowtimeObj?._id,
       showtimeDate: new Date(selectedShowtime).toISOString(),
-      amount: totalPrice * 100
+      amount: payableQuote?.total || 0,
+      couponCode: coupon?.code,
+      useWallet: creditsApplied > 0,
+      addOns
     };
   };
 
     const initiatePayment = async () => {
-  const payload = await handleBooking();
-  if (!payload) return;
+  const bookingPayload = await handleBooking();
+  if (!bookingPayload) return;
+
+  // 🔖 Reference used to find this checkout's booking afterwards
+  const checkoutRef = window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+  // 🔒 Lock the seats before any money changes hands
+  let hold;
+  try {
+    const holdRes = await holdSeats({
+      movieId: bookingPayload.movieId,
+      seats: bookingPayload.seats,
+      theater: bookingPayload.theater,
+      showtimeDate: bookingPayload.showtimeDate,
+      checkoutRef
+    });
+    hold = holdRes.data;
+    setSeatHold(hold);
+  } catch (err) {
+    // ⏳ Not open for this user yet: the seats are still free, so keep them selected
+    if (err.response?.status === 403) {
+      toast.error(err.response.data?.error || 'Bookings for this movie are not open yet.');
+      if (err.response.data?.opensAt) setMovie(m => ({ ...m, bookingOpensAt: err.response.data.opensAt }));
+      return;
+    }
+    toast.error(err.response?.data?.error || 'Selected seats are no longer available.');
+    setSelectedSeats([]);
+    setSeatRefreshKey(k => k + 1);
+    return;
+  }
+
+  const payload = { ...bookingPayload, holdId: hold.holdId };
+  const releaseHold = () => {
+    releaseSeatHold(hold.holdId).catch(() => {});
+    setSeatHold(null);
+  };
 
   const toastId = toast.loading('⏳ Processing your booking...');
   setLoading(true);
 
   try {
-    await handleRazorpayPayment(
+    await handlePayment(
       payload,
       setLoading,
       navigate,
-      async () => {
+      async (paymentRef = {}) => {
         try {
           // Fetch booking details after payment success
-          const res = await axios.get('https://showsnap-backend-ioiz.onrender.com/api/bookings/confirmation', {
-            params: {
-              movieId: payload.movieId,
-              userId: JSON.parse(localStorage.getItem('user'))._id,
-              showtimeId: payload.showtimeId
-            },
-            headers: {
-    Authorization: `Bearer ${localStorage.getItem('token')}`
-            }
-          });
+          const res = await getBookingConfirmation(
+            paymentRef.orderId ? { orderId: paymentRef.orderId } : { checkoutRef }
+          );
 
           const bookingDetails = res.data;
 
@@ -199,6 +397,7 @@ function BookMovie() {
           setSelectedSeats([]);
           setSelectedShowtime('');
           setSelectedTheaterIndex('');
+          setSeatHold(null);
         } catch (err) {
           toast.dismiss(toastId);
       
@@ -207,10 +406,12 @@ function BookMovie() {
       () => {
         toast.dismiss(toastId);
         toast.error('❌ Payment was cancelled.');
+        releaseHold();
       }
     );
   } catch (err) {
     toast.dismiss(toastId);
+    releaseHold();
     console.error('❌ Payment initiation failed:', err);
     toast.error(err?.message || 'Payment failed. Please try again.');
   } finally {
@@ -229,7 +430,7 @@ function BookMovie() {
   if (loading) return <div className="p-6 text-center text-lg animate-pulse text-gray-600">Loading movie details and theaters...</div>;
   if (error) return <div className="p-6 text-center text-red-500">{error}</div>;
   if (!movie) return <div className="p-6 text-center text-red-500">Movie not found.</div>;
-  if (isUpcoming) return <div className="p-6 text-center text-gray-400">Booking will open after {new Date(movie.releaseDate).toLocaleDateString()}.</div>;
+  if (isBookingClosed) return <div className="p-6 text-center text-gray-400">Bookings open on {bookingOpensAt.toLocaleString('en-IN')}.</div>;
 
   return (
     <div className="p-6 max-w-4xl mx-auto bg-white text-gray-900 rounded-lg shadow-lg">
@@ -352,23 +553,57 @@ function BookMovie() {
       </div>
     </div>
 
+    {!layout ? (
+      <div className="text-center text-gray-500 italic mb-6">Loading seat map...</div>
+    ) : (
+    <>
+    <div className="flex flex-wrap justify-center gap-4 mb-4 text-sm">
+      {layout.categories.map(category => (
+        <span key={category.name} className="flex items-center gap-2">
+          <span
+            className="inline-block w-4 h-4 rounded border-2"
+            style={{ borderColor: category.color }}
+          />
+          {category.name} — ₹{category.price}
+        </span>
+      ))}
+    </div>
     <div className="space-y-3 mt-4 mb-6">
-      {rows.map(row => (
-        <div key={row} className="flex gap-2 justify-center">
-          {cols.map(col => {
+      {layout.rowLabels.map(row => (
+        <div key={row} className={`flex gap-2 justify-center ${layout.rowGaps.includes(row) ? 'pb-4' : ''}`}>
+          {seatNumbers.map(col => {
             const seatId = `${row}${col}`;
+            const aisleGap = layout.aisles.includes(col) ? 'mr-6' : '';
+
+            if (layout.unavailable.includes(seatId)) {
+              return (
+                <span
+                  key={seatId}
+                  aria-hidden="true"
+                  className={`invisible px-3 py-2 border font-semibold text-sm ${aisleGap}`}
+                >
+                  {seatId}
+                </span>
+              );
+            }
+
             const isSelected = selectedSeats.includes(seatId);
             const isBooked = allBookedSeats.includes(seatId);
+            const isHeld = heldSeats.includes(seatId);
+            const category = getSeatCategory(seatId);
 
             return (
               <button
                 key={seatId}
                 disabled={isBooked}
                 onClick={() => toggleSeat(seatId)}
-                title={isBooked ? 'Already booked' : 'Available'}
-                className={`px-3 py-2 rounded border font-semibold text-sm
+                title={isHeld ? 'Held by another user' : isBooked ? 'Already booked' : `${category?.name} — ₹${category?.price}`}
+                style={!isBooked && !isSelected && category ? { borderColor: category.color, borderWidth: 2 } : undefined}
+                className={`px-3 py-2 rounded border font-semibold text-sm ${aisleGap}
                   ${
-                    isBooked
+                    isHeld
+                      ? 'bg-amber-400 text-white cursor-not-allowed'
+                      : isBooked
                       ? 'bg-gray-500 text-white cursor-not-allowed'
                       : isSelected
                       ? 'bg-green-600 text-white'
@@ -383,6 +618,8 @@ function BookMovie() {
         </div>
       ))}
     </div>
+    </>
+    )}
   </>
 ) : (
   <div className="text-center text-gray-500 italic mt-6 mb-6">
@@ -390,6 +627,43 @@ function BookMovie() {
   </div>
 )}
 
+      {/* 🍿 Food & Beverages */}
+      {menu.length > 0 && selectedShowtime && (
+        <div className="mt-6 p-4 border rounded">
+          <h3 className="text-lg font-semibold mb-2">Add Food & Beverages</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {menu.map(item => (
+              <div key={item._id} className="flex items-center justify-between gap-2 p-2 bg-gray-50 rounded">
+                <div>
+                  <p className="font-semibold">{item.name} — ₹{item.price}</p>
+                  {(item.description || item.includes?.length > 0) && (
+                    <p className="text-xs text-gray-600">{item.description || item.includes.join(', ')}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => changeAddOn(item._id, -1)}
+                    disabled={!addOnQuantities[item._id]}
+                    aria-label={`Remove ${item.name}`}
+                    className="w-8 h-8 border rounded disabled:text-gray-300"
+                  >
+                    −
+                  </button>
+                  <span className="w-4 text-center">{addOnQuantities[item._id] || 0}</span>
+                  <button
+                    onClick={() => changeAddOn(item._id, 1)}
+                    aria-label={`Add ${item.name}`}
+                    className="w-8 h-8 border rounded"
+                  >
+                    +
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* 📋 Booking Summary */}
       <div className="mt-6 p-4 bg-gray-100 rounded shadow-sm text-center">
         <h3 className="text-lg font-semibold mb-2">Booking Summary</h3>
@@ -397,21 +671,108 @@ function BookMovie() {
         <p><strong>Theater:</strong> {selectedTheater?.name || 'Not selected'}</p>
         <p><strong>Showtime:</strong> {formatShowtime(selectedShowtime)}</p>
         <p><strong>Seats:</strong> {selectedSeats.length > 0 ? selectedSeats.join(', ') : 'None selected'}</p>
+        {seatHold?.expiresAt && (
+          <p className="text-amber-600 text-sm">
+            Seats held until {new Date(seatHold.expiresAt).toLocaleTimeString('en-IN')}
+          </p>
+        )}
         <p><strong>User:</strong> {user?.name} ({user?.email})</p>
+        {payableQuote?.lines.map(line => (
+          <p key={line.category} className="text-sm text-gray-600">
+            {line.category}: {line.seats.length} × ₹{toRupees(line.unitPrice)} = ₹{toRupees(line.subtotal)}
+          </p>
+        ))}
+        {payableQuote?.addOns?.map(addOn => (
+          <p key={addOn.itemId} className="text-sm text-gray-600">
+            {addOn.name}: {addOn.quantity} × ₹{toRupees(addOn.unitPrice)} = ₹{toRupees(addOn.subtotal)}
+          </p>
+        ))}
+        {payableQuote?.convenienceFee > 0 && (
+          <p className="text-sm text-gray-600">Convenience fee: ₹{toRupees(payableQuote.convenienceFee)}</p>
+        )}
+        {payableQuote?.membership?.convenienceFeeDiscount > 0 && (
+          <p className="text-sm text-green-600">
+            ⭐ {payableQuote.membership.tier} member: {payableQuote.membership.convenienceFeeDiscount}% off the convenience fee
+          </p>
+        )}
+        {payableQuote?.discounts?.map(d => (
+          <p key={d.label} className="text-sm text-green-600">{d.label}: −₹{toRupees(d.amount)}</p>
+        ))}
+        {quote && (
+          <div className="flex justify-center gap-2 mt-2">
+            <input
+              type="text"
+              value={couponInput}
+              onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+              placeholder="Promo code"
+              aria-label="Promo code"
+              className="border p-2 rounded bg-white uppercase"
+            />
+            {coupon ? (
+              <button
+                onClick={() => { setCoupon(null); setCouponInput(''); }}
+                className="px-3 py-2 border rounded text-gray-700 hover:bg-gray-200"
+              >
+                Remove
+              </button>
+            ) : (
+              <button
+                onClick={applyCoupon}
+                disabled={applyingCoupon || !couponInput.trim()}
+                className="px-3 py-2 bg-gray-800 text-white rounded hover:bg-gray-900 disabled:bg-gray-400"
+              >
+                {applyingCoupon ? 'Applying…' : 'Apply'}
+              </button>
+            )}
+          </div>
+        )}
         <p className="text-indigo-600 font-bold mt-2">Total Price: ₹{totalPrice}</p>
+        {quote && walletBalance > 0 && (
+          <label className="flex justify-center items-center gap-2 mt-2 text-sm">
+            <input type="checkbox" checked={useWallet} onChange={(e) => setUseWallet(e.target.checked)} />
+            Use ShowSnap credits (balance ₹{toRupees(walletBalance)})
+          </label>
+        )}
+        {creditsApplied > 0 && (
+          <p className="text-sm text-green-600">
+            ShowSnap credits: −₹{toRupees(creditsApplied)} · To pay: ₹{amountToPay}
+          </p>
+        )}
       </div>
 
+      {/* ⏳ Waitlist */}
+      {isSoldOut && (
+        <div className="mt-6 p-4 bg-amber-50 border border-amber-300 rounded text-center">
+          <p className="mb-2 text-amber-800">
+            {freeSeatCount === 0
+              ? 'This show is sold out.'
+              : `Only ${freeSeatCount} seat(s) left for this show.`}
+          </p>
+          <button
+            onClick={handleJoinWaitlist}
+            disabled={joiningWaitlist}
+            className="px-4 py-2 bg-amber-600 text-white rounded hover:bg-amber-700 disabled:bg-gray-400"
+          >
+            {joiningWaitlist ? 'Joining…' : `Join waitlist for ${seatCount} seat(s)`}
+          </button>
+        </div>
+      )}
+
       {/* 💳 Payment Button */}
       <button
         onClick={initiatePayment}
-        disabled={selectedSeats.length !== seatCount || !selectedShowtime || !selectedTheater}
+        disabled={selectedSeats.length !== seatCount || !selectedShowtime || !selectedTheater || !quote}
         className={`mt-6 px-6 py-3 rounded font-semibold text-lg w-full ${
-          selectedSeats.length !== seatCount || !selectedShowtime || !selectedTheater
+          selectedSeats.length !== seatCount || !selectedShowtime || !selectedTheater || !quote
             ? 'bg-gray-400 cursor-not-allowed'
             : 'bg-indigo-600 text-white hover:bg-indigo-700'
         }`}
       >
-        Pay ₹{totalPrice} & Book Now
+        {payableQuote && payableTotal === 0
+          ? 'Book Now (nothing to pay)'
+          : creditsApplied > 0 && creditsApplied === payableTotal
+          ? 'Pay with ShowSnap credits & Book Now'
+          : `Pay ₹${creditsApplied > 0 ? amountToPay : totalPrice} & Book Now`}
       </button>
 
       {/* Feedback */}
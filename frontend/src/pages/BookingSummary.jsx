@@ -1,12 +1,20 @@
 import { useParams } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
+import { QRCodeSVG } from 'qrcode.react';
+import RefundStatus from '../components/RefundStatus';
+import ChangeBookingPanel from '../components/ChangeBookingPanel';
+import { getCancellationQuote, cancelBookingSeats, downloadBookingDocument } from '../services/api';
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
 
 function BookingSummary() {
   const { id } = useParams();
   const [booking, setBooking] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [cancellingSeat, setCancellingSeat] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     const fetchBooking = async () => {
@@ -38,7 +46,7 @@ function BookingSummary() {
     };
 
     fetchBooking();
-  }, [id, setBooking, setLoading, setError]);
+  }, [id, reloadKey, setBooking, setLoading, setError]);
 
   if (loading) {
     return (
@@ -71,7 +79,61 @@ function BookingSummary() {
   const theaterLocation = theater?.location || 'N/A';
   const formattedDate = showtimeDate ? new Date(showtimeDate).toLocaleString() : 'N/A';
   const seatList = Array.isArray(seats) ? seats.join(', ') : 'N/A';
-  const paidAmount = typeof amount === 'number' ? `₹${(amount / 100).toFixed(2)}` : 'N/A';
+  // unchanged by later seat cancellations; credits spent count as paid
+  const paid = (booking.payment?.amount ?? amount) + (booking.payment?.walletAmount || 0);
+  const paidAmount = typeof paid === 'number' ? formatRupees(paid) : 'N/A';
+  const isCancelled = booking.status === 'cancelled';
+
+  // 💺 Cancel a single seat after showing its refund
+  const handleCancelSeat = async (seat) => {
+    setCancellingSeat(seat);
+    try {
+      const { data: quote } = await getCancellationQuote(booking._id, [seat]);
+      if (!quote.allowed) {
+        toast.error(quote.reason || 'This seat can no longer be cancelled.');
+        return;
+      }
+
+      const fee = quote.cancellationFee > 0 ? ` after a ${formatRupees(quote.cancellationFee)} cancellation fee` : '';
+      if (!window.confirm(`Cancel seat ${seat}? You will be refunded ${formatRupees(quote.refundAmount)}${fee}.`)) return;
+
+      // 👛 Credits land instantly; the original payment method takes a few working days
+      const refundTo = quote.refundAmount > 0 && window.confirm(
+        `Get ${formatRupees(quote.refundAmount)} instantly as ShowSnap credits?\nPress Cancel to refund to your original payment method instead.`
+      ) ? 'wallet' : 'original';
+
+      const { data } = await cancelBookingSeats(booking._id, [seat], refundTo);
+      setBooking(data.booking);
+      if (data.refund?.status === 'failed') {
+        toast.error(`Seat ${seat} cancelled, but the refund could not be started. Our team will follow up.`);
+      } else {
+        toast.success(`✅ Seat ${seat} cancelled.`);
+      }
+    } catch (err) {
+      console.error('Seat cancel error:', err.message);
+      toast.error(err.response?.data?.error || 'Failed to cancel seat.');
+    } finally {
+      setCancellingSeat(null);
+    }
+  };
+
+  // 📄 Download the ticket or invoice PDF (through the API so the auth header is sent)
+  const handleDownload = async (kind) => {
+    try {
+      const { data } = await downloadBookingDocument(booking._id, kind);
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${kind}-${booking._id}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Download error:', err.message);
+      toast.error(`Failed to download ${kind}.`);
+    }
+  };
+
+  const canCancelSeats = booking.status === 'confirmed' && Array.isArray(seats) && seats.length > 1;
 
   const handleCopy = () => {
     const details = `
@@ -89,7 +151,9 @@ Amount Paid: ${paidAmount}
 
   return (
     <div className="p-6 max-w-xl mx-auto bg-white shadow-lg rounded-lg border">
-      <h2 className="text-2xl font-bold text-green-600 mb-4">🎉 Booking Confirmed</h2>
+      <h2 className={`text-2xl font-bold mb-4 ${isCancelled ? 'text-gray-500' : 'text-green-600'}`}>
+        {isCancelled ? '🚫 Booking Cancelled' : '🎉 Booking Confirmed'}
+      </h2>
 
       <div className="space-y-2 text-gray-700">
         <p><strong>Movie:</strong> {movieTitle}</p>
@@ -97,9 +161,54 @@ Amount Paid: ${paidAmount}
         <p><strong>Location:</strong> {theaterLocation}</p>
         <p><strong>Showtime:</strong> {formattedDate}</p>
         <p><strong>Seats:</strong> {seatList}</p>
+        {canCancelSeats && (
+          <div className="flex flex-wrap gap-2">
+            {seats.map(seat => (
+              <span key={seat} className="inline-flex items-center gap-1 px-2 py-1 border rounded text-sm">
+                {seat}
+                <button
+                  onClick={() => handleCancelSeat(seat)}
+                  disabled={cancellingSeat !== null}
+                  aria-label={`Cancel seat ${seat}`}
+                  className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                >
+                  {cancellingSeat === seat ? '…' : '✕'}
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        {booking.pricing?.addOns?.length > 0 && (
+          <p>
+            <strong>Food & Beverages:</strong>{' '}
+            {booking.pricing.addOns.map(a => `${a.quantity} × ${a.name}`).join(', ')}
+          </p>
+        )}
+        {booking.cancelledSeats?.length > 0 && (
+          <p className="text-sm text-gray-500">
+            <strong>Cancelled seats:</strong> {booking.cancelledSeats.map(c => c.seat).join(', ')}
+          </p>
+        )}
         <p><strong>Amount Paid:</strong> {paidAmount}</p>
+        {booking.payment?.walletAmount > 0 && (
+          <p className="text-sm text-gray-600">Including {formatRupees(booking.payment.walletAmount)} in ShowSnap credits</p>
+        )}
+        {booking.pricing?.tax && (
+          <p className="text-sm text-gray-500">Includes GST of {formatRupees(booking.pricing.tax.totalGst)}</p>
+        )}
+        {booking.invoice?.number && (
+          <p className="text-sm text-gray-500"><strong>Invoice:</strong> {booking.invoice.number}</p>
+        )}
+        <RefundStatus booking={booking} />
       </div>
 
+      {booking.ticketToken && (
+        <div className="mt-4 flex flex-col items-center">
+          <QRCodeSVG value={booking.ticketToken} size={200} includeMargin aria-label="Ticket QR code" />
+          <p className="mt-2 text-sm text-gray-500">Show this code at the theater entrance</p>
+        </div>
+      )}
+
       <button
         onClick={handleCopy}
         aria-label="Copy booking details"
@@ -107,6 +216,45 @@ Amount Paid: ${paidAmount}
       >
         📋 Copy Booking Details
       </button>
+
+      <div className="mt-2 flex gap-2">
+        {booking.status === 'confirmed' && (
+          <button
+            onClick={() => handleDownload('ticket')}
+            className="px-4 py-2 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 transition"
+          >
+            🎫 Download Ticket
+          </button>
+        )}
+        <button
+          onClick={() => handleDownload('invoice')}
+          className="px-4 py-2 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 transition"
+        >
+          🧾 Download Invoice
+        </button>
+      </div>
+
+      {booking.status === 'confirmed' && (
+        <ChangeBookingPanel booking={booking} onChanged={() => setReloadKey(k => k + 1)} />
+      )}
+
+      {booking.modifications?.length > 0 && (
+        <div className="mt-4 text-sm text-gray-600">
+          <h3 className="font-semibold">Change history</h3>
+          <ul className="list-disc ml-4">
+            {booking.modifications.map((m, i) => (
+              <li key={i}>
+                {new Date(m.changedAt).toLocaleString()}: {m.from.seats.join(', ')} →{' '}
+                {m.to.seats.join(', ')}
+                {new Date(m.from.showtimeDate).getTime() !== new Date(m.to.showtimeDate).getTime() &&
+                  ` (moved to ${new Date(m.to.showtimeDate).toLocaleString()})`}
+                {m.difference !== 0 &&
+                  ` — ${m.difference > 0 ? 'paid' : 'refunded'} ${formatRupees(Math.abs(m.difference))}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
@@ -2,6 +2,7 @@ import React, { useEffect, useState, useContext } from 'react';
 import { AuthContext } from '../context/AuthContext';
 import { fetchUserProfile, updateUserProfile } from '../services/api';
 import toast from 'react-hot-toast';
+import LoyaltySection from '../components/LoyaltySection';
 
 function EditProfile() {
 useContext(AuthContext);
@@ -121,6 +122,8 @@ useContext(AuthContext);
           Save Changes
         </button>
       </form>
+
+      <LoyaltySection />
     </div>
   );
 }
@@ -1,5 +1,9 @@
 import React, { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
+import RefundStatus from '../components/RefundStatus';
+import { getCancellationQuote } from '../services/api';
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
 
 function MyBookings() {
   const [bookings, setBookings] = useState([]);
@@ -33,17 +37,33 @@ function MyBookings() {
   }, [token]);
 
   const cancelBooking = async (bookingId) => {
-    if (!window.confirm('Are you sure you want to cancel this booking?')) return;
-
     setCancellingId(bookingId);
 
     try {
+      // 📜 Show what the theater's policy refunds before the user commits
+      const { data: quote } = await getCancellationQuote(bookingId);
+      if (!quote.allowed) {
+        toast.error(quote.reason || 'This booking can no longer be cancelled.');
+        return;
+      }
+
+      const terms = quote.cancellationFee > 0
+        ? `You will be refunded ${formatRupees(quote.refundAmount)} (${quote.refundPercent}% — cancellation fee ${formatRupees(quote.cancellationFee)}).`
+        : `You will be refunded ${formatRupees(quote.refundAmount)}.`;
+      if (!window.confirm(`Are you sure you want to cancel this booking?\n${terms}\nThe convenience fee is not refundable.`)) return;
+
+      // 👛 Credits land instantly; the original payment method takes a few working days
+      const refundTo = quote.refundAmount > 0 && window.confirm(
+        `Get ${formatRupees(quote.refundAmount)} instantly as ShowSnap credits?\nPress Cancel to refund to your original payment method instead.`
+      ) ? 'wallet' : 'original';
+
       const res = await fetch(`https://showsnap-backend-ioiz.onrender.com/api/bookings/${bookingId}/cancel`, {
         method: 'PATCH',
         headers: {
           Authorization: `Bearer ${token}`,
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify({ refundTo })
       });
 
       const data = await res.json();
@@ -55,10 +75,18 @@ function MyBookings() {
       setBookings(prev =>
         prev.map(b => b._id === bookingId ? data.booking : b)
       );
-      toast.success('✅ Booking cancelled successfully.');
+      if (data.refund?.status === 'failed') {
+        toast.error('Booking cancelled, but the refund could not be started. Our team will follow up.');
+      } else if (data.refund?.destination === 'wallet') {
+        toast.success(`✅ Booking cancelled. ${formatRupees(data.refund.amount)} added to your ShowSnap credits.`);
+      } else if (data.refund) {
+        toast.success(`✅ Booking cancelled. ${formatRupees(data.refund.amount)} will be refunded.`);
+      } else {
+        toast.success('✅ Booking cancelled successfully.');
+      }
     } catch (err) {
       console.error('❌ Error cancelling booking:', err);
-      toast.error(err.message || 'Failed to cancel booking.');
+      toast.error(err.response?.data?.error || err.message || 'Failed to cancel booking.');
     } finally {
       setCancellingId(null);
     }
@@ -103,6 +131,7 @@ function MyBookings() {
                     {booking.status}
                   </span>
                 </p>
+                <RefundStatus booking={booking} />
 
                 {booking.status === 'confirmed' ? (
                   <button
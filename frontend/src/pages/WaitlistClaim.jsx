@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import handlePayment from '../components/PaymentCheckout';
+import { getWaitlistClaim } from '../services/api';
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+// 🎟️ Book the seats a waitlist offer holds for the user
+function WaitlistClaim() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [claim, setClaim] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [paying, setPaying] = useState(false);
+
+  useEffect(() => {
+    getWaitlistClaim(token)
+      .then(res => setClaim(res.data))
+      .catch(err => setError(err.response?.data?.error || 'Could not load this offer.'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const pay = async () => {
+    await handlePayment(
+      {
+        amount: claim.quote.total,
+        movieId: claim.movie?._id,
+        holdId: claim.holdId,
+        seats: claim.seats,
+        theater: claim.theater,
+        showtimeDate: claim.showtimeDate
+      },
+      setPaying,
+      navigate,
+      null,
+      () => toast('Your seats stay held until the offer expires.')
+    );
+  };
+
+  if (loading) {
+    return <div className="p-6 text-center text-gray-400 animate-pulse">Loading your offer...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="p-6 text-center">
+        <p className="text-red-500 mb-4">{error}</p>
+        <Link to="/my-bookings" className="text-blue-400 underline">Go to My Bookings</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-xl mx-auto bg-white text-gray-900 shadow-lg rounded-lg border mt-6">
+      <h2 className="text-2xl font-bold mb-4 text-green-600">🎟️ Seats Available</h2>
+      <div className="space-y-2 text-gray-700">
+        <p><strong>Movie:</strong> {claim.movie?.title}</p>
+        <p><strong>Theater:</strong> {claim.theater.name} ({claim.theater.location})</p>
+        <p><strong>Showtime:</strong> {new Date(claim.showtimeDate).toLocaleString('en-IN')}</p>
+        <p><strong>Seats:</strong> {claim.seats.join(', ')}</p>
+        <p><strong>Total:</strong> {formatRupees(claim.quote.total)}</p>
+        <p className="text-amber-600 text-sm">
+          Held for you until {new Date(claim.expiresAt).toLocaleTimeString('en-IN')}
+        </p>
+      </div>
+      <button
+        onClick={pay}
+        disabled={paying}
+        className="mt-6 w-full px-6 py-3 rounded font-semibold text-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-gray-400"
+      >
+        {paying ? 'Processing…' : `Pay ${formatRupees(claim.quote.total)} & Book`}
+      </button>
+    </div>
+  );
+}
+
+export default WaitlistClaim;
@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react';
+import { getWallet } from '../services/api';
+import toast from 'react-hot-toast';
+
+const formatRupees = (paise) => `₹${(paise / 100).toFixed(2)}`;
+
+const REASON_LABELS = {
+  refund: 'Refund',
+  checkout: 'Booking',
+  expiry: 'Expired',
+  reversal: 'Returned',
+  adjustment: 'Adjustment'
+};
+
+// 👛 ShowSnap credits: balance and history (amounts in paise)
+function Wallet() {
+  const [wallet, setWallet] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    getWallet({ page })
+      .then(res => {
+        setWallet(res.data);
+        setError('');
+      })
+      .catch(err => {
+        console.error('Error fetching wallet:', err.message);
+        toast.error('Failed to load wallet');
+        setError('Failed to load your ShowSnap credits.');
+      })
+      .finally(() => setLoading(false));
+  }, [page]);
+
+  if (loading && !wallet) {
+    return <div className="p-6 text-center text-lg animate-pulse text-gray-600">Loading your wallet...</div>;
+  }
+  if (error) return <div className="p-6 text-center text-red-500">{error}</div>;
+
+  const transactions = wallet?.transactions || [];
+  const pageCount = Math.max(1, Math.ceil((wallet?.total || 0) / 20));
+
+  return (
+    <div className="max-w-3xl mx-auto p-6">
+      <h1 className="text-3xl font-bold mb-6 text-red-500">👛 ShowSnap Credits</h1>
+
+      <div className="p-4 bg-gray-100 rounded shadow-sm mb-6">
+        <p className="text-2xl font-semibold">{formatRupees(wallet?.balance || 0)}</p>
+        <p className="text-sm text-gray-600">Use your credits at checkout. Refunds taken as credits arrive instantly.</p>
+        {wallet?.nextExpiry && (
+          <p className="text-sm text-amber-600 mt-1">
+            {formatRupees(wallet.nextExpiry.amount)} expires on{' '}
+            {new Date(wallet.nextExpiry.expiresAt).toLocaleDateString('en-IN')}
+          </p>
+        )}
+      </div>
+
+      {transactions.length === 0 ? (
+        <p className="text-gray-500 text-center">No transactions yet.</p>
+      ) : (
+        <ul className="divide-y border rounded">
+          {transactions.map(tx => (
+            <li key={tx._id} className="flex justify-between items-center p-3">
+              <div>
+                <p className="font-medium">{REASON_LABELS[tx.reason] || tx.reason}</p>
+                <p className="text-sm text-gray-600">
+                  {tx.description || (tx.booking ? `Seats ${tx.booking.seats?.join(', ')}` : '')}
+                </p>
+                <p className="text-xs text-gray-500">{new Date(tx.createdAt).toLocaleString('en-IN')}</p>
+              </div>
+              <span className={tx.type === 'credit' ? 'text-green-600 font-semibold' : 'text-red-500 font-semibold'}>
+                {tx.type === 'credit' ? '+' : '−'}{formatRupees(tx.amount)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex justify-center gap-3 mt-4">
+          <button
+            onClick={() => setPage(p => p - 1)}
+            disabled={page <= 1 || loading}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm self-center">Page {page} of {pageCount}</span>
+          <button
+            onClick={() => setPage(p => p + 1)}
+            disabled={page >= pageCount || loading}
+            className="px-3 py-1 border rounded disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Wallet;
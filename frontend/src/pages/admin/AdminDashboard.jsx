@@ -9,6 +9,7 @@ import {
 import { useNavigate, Link } from 'react-router-dom';
 import { AuthContext } from '../../context/AuthContext';
 import toast from 'react-hot-toast';
+import ReconciliationPanel from './ReconciliationPanel';
 
 function AdminDashboard() {
   const [movies, setMovies] = useState([]);
@@ -163,6 +164,9 @@ function AdminDashboard() {
         )}
       </section>
 
+      {/* Payments */}
+      <ReconciliationPanel />
+
       {/* Bookings */}
       <section>
         <h2 className="text-2xl font-semibold mb-4">Bookings</h2>
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  downloadReconciliationCsv
+} from '../../services/api';
+
+const formatRupees = (paise) => (paise === null || paise === undefined ? '—' : `₹${(paise / 100).toFixed(2)}`);
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+const istDayStart = (day) => new Date(`${day}T00:00:00+05:30`).toISOString();
+
+const ISSUE_LABELS = {
+  orphan_payment: 'Payment without booking',
+  orphan_booking: 'Booking without payment',
+  orphan_refund: 'Unrecorded refund',
+  amount_mismatch: 'Amount mismatch'
+};
+
+const issueCount = (summary = {}) =>
+  (summary.orphanPayments || 0) + (summary.orphanBookings || 0) + (summary.orphanRefunds || 0) + (summary.amountMismatches || 0);
+
+// 🧮 Payment reconciliation reports: provider payments matched against bookings
+function ReconciliationPanel() {
+  const [reports, setReports] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [fromDay, setFromDay] = useState('');
+  const [toDay, setToDay] = useState('');
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    getReconciliationReports()
+      .then(res => setReports(res.data.reports || []))
+      .catch(err => console.error('Reconciliation fetch error:', err.response?.data || err.message));
+  }, []);
+
+  const openReport = async (reportId) => {
+    try {
+      const { data } = await getReconciliationReport(reportId);
+      setSelected(data.report);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load report');
+    }
+  };
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+    if (!fromDay || !toDay || fromDay > toDay) {
+      toast.error('Pick a valid date range.');
+      return;
+    }
+
+    setRunning(true);
+    try {
+      // Whole IST days; the end day is included
+      const end = new Date(istDayStart(toDay));
+      end.setUTCDate(end.getUTCDate() + 1);
+      const { data } = await runReconciliation({ from: istDayStart(fromDay), to: end.toISOString() });
+      const { issues, ...summaryOnly } = data.report;
+      setReports(prev => [summaryOnly, ...prev]);
+      setSelected(data.report);
+      toast.success(`Reconciliation done: ${issues.length} issue(s)`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Reconciliation failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = async (report) => {
+    try {
+      const { data } = await downloadReconciliationCsv(report._id);
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `reconciliation-${report.provider}-${report.from.slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Export error:', err.message);
+      toast.error('Failed to export CSV.');
+    }
+  };
+
+  return (
+    <section className="mb-12">
+      <h2 className="text-2xl font-semibold mb-4">Payment Reconciliation</h2>
+
+      <form onSubmit={handleRun} className="flex flex-wrap items-end gap-3 mb-4">
+        <label className="text-sm">
+          From
+          <input type="date" value={fromDay} onChange={e => setFromDay(e.target.value)} className="block border rounded p-2 text-gray-800" />
+        </label>
+        <label className="text-sm">
+          To
+          <input type="date" value={toDay} onChange={e => setToDay(e.target.value)} className="block border rounded p-2 text-gray-800" />
+        </label>
+        <button
+          type="submit"
+          disabled={running}
+          className="px-4 py-2 bg-indigo-700 text-white rounded hover:bg-indigo-800 transition disabled:bg-gray-400"
+        >
+          {running ? 'Reconciling...' : '🧮 Run Reconciliation'}
+        </button>
+      </form>
+
+      {reports.length === 0 ? (
+        <p className="text-gray-500 italic">No reconciliation reports yet.</p>
+      ) : (
+        <div className="grid gap-2 mb-6">
+          {reports.map(report => {
+            const issues = issueCount(report.summary);
+            return (
+              <div key={report._id} className="flex flex-col md:flex-row md:items-center justify-between p-3 border rounded bg-white text-gray-800">
+                <div>
+                  <p className="font-semibold">
+                    {formatDay(report.from)} – {formatDay(new Date(new Date(report.to).getTime() - 1))} · {report.provider}
+                    <span className="ml-2 text-xs text-gray-500">{report.trigger}</span>
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {report.summary?.payments || 0} payments · {report.summary?.refunds || 0} refunds · {report.summary?.bookings || 0} bookings ·{' '}
+                    <span className={issues ? 'text-rose-700 font-semibold' : 'text-emerald-700'}>{issues} issue(s)</span>
+                  </p>
+                </div>
+                <div className="flex gap-2 mt-2 md:mt-0">
+                  <button onClick={() => openReport(report._id)} className="px-3 py-1 bg-amber-500 text-white rounded hover:bg-amber-600 transition">
+                    View
+                  </button>
+                  <button onClick={() => handleExport(report)} className="px-3 py-1 border border-indigo-700 text-indigo-700 rounded hover:bg-indigo-50 transition">
+                    CSV
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {selected && (
+        <div className="p-4 border rounded bg-white text-gray-800 overflow-x-auto">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold">
+              Issues for {formatDay(selected.from)} · {selected.provider}
+            </h3>
+            <button onClick={() => setSelected(null)} className="text-sm text-gray-500 hover:underline">Close</button>
+          </div>
+          {selected.issues.length === 0 ? (
+            <p className="text-emerald-700">✅ Everything matches.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="p-1">Issue</th>
+                  <th className="p-1">Order / Payment / Refund</th>
+                  <th className="p-1">Booking</th>
+                  <th className="p-1">Expected</th>
+                  <th className="p-1">Actual</th>
+                  <th className="p-1">Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.issues.map((issue, i) => (
+                  <tr key={i} className="border-t">
+                    <td className="p-1 font-semibold">{ISSUE_LABELS[issue.type] || issue.type}</td>
+                    <td className="p-1 font-mono text-xs">
+                      {[issue.orderId, issue.paymentId, issue.refundId].filter(Boolean).join(' / ')}
+                    </td>
+                    <td className="p-1 font-mono text-xs">{issue.booking || '—'}</td>
+                    <td className="p-1">{formatRupees(issue.expected)}</td>
+                    <td className="p-1">{formatRupees(issue.actual)}</td>
+                    <td className="p-1">{issue.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ReconciliationPanel;
@@ -0,0 +1,77 @@
+import React, { useRef, useState } from 'react';
+import { scanTicket } from '../../services/api';
+
+// 🚪 Door check-in: paste a ticket code or scan it with a barcode scanner (it types the code + Enter)
+function CheckIn() {
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmed = code.trim();
+    if (!trimmed) return;
+
+    setChecking(true);
+    try {
+      const { data } = await scanTicket(trimmed);
+      setResult(data);
+    } catch (err) {
+      setResult(err.response?.data || { accepted: false, reason: 'Could not reach the server. Try again.' });
+    } finally {
+      setChecking(false);
+      setCode('');
+      inputRef.current?.focus();
+    }
+  };
+
+  const booking = result?.booking;
+
+  return (
+    <div className="p-6 max-w-xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6 text-red-600 text-center">🚪 Ticket Check-in</h2>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          ref={inputRef}
+          autoFocus
+          value={code}
+          onChange={e => setCode(e.target.value)}
+          placeholder="Scan or paste ticket code"
+          aria-label="Ticket code"
+          className="flex-1 p-3 rounded text-black"
+        />
+        <button
+          type="submit"
+          disabled={checking}
+          className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-gray-400"
+        >
+          {checking ? 'Checking...' : 'Check'}
+        </button>
+      </form>
+
+      {result && (
+        <div
+          role="status"
+          className={`mt-6 p-4 rounded-lg text-center ${result.accepted ? 'bg-green-600' : 'bg-red-700'}`}
+        >
+          <p className="text-2xl font-bold">{result.accepted ? '✅ ADMIT' : '⛔ REJECT'}</p>
+          <p className="mt-1">{result.reason || result.error}</p>
+        </div>
+      )}
+
+      {booking && (
+        <div className="mt-4 p-4 rounded bg-white text-black space-y-1">
+          <p><strong>Movie:</strong> {booking.movie || 'N/A'}</p>
+          <p><strong>Theater:</strong> {booking.theater} {booking.screen && `(${booking.screen})`}</p>
+          <p><strong>Showtime:</strong> {new Date(booking.showtimeDate).toLocaleString('en-IN')}</p>
+          <p><strong>Seats:</strong> {booking.seats?.join(', ')}</p>
+          <p><strong>Admitted:</strong> {booking.admittedSeats?.length ? booking.admittedSeats.join(', ') : 'None'}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CheckIn;
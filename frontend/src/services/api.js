@@ -14,6 +14,7 @@ API.interceptors.request.use((config) => {
 });
 
 export const fetchPublicMovies = (params = {}) => API.get('/movies', { params });
+export const fetchPublicMovie = (id) => API.get(`/movies/${id}`); // bookingOpensAt follows the signed-in user's tier
 export const fetchAdminMovies = () => API.get('/admin/movies');
 export const fetchMovieById = (id) => API.get(`/admin/movies/${id}`);
 export const createMovie = (movieData) => API.post('/admin/movies', movieData);
@@ -24,17 +25,48 @@ export const loginUser = (data) => API.post('/users/login', data);
 export const signupUser = (userData) => API.post('/users/register', userData);
 
 export const getAllUserBookings = () => API.get('/bookings');
-export const cancelBooking = (bookingId) => API.patch(`/bookings/${bookingId}/cancel`);
+export const cancelBooking = (bookingId, refundTo) => API.patch(`/bookings/${bookingId}/cancel`, { refundTo });
+export const getCancellationQuote = (bookingId, seats) =>
+  API.get(`/bookings/${bookingId}/cancellation-quote`, { params: seats ? { seats: seats.join(',') } : {} });
+export const cancelBookingSeats = (bookingId, seats, refundTo) =>
+  API.patch(`/bookings/${bookingId}/seats`, { seats, refundTo });
+export const requestBookingChange = (bookingId, payload) => API.post(`/bookings/${bookingId}/modify`, payload);
+export const confirmBookingChange = (bookingId, holdId) => API.post(`/bookings/${bookingId}/modify/confirm`, { holdId });
+export const downloadBookingDocument = (bookingId, kind) =>
+  API.get(`/bookings/${bookingId}/${kind}.pdf`, { responseType: 'blob' });
+export const holdSeats = (payload) => API.post('/bookings/hold', payload);
+export const releaseSeatHold = (holdId) => API.delete(`/bookings/hold/${holdId}`);
+export const getBookingConfirmation = (params) => API.get('/bookings/confirmation', { params });
+export const getPriceQuote = (payload) => API.post('/payments/quote', payload);
+export const validateCoupon = (payload) => API.post('/coupons/validate', payload);
+export const completeMockPayment = (orderId, outcome) => API.post(`/payments/mock/${orderId}/complete`, { outcome });
 
 export const getAllBookings = () => API.get('/admin/bookings');
 export const getAdminStats = () => API.get('/admin/dashboard');
 export const getAllUsers = () => API.get('/admin/users');
 export const pingAdmin = () => API.get('/admin/ping');
+export const getReconciliationReports = () => API.get('/admin/reconciliation');
+export const getReconciliationReport = (reportId) => API.get(`/admin/reconciliation/${reportId}`);
+export const runReconciliation = (payload) => API.post('/admin/reconciliation', payload, { timeout: 60000 });
+export const downloadReconciliationCsv = (reportId) =>
+  API.get(`/admin/reconciliation/${reportId}/csv`, { responseType: 'blob' });
+
+export const joinWaitlist = (payload) => API.post('/waitlist', payload);
+export const getMyWaitlist = () => API.get('/waitlist/mine');
+export const leaveWaitlist = (entryId) => API.delete(`/waitlist/${entryId}`);
+export const getWaitlistClaim = (token) => API.get(`/waitlist/claim/${token}`);
+
+export const scanTicket = (code, seats) => API.post('/checkin/scan', { code, seats });
 
 export const fetchTheaters = () => API.get('/theaters');
+export const fetchScreenLayout = (theater, screen) =>
+  API.get('/theaters/layout', { params: { theater, screen } });
+export const fetchTheaterMenu = (theater) => API.get('/theaters/menu', { params: { theater } });
 
 export const fetchUserProfile = () => API.get('/users/profile');
 export const updateUserProfile = (payload) => API.put('/users/profile', payload);
+export const getWallet = (params) => API.get('/users/wallet', { params });
+export const getLoyalty = () => API.get('/users/loyalty');
 
 // ✅ Corrected `sendResetLink` function to use the correct endpoint
 export const sendResetLink = (email) => {
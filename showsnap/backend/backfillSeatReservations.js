@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Booking from './models/Booking.js';
+import SeatReservation from './models/SeatReservation.js';
+
+dotenv.config();
+await mongoose.connect(process.env.MONGO_URI, { dbName: 'showsnap' });
+
+// 💺 Claim a reservation for every seat of every active booking created before reservations existed
+await SeatReservation.syncIndexes();
+
+const bookings = await Booking.find({ status: { $ne: 'cancelled' } }).lean();
+let claimed = 0;
+
+for (const booking of bookings) {
+  for (const seat of booking.seats) {
+    const result = await SeatReservation.updateOne(
+      {
+        movie: booking.movie,
+        theaterName: booking.theater.name,
+        showtimeDate: booking.showtimeDate,
+        seat
+      },
+      {
+        $setOnInsert: {
+          user: booking.user,
+          booking: booking._id,
+          hold: null,
+          expiresAt: null
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount) {
+      claimed++;
+    } else {
+      const existing = await SeatReservation.findOne({
+        movie: booking.movie,
+        theaterName: booking.theater.name,
+        showtimeDate: booking.showtimeDate,
+        seat
+      }).lean();
+      if (String(existing?.booking) !== String(booking._id)) {
+        console.warn(`⚠️ Seat ${seat} of booking ${booking._id} is already claimed by ${existing?.booking || 'a hold'}`);
+      }
+    }
+  }
+}
+
+console.log(`✅ Backfilled ${claimed} seat reservations from ${bookings.length} bookings`);
+
+await mongoose.connection.close();
+console.log('🔌 MongoDB connection closed');
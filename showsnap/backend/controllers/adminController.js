@@ -3,6 +3,7 @@ import Booking from '../models/Booking.js';
 import User from '../models/User.js';
 import Theater from '../models/Theater.js';
 import logger from '../utils/logger.js';
+import { findScreenLayout, listSeatIds } from '../utils/seatLayout.js';
 
 const log = logger || console;
 
@@ -24,30 +25,27 @@ export const createMovie = async (req, res) => {
       return res.status(400).json({ error: `Missing fields: ${missing.join(', ')}` });
     }
 
-    const seatRows = ['A', 'B', 'C', 'D'];
-    const seatCols = [1, 2, 3, 4, 5, 6];
-    const allSeats = seatRows.flatMap(row => seatCols.map(col => `${row}${col}`));
-
-    const generateBlockedSeats = () => {
+    const generateBlockedSeats = (theaterDoc, screen) => {
+      const allSeats = listSeatIds(findScreenLayout(theaterDoc, screen));
       const total = Math.floor(Math.random() * 10);
       const shuffled = [...allSeats].sort(() => 0.5 - Math.random());
       return shuffled.slice(0, total);
     };
 
-    const generateDefaultShowtimes = (releaseDate) => {
+    const generateDefaultShowtimes = (releaseDate, theaterDoc) => {
       const base = new Date(releaseDate);
       return [
         {
           startTime: base,
           screen: 'Screen 1',
           availableSeats: 100,
-          blockedSeats: generateBlockedSeats()
+          blockedSeats: generateBlockedSeats(theaterDoc, 'Screen 1')
         },
         {
           startTime: new Date(base.getTime() + 3 * 60 * 60 * 1000),
           screen: 'Screen 2',
           availableSeats: 100,
-          blockedSeats: generateBlockedSeats()
+          blockedSeats: generateBlockedSeats(theaterDoc, 'Screen 2')
         }
       ];
     };
@@ -67,7 +65,7 @@ export const createMovie = async (req, res) => {
         const theaterDoc = await Theater.findById(theaterId);
         if (!theaterDoc) return null;
 
-        const showtimes = generateDefaultShowtimes(releaseDate);
+        const showtimes = generateDefaultShowtimes(releaseDate, theaterDoc);
 
         return {
           name: theaterDoc.name,
@@ -247,6 +245,29 @@ export const getAllUsers = async (req, res) => {
   }
 };
 
+// 🎫 Grant or revoke door staff access (admin only)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!['user', 'staff'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be "user" or "staff"' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.userId, role: { $in: ['user', 'staff'] } }, // admin roles are not changed here
+      { role },
+      { new: true, runValidators: true }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found or is an admin' });
+
+    log.info(`🎫 ${user.email} is now ${role} (by ${req.user.email})`);
+    res.json({ message: '✅ Role updated', user });
+  } catch (err) {
+    log.error(`❌ Role update failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while updating role' });
+  }
+};
+
 // 📊 Admin stats (admin only)
 export const getAdminStats = async (req, res) => {
   try {
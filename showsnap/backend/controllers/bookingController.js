@@ -2,7 +2,23 @@ import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import Movie from '../models/Movie.js';
 import User from '../models/User.js';
+import SeatHold from '../models/SeatHold.js';
+import Theater from '../models/Theater.js';
+import { listSeatIds } from '../utils/seatLayout.js';
+import { resolveShowtime, splitQuote } from '../utils/pricing.js';
+import { buildTicket } from '../utils/ticket.js';
+import { createTicketToken } from '../utils/ticketToken.js';
+import { renderTicketPdf, renderInvoicePdf, invoiceFilename } from '../utils/bookingPdf.js';
+import { assignInvoiceNumber } from '../utils/invoice.js';
+import { offerFreedSeats } from '../utils/waitlist.js';
+import { getHoldExpiry } from '../utils/seatHolds.js';
+import { reserveSeats, releaseSeats, getHeldSeats } from '../utils/seatReservations.js';
+import { getRefundableAmount, isPaidBooking, issueRefund } from '../utils/refunds.js';
+import { normalizePolicy, quoteCancellation } from '../utils/cancellationPolicy.js';
+import { assertBookingOpen, syncBookingPoints } from '../utils/loyalty.js';
+import httpError from '../utils/httpError.js';
 import sendEmail from '../utils/sendEmail.js';
+import QRCode from 'qrcode';
 import logger from '../utils/logger.js';
 
 const log = logger || console;
@@ -15,9 +31,13 @@ const createBooking = async ({
   theater,
   showtimeDate,
   amount,
-  paymentStatus = 'paid'
+  pricing = null,
+  payment = {},
+  checkoutRef = null,
+  paymentStatus = 'paid',
+  holdId = null
 }) => {
-  if (!userId || !movieId || !seats?.length || !theater?.name || !theater?.location || !showtimeDate || !amount) {
+  if (!userId || !movieId || !seats?.length || !theater?.name || !theater?.location || !showtimeDate || !(amount >= 0)) {
     throw new Error('Missing or invalid booking data');
   }
 
@@ -33,21 +53,9 @@ const createBooking = async ({
   if (!user || !movie) throw new Error('User or movie not found');
 
   const showtime = new Date(showtimeDate);
-  const existingBookings = await Booking.find({
-    movie: movieId,
-    'theater.name': theater.name,
-    showtimeDate: showtime,
-    status: { $ne: 'cancelled' },
-    seats: { $in: seats }
-  });
-
-  if (existingBookings.length > 0) {
-    const bookedSeats = existingBookings.flatMap(b => b.seats);
-    const conflictSeats = seats.filter(s => bookedSeats.includes(s));
-    log.warn(`⚠️ Seat conflict: ${conflictSeats.join(', ')}`);
-    throw new Error(`Seats already booked: ${conflictSeats.join(', ')}`);
-  }
-
+  const screen = movie.embeddedTheaters
+    ?.find(t => t.name === theater.name)?.showtimes
+    ?.find(s => new Date(s.startTime).getTime() === showtime.getTime())?.screen;
   const expiresAt = paymentStatus === 'paid' ? null : new Date(Date.now() + 15 * 60 * 1000); // optional expiry
 
   const booking = new Booking({
@@ -56,15 +64,70 @@ const createBooking = async ({
     seats,
     theater,
     showtimeDate: showtime,
+    screen,
     status: 'confirmed',
     amount,
+    pricing,
+    // 👛 The provider captured what the credits did not cover
+    payment: { ...payment, amount: paymentStatus === 'paid' ? amount - (payment.walletAmount || 0) : null },
+    checkoutRef,
     paymentStatus,
     expiresAt
   });
 
-  await booking.save();
+  // 🔐 Claim every seat atomically before the booking exists
+  try {
+    await reserveSeats({
+      movieId,
+      theaterName: theater.name,
+      showtimeDate: showtime,
+      seats,
+      userId,
+      holdId,
+      bookingId: booking._id
+    });
+  } catch (err) {
+    if (err.conflicts) log.warn(`⚠️ Seat conflict: ${err.conflicts.join(', ')}`);
+    throw err;
+  }
+
+  try {
+    await booking.save();
+  } catch (err) {
+    await releaseSeats({ bookingId: booking._id });
+    throw err;
+  }
   log.info(`✅ Booking confirmed: ${booking._id}`);
 
+  // 🧾 Numbered only once saved, so the invoice sequence has no gaps
+  try {
+    await assignInvoiceNumber(booking);
+  } catch (invoiceErr) {
+    log.error(`❌ Invoice number not assigned for booking ${booking._id} (the invoice job retries): ${invoiceErr.message}`);
+  }
+
+  // 🎫 Scannable ticket, attached inline so mail clients that block data URIs still show it
+  const attachments = [];
+  try {
+    attachments.push({
+      filename: 'ticket.png',
+      content: await QRCode.toBuffer(createTicketToken(booking), { width: 240, margin: 1 }),
+      cid: 'ticket-qr'
+    });
+  } catch (qrErr) {
+    log.warn(`⚠️ Ticket QR failed for booking ${booking._id}: ${qrErr.message}`);
+  }
+
+  // 📄 Printable ticket and invoice
+  try {
+    attachments.push(
+      { filename: `ticket-${booking._id}.pdf`, content: await renderTicketPdf(booking, { movie }) },
+      { filename: invoiceFilename(booking), content: await renderInvoicePdf(booking, { movie, user }) }
+    );
+  } catch (pdfErr) {
+    log.warn(`⚠️ Ticket PDF failed for booking ${booking._id}: ${pdfErr.message}`);
+  }
+
   const emailHTML = `
     <div style="font-family: Arial, sans-serif; padding: 20px;">
       <h2>Booking Confirmed</h2>
@@ -75,7 +138,11 @@ const createBooking = async ({
         <li><strong>Location:</strong> ${theater.location}</li>
         <li><strong>Showtime:</strong> ${showtime.toLocaleString()}</li>
         <li><strong>Seats:</strong> ${seats.join(', ')}</li>
+        ${pricing?.addOns?.length
+          ? `<li><strong>Food &amp; beverages:</strong> ${pricing.addOns.map(a => `${a.quantity} × ${a.name}`).join(', ')}</li>`
+          : ''}
       </ul>
+      ${attachments.some(a => a.cid === 'ticket-qr') ? '<p>Show this code at the entrance:</p><img src="cid:ticket-qr" alt="Ticket QR code" width="240" height="240" />' : ''}
       <p>Enjoy your movie experience with <strong>ShowSnap</strong> 🍿</p>
     </div>
   `;
@@ -84,7 +151,8 @@ const createBooking = async ({
     await sendEmail({
       to: user.email,
       subject: `Your ShowSnap Booking for ${movie.title}`,
-      html: emailHTML
+      html: emailHTML,
+      attachments
     });
     log.info(`📩 Confirmation email sent to ${user.email}`);
   } catch (emailErr) {
@@ -115,21 +183,234 @@ const getBookedSeats = async (req, res) => {
     }
 
     const showtimeDate = new Date(showtime);
-    const bookings = await Booking.find({
-      movie: movieId,
-      'theater.name': theater,
-      showtimeDate,
-      status: { $ne: 'cancelled' }
-    });
+    const [bookings, held] = await Promise.all([
+      Booking.find({
+        movie: movieId,
+        'theater.name': theater,
+        showtimeDate,
+        status: { $ne: 'cancelled' }
+      }),
+      getHeldSeats({
+        movieId,
+        theaterName: theater,
+        showtimeDate,
+        excludeHoldId: req.query.holdId // caller's own hold stays selectable
+      })
+    ]);
 
     const bookedSeats = bookings.flatMap(b => b.seats);
-    res.json(bookedSeats);
+    const heldSeats = held.filter(s => !bookedSeats.includes(s));
+    res.json({ bookedSeats, heldSeats });
   } catch (err) {
     log.error(`❌ Error fetching booked seats: ${err.message}`);
     res.status(500).json({ error: 'Server error while fetching booked seats' });
   }
 };
 
+// 🔒 Hold seats for a showtime until payment completes
+const holdSeats = async (req, res) => {
+  try {
+    const { movieId, theater, showtimeDate, seats, checkoutRef } = req.body;
+    const userId = req.user._id;
+
+    if (!movieId || !theater?.name || !theater?.location || !showtimeDate || !Array.isArray(seats) || !seats.length) {
+      return res.status(400).json({ error: 'Missing or invalid hold data' });
+    }
+
+    if (checkoutRef !== undefined && (typeof checkoutRef !== 'string' || !/^[\w-]{8,64}$/.test(checkoutRef))) {
+      return res.status(400).json({ error: 'Invalid checkout reference' });
+    }
+
+    const {
+      movie,
+      showtime: embeddedShowtime,
+      showtimeDate: showtime,
+      layout
+    } = await resolveShowtime({ movieId, theaterName: theater.name, showtimeDate });
+
+    // ⭐ Upcoming movies open for booking early to higher loyalty tiers
+    await assertBookingOpen(movie, userId);
+
+    const requestedSeats = [...new Set(seats)];
+    const validSeats = listSeatIds(layout);
+    const invalid = requestedSeats.filter(s => !validSeats.includes(s));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Seats do not exist on this screen: ${invalid.join(', ')}` });
+    }
+
+    const blocked = requestedSeats.filter(s => (embeddedShowtime.blockedSeats || []).includes(s));
+
+    if (blocked.length > 0) {
+      return res.status(409).json({ error: `Seats not available: ${blocked.join(', ')}`, conflicts: blocked });
+    }
+
+    // ♻️ A new selection replaces the user's earlier hold on this showtime
+    const previousHolds = await SeatHold.find({
+      user: userId,
+      movie: movieId,
+      'theater.name': theater.name,
+      showtimeDate: showtime,
+      booking: null, // holds for changing a booking are managed separately
+      status: 'active'
+    });
+    for (const previous of previousHolds) {
+      await releaseSeats({ holdId: previous._id });
+      previous.status = 'released';
+      await previous.save();
+    }
+
+    const hold = new SeatHold({
+      user: userId,
+      movie: movieId,
+      theater: { name: theater.name, location: theater.location },
+      showtimeDate: showtime,
+      seats: requestedSeats,
+      checkoutRef: checkoutRef || null,
+      expiresAt: getHoldExpiry()
+    });
+
+    try {
+      await reserveSeats({
+        movieId,
+        theaterName: theater.name,
+        showtimeDate: showtime,
+        seats: requestedSeats,
+        userId,
+        holdId: hold._id,
+        expiresAt: hold.expiresAt
+      });
+    } catch (err) {
+      if (!err.conflicts) throw err;
+      log.warn(`⚠️ Hold conflict: ${err.conflicts.join(', ')}`);
+      return res.status(409).json({ error: `Seats not available: ${err.conflicts.join(', ')}`, conflicts: err.conflicts });
+    }
+
+    try {
+      await hold.save();
+    } catch (err) {
+      await releaseSeats({ holdId: hold._id });
+      throw err;
+    }
+
+    log.info(`🔒 Seats held: ${hold._id} (${requestedSeats.join(', ')})`);
+    res.status(201).json({ holdId: hold._id, seats: hold.seats, expiresAt: hold.expiresAt });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, ...(err.opensAt && { opensAt: err.opensAt }) });
+    log.error(`❌ Error holding seats: ${err.message}`);
+    res.status(500).json({ error: 'Server error while holding seats' });
+  }
+};
+
+// 🔓 Release a seat hold (e.g. payment dismissed)
+const releaseSeatHold = async (req, res) => {
+  try {
+    const { holdId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(holdId)) {
+      return res.status(400).json({ error: 'Invalid hold ID' });
+    }
+
+    const hold = await SeatHold.findOneAndUpdate(
+      { _id: holdId, user: req.user._id, status: 'active' },
+      { status: 'released' },
+      { new: true }
+    );
+
+    if (!hold) return res.status(404).json({ error: 'Seat hold not found' });
+
+    await releaseSeats({ holdId: hold._id });
+    log.info(`🔓 Seat hold released: ${hold._id}`);
+    res.json({ success: true });
+  } catch (err) {
+    log.error(`❌ Error releasing seat hold: ${err.message}`);
+    res.status(500).json({ error: 'Server error while releasing seat hold' });
+  }
+};
+
+// 🎫 Resolve the booking produced by a checkout (owner only)
+const getBookingConfirmation = async (req, res) => {
+  try {
+    const { orderId, paymentId, checkoutRef } = req.query;
+    const query = { user: req.user._id };
+
+    if (orderId) query['payment.orderId'] = String(orderId);
+    else if (paymentId) query['payment.paymentId'] = String(paymentId);
+    else if (checkoutRef) query.checkoutRef = String(checkoutRef);
+    else return res.status(400).json({ error: 'orderId, paymentId or checkoutRef is required' });
+
+    const booking = await Booking.findOne(query).sort({ createdAt: -1 }).populate('movie');
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    res.json(buildTicket(booking));
+  } catch (err) {
+    log.error(`❌ Error fetching booking confirmation: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching booking confirmation' });
+  }
+};
+
+// 💺 Cancel some seats of a booking and refund their share
+const cancelSeats = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (!Array.isArray(req.body.seats)) return res.status(400).json({ error: 'Seats must be an array' });
+    const toWallet = parseRefundTo(req.body.refundTo);
+
+    const { booking: current, quote } = await getOwnCancellationQuote(bookingId, req.user._id);
+    if (!quote.allowed) {
+      return res.status(current.status === 'confirmed' ? 400 : 409).json({ error: quote.reason, cancellation: quote });
+    }
+
+    const release = quoteSeatRelease(current, quote, req.body.seats);
+    const now = new Date();
+    const perSeatRefund = Math.floor(release.refundAmount / release.seats.length);
+
+    // 🔐 Apply only if the seats are unchanged since they were priced
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, user: req.user._id, status: 'confirmed', seats: current.seats },
+      {
+        $pull: { seats: { $in: release.seats } },
+        $set: { amount: release.remainingTotal, pricing: release.remaining },
+        $push: {
+          cancelledSeats: {
+            $each: release.seats.map((seat, i) => ({
+              seat,
+              // the first seat absorbs the rounding remainder
+              refundAmount: perSeatRefund + (i === 0 ? release.refundAmount - perSeatRefund * release.seats.length : 0),
+              cancelledAt: now
+            }))
+          }
+        }
+      },
+      { new: true }
+    ).populate('movie');
+
+    if (!booking) {
+      return res.status(409).json({ error: 'Booking changed while cancelling seats. Please try again.' });
+    }
+
+    await releaseSeats({ bookingId: booking._id }, release.seats);
+    log.info(`💺 Seats cancelled on booking ${booking._id}: ${release.seats.join(', ')}`);
+
+    offerFreedSeats({
+      movieId: booking.movie._id,
+      theaterName: booking.theater.name,
+      showtimeDate: booking.showtimeDate,
+      seats: release.seats
+    }).catch(err => log.error(`❌ Waitlist offers failed for booking ${booking._id}: ${err.message}`));
+
+    const refund = await issueRefund(booking, release.refundAmount, `seats ${release.seats.join(', ')}`, { toWallet });
+    await syncBookingPoints(booking, `seats ${release.seats.join(', ')} cancelled`).catch(err =>
+      log.error(`❌ Loyalty points not updated for booking ${booking._id}: ${err.message}`)
+    );
+
+    res.json({ success: true, booking, refund, cancelledSeats: release.seats });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    log.error(`❌ Cancel seats error: ${err.message}`);
+    res.status(500).json({ error: 'Server error while cancelling seats' });
+  }
+};
+
 // 🔍 Get booking by ID
 const getBookingById = async (req, res) => {
   try {
@@ -143,27 +424,147 @@ const getBookingById = async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    res.json(booking);
+    // 🎫 Only the owner gets the entry token
+    const isOwner = String(booking.user?._id) === String(req.user._id);
+    res.json({
+      ...booking.toJSON(),
+      ticketToken: isOwner && booking.status === 'confirmed' ? createTicketToken(booking) : null
+    });
   } catch (err) {
     log.error(`❌ Error fetching booking by ID: ${err.message}`);
     res.status(500).json({ error: 'Server error while fetching booking' });
   }
 };
 
-// ❌ Cancel booking
+/**
+ * Loads a booking owned by the user with the refund its theater's policy allows right now
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - Requesting user
+ * @returns {Promise<{ booking: Object, quote: Object }>}
+ * @throws {Error} 400 for a malformed ID, 404 when the booking is missing or someone else's
+ */
+export const getOwnCancellationQuote = async (bookingId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) throw httpError(400, 'Invalid booking ID');
+
+  const booking = await Booking.findOne({ _id: bookingId, user: userId });
+  if (!booking) throw httpError(404, 'Booking not found');
+
+  const theater = await Theater.findOne({ name: booking.theater.name }).select('cancellationPolicy').lean();
+  const policy = normalizePolicy(theater?.cancellationPolicy);
+
+  return { booking, quote: quoteCancellation(booking, policy, getRefundableAmount(booking)) };
+};
+
+/**
+ * Reads where a cancellation refund should go
+ * @param {string} [refundTo] - 'original' (default) or 'wallet' for instant ShowSnap credits
+ * @returns {boolean} Whether to refund as credits
+ * @throws {Error} 400 for any other value
+ */
+const parseRefundTo = (refundTo = 'original') => {
+  if (!['original', 'wallet'].includes(refundTo)) throw httpError(400, 'Refund destination must be original or wallet');
+  return refundTo === 'wallet';
+};
+
+/**
+ * Prices releasing some seats of a booking under its cancellation quote
+ * @param {Object} booking - Booking document
+ * @param {Object} quote - Cancellation quote for the whole booking
+ * @param {Array<string>} requestedSeats - Seats to release
+ * @returns {Object} { seats, remaining, remainingTotal, refundableAmount, cancellationFee, refundAmount }
+ * @throws {Error} 400 when the seats are not a strict subset of the booking's seats
+ */
+const quoteSeatRelease = (booking, quote, requestedSeats) => {
+  const seats = [...new Set(requestedSeats.map(s => String(s).trim().toUpperCase()))];
+  const foreign = seats.filter(s => !booking.seats.includes(s));
+
+  if (seats.length === 0) throw httpError(400, 'Select at least one seat to cancel');
+  if (foreign.length > 0) throw httpError(400, `Seats not in this booking: ${foreign.join(', ')}`);
+  if (seats.length === booking.seats.length) throw httpError(400, 'To cancel every seat, cancel the whole booking');
+
+  const { remaining, remainingTotal, releasedValue, releasedFees } =
+    splitQuote(booking.pricing, booking.amount, booking.seats, seats);
+
+  // 💺 Convenience fees of released seats are kept, like on a full cancellation
+  const refundableAmount = isPaidBooking(booking) ? Math.max(0, releasedValue - releasedFees) : 0;
+  const refundAmount = Math.round((refundableAmount * quote.refundPercent) / 100);
+
+  return {
+    seats,
+    remaining,
+    remainingTotal,
+    refundableAmount,
+    cancellationFee: quote.allowed ? refundableAmount - refundAmount : 0,
+    refundAmount
+  };
+};
+
+// 📜 Preview the refund before cancelling (pass ?seats=A1,A2 for a partial cancellation)
+const getCancellationQuote = async (req, res) => {
+  try {
+    const { booking, quote } = await getOwnCancellationQuote(req.params.bookingId, req.user._id);
+
+    if (req.query.seats) {
+      const release = quoteSeatRelease(booking, quote, String(req.query.seats).split(','));
+      return res.json({
+        bookingId: booking._id,
+        ...quote,
+        seats: release.seats,
+        refundableAmount: release.refundableAmount,
+        cancellationFee: release.cancellationFee,
+        refundAmount: release.refundAmount,
+        remainingAmount: release.remainingTotal
+      });
+    }
+
+    res.json({ bookingId: booking._id, ...quote });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    log.error(`❌ Error quoting cancellation: ${err.message}`);
+    res.status(500).json({ error: 'Server error while quoting cancellation' });
+  }
+};
+
+// ❌ Cancel booking and refund the payment per the theater's policy
 export const cancelBooking = async (req, res) => {
   try {
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.bookingId,
+    const { bookingId } = req.params;
+    const toWallet = parseRefundTo(req.body?.refundTo);
+    const { booking: current, quote } = await getOwnCancellationQuote(bookingId, req.user._id);
+
+    if (!quote.allowed) {
+      return res.status(current.status === 'confirmed' ? 400 : 409).json({ error: quote.reason, cancellation: quote });
+    }
+
+    // 🔐 Only one cancellation can win, so the refund is issued once
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, user: req.user._id, status: 'confirmed' },
       { status: 'cancelled', cancelledAt: new Date() },
       { new: true }
     ).populate('user movie');
 
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
+    if (!booking) return res.status(409).json({ error: 'Booking is already cancelled' });
+
+    await releaseSeats({ bookingId: booking._id });
+    log.info(`🚫 Booking cancelled: ${booking._id} (${quote.refundPercent}% refund)`);
+
+    // ⏳ Freed seats go to the showtime's waitlist first
+    offerFreedSeats({
+      movieId: booking.movie._id,
+      theaterName: booking.theater.name,
+      showtimeDate: booking.showtimeDate,
+      seats: booking.seats
+    }).catch(err => log.error(`❌ Waitlist offers failed for booking ${booking._id}: ${err.message}`));
 
-    log.info(`🚫 Booking cancelled: ${booking._id}`);
+    const refund = await issueRefund(booking, quote.refundAmount, 'cancellation', { toWallet });
+    await syncBookingPoints(booking, 'cancellation').catch(err =>
+      log.error(`❌ Loyalty points not reversed for booking ${booking._id}: ${err.message}`)
+    );
+    const refundLine = refund
+      ? `<li><strong>Refund:</strong> ₹${(refund.amount / 100).toFixed(2)}${
+          refund.destination === 'wallet' ? ' as ShowSnap credits' : ''
+        } (${refund.status})</li>`
+      : '';
 
     const emailHTML = `
       <div style="font-family: Arial, sans-serif; padding: 20px;">
@@ -175,6 +576,7 @@ export const cancelBooking = async (req, res) => {
           <li><strong>Location:</strong> ${booking.theater.location}</li>
           <li><strong>Showtime:</strong> ${new Date(booking.showtimeDate).toLocaleString()}</li>
           <li><strong>Seats:</strong> ${booking.seats.join(', ')}</li>
+          ${refundLine}
         </ul>
         <p>We hope to see you again on <strong>ShowSnap</strong> 🎬</p>
       </div>
@@ -191,10 +593,11 @@ export const cancelBooking = async (req, res) => {
       log.warn(`⚠️ Email failed to ${booking.user.email}: ${emailErr.message}`);
     }
 
-    res.status(200).json({ success: true, booking });
+    res.status(200).json({ success: true, booking, refund, cancellation: quote });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     log.error(`❌ Cancel booking error: ${error.message}`);
-    res.status(500).json({ message: 'Server error' });
+    res.status(500).json({ error: 'Server error while cancelling booking' });
   }
 };
 
@@ -202,5 +605,10 @@ export {
   createBooking,
   getBookedSeats,
   getAllUserBookings,
-  getBookingById
+  getBookingById,
+  getBookingConfirmation,
+  getCancellationQuote,
+  cancelSeats,
+  holdSeats,
+  releaseSeatHold
 };
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import { renderTicketPdf, renderInvoicePdf, invoiceFilename } from '../utils/bookingPdf.js';
+import logger from '../utils/logger.js';
+
+const log = logger || console;
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+/**
+ * Loads a booking the requester may download documents for (its owner or an admin)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Booking with movie and user populated, or null once a response was sent
+ */
+const loadDocumentBooking = async (req, res) => {
+  const { bookingId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    res.status(400).json({ error: 'Invalid booking ID' });
+    return null;
+  }
+
+  const booking = await Booking.findById(bookingId).populate('movie user');
+  const isOwner = booking && String(booking.user?._id) === String(req.user._id);
+  if (!booking || (!isOwner && !ADMIN_ROLES.includes(req.user.role))) {
+    res.status(404).json({ error: 'Booking not found' });
+    return null;
+  }
+  return booking;
+};
+
+const sendPdf = (res, filename, pdf) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+// 🎫 Download a booking's ticket as PDF
+export const getTicketPdf = async (req, res) => {
+  try {
+    const booking = await loadDocumentBooking(req, res);
+    if (!booking) return;
+
+    sendPdf(res, `ticket-${booking._id}.pdf`, await renderTicketPdf(booking));
+  } catch (err) {
+    log.error(`❌ Ticket PDF error: ${err.message}`);
+    res.status(500).json({ error: 'Server error while generating ticket' });
+  }
+};
+
+// 🧾 Download a booking's invoice as PDF
+export const getInvoicePdf = async (req, res) => {
+  try {
+    const booking = await loadDocumentBooking(req, res);
+    if (!booking) return;
+
+    sendPdf(res, invoiceFilename(booking), await renderInvoicePdf(booking));
+  } catch (err) {
+    log.error(`❌ Invoice PDF error: ${err.message}`);
+    res.status(500).json({ error: 'Server error while generating invoice' });
+  }
+};
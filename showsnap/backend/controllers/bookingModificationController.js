@@ -0,0 +1,314 @@
+import Booking from '../models/Booking.js';
+import SeatHold from '../models/SeatHold.js';
+import { getOwnCancellationQuote } from './bookingController.js';
+import { resolveShowtime, quoteBooking } from '../utils/pricing.js';
+import { listSeatIds } from '../utils/seatLayout.js';
+import { getActiveHold, getHoldExpiry } from '../utils/seatHolds.js';
+import { reserveSeats, releaseSeats } from '../utils/seatReservations.js';
+import { getPaidAmount, issueRefund } from '../utils/refunds.js';
+import { syncBookingPoints } from '../utils/loyalty.js';
+import httpError from '../utils/httpError.js';
+import logger from '../utils/logger.js';
+
+const log = logger || console;
+
+const isSameShowtime = (a, b) =>
+  a.theater.name === b.theater.name && new Date(a.showtimeDate).getTime() === new Date(b.showtimeDate).getTime();
+
+const snapshot = (booking) => ({
+  theater: { name: booking.theater.name, location: booking.theater.location },
+  showtimeDate: booking.showtimeDate,
+  screen: booking.screen,
+  seats: [...booking.seats],
+  amount: booking.amount
+});
+
+/**
+ * Seats a booking still has to claim to move to `seats` at the target showtime
+ * (seats it already owns at that showtime are kept as they are)
+ * @param {Object} booking - Booking document
+ * @param {Object} target - { theater, showtimeDate, seats }
+ * @returns {Array<string>}
+ */
+const getSeatsToClaim = (booking, target) =>
+  isSameShowtime(booking, target) ? target.seats.filter(s => !booking.seats.includes(s)) : target.seats;
+
+/**
+ * Prices a booking's change: F&B and the discounts it was bought with (e.g. its coupon) carry over,
+ * so only a real change in seat value is charged or refunded
+ * @param {Object} booking - Booking document
+ * @param {Object} target - { theaterName, showtimeDate, seats, userId }
+ * @returns {Promise<Object>} Price quote (see utils/pricing.js)
+ */
+export const quoteModification = (booking, { theaterName, showtimeDate, seats, userId }) =>
+  quoteBooking({
+    movieId: booking.movie,
+    theaterName,
+    showtimeDate,
+    seats,
+    addOnLines: booking.pricing?.addOns,
+    discounts: (booking.pricing?.discounts || []).map(d => ({ label: d.label, amount: d.amount })),
+    userId
+  });
+
+/**
+ * Moves a booking to new seats and/or another showtime of the same movie.
+ * Called directly when the change costs nothing extra, or once the price difference is paid.
+ * @param {Object} params
+ * @param {string} params.bookingId - Booking being changed
+ * @param {string} params.holdId - Hold that claimed the new seats
+ * @param {Object} params.theater - Target theater ({ name, location })
+ * @param {Date} params.showtimeDate - Target showtime
+ * @param {Array<string>} params.seats - Full seat list after the change
+ * @param {Object} params.quote - Price of the new seats (becomes the booking's pricing)
+ * @param {Object} [params.payment] - { provider, orderId, paymentId } of the difference payment
+ * @returns {Promise<{ booking: Object, refund: Object|null }>}
+ * @throws {Error} 409 when the booking or seats changed in the meantime
+ */
+export const applyModification = async ({ bookingId, holdId, theater, showtimeDate, seats, quote, payment = null }) => {
+  const booking = await Booking.findOne({ _id: bookingId, status: 'confirmed' });
+  if (!booking) throw httpError(409, 'Booking can no longer be changed');
+
+  const target = { theater, showtimeDate: new Date(showtimeDate), seats };
+  const { showtime } = await resolveShowtime({ movieId: booking.movie, theaterName: theater.name, showtimeDate });
+  const difference = quote.total - booking.amount;
+
+  // 🔐 Claim the new seats for the booking before it points at them
+  await reserveSeats({
+    movieId: booking.movie,
+    theaterName: theater.name,
+    showtimeDate: target.showtimeDate,
+    seats: getSeatsToClaim(booking, target),
+    userId: booking.user,
+    holdId,
+    bookingId: booking._id
+  });
+
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: 'confirmed',
+      seats: booking.seats,
+      showtimeDate: booking.showtimeDate,
+      'theater.name': booking.theater.name
+    },
+    {
+      $set: {
+        theater,
+        showtimeDate: target.showtimeDate,
+        screen: showtime.screen,
+        seats,
+        amount: quote.total,
+        pricing: quote
+      },
+      $push: {
+        modifications: {
+          from: snapshot(booking),
+          to: { theater, showtimeDate: target.showtimeDate, screen: showtime.screen, seats, amount: quote.total },
+          difference,
+          provider: payment?.provider || null,
+          orderId: payment?.orderId || null,
+          paymentId: payment?.paymentId || null
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await releaseSeats(
+      { bookingId: booking._id, theaterName: theater.name, showtimeDate: target.showtimeDate },
+      getSeatsToClaim(booking, target)
+    );
+    throw httpError(409, 'Booking changed while it was being modified. Please try again.');
+  }
+
+  // 🧹 Free the seats the booking no longer uses, then retire the hold. The change is done by now: if this
+  // fails, the hold stays active and the expiry sweep frees the booking's stray seats once it lapses.
+  const vacated = isSameShowtime(booking, target) ? booking.seats.filter(s => !seats.includes(s)) : booking.seats;
+  try {
+    await releaseSeats({ bookingId: booking._id, theaterName: booking.theater.name, showtimeDate: booking.showtimeDate }, vacated);
+    await SeatHold.updateOne({ _id: holdId }, { $set: { status: 'consumed' } });
+  } catch (err) {
+    log.error(`❌ Seats vacated by booking ${booking._id} not released, left to the expiry sweep: ${err.message}`);
+  }
+
+  log.info(`🔀 Booking ${booking._id} changed: ${booking.seats.join(',')} → ${seats.join(',')} (${difference} paise)`);
+
+  // 💸 A cheaper change gives the difference back, up to what the booking's payment still holds
+  let refund = null;
+  if (difference < 0) {
+    const stillPaid = getPaidAmount(updated) - (updated.refundedAmount || 0);
+    refund = await issueRefund(updated, Math.min(-difference, stillPaid), 'booking change');
+    if (refund?.refundId) {
+      updated.modifications[updated.modifications.length - 1].refundId = refund.refundId;
+      await updated.save();
+    }
+  }
+
+  // ⭐ Points follow what the booking is now worth
+  await syncBookingPoints(updated, 'booking change').catch(err =>
+    log.error(`❌ Loyalty points not updated for booking ${updated._id}: ${err.message}`)
+  );
+
+  return { booking: updated, refund };
+};
+
+// 🔀 Hold new seats for a booking change and quote the price difference
+const requestModification = async (req, res) => {
+  try {
+    const { theater, showtimeDate, seats } = req.body;
+    const userId = req.user._id;
+
+    if (!Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({ error: 'Select the seats you want' });
+    }
+
+    const { booking, quote: cancellation } = await getOwnCancellationQuote(req.params.bookingId, userId);
+    if (!cancellation.allowed) {
+      return res.status(400).json({ error: `This booking can no longer be changed: ${cancellation.reason}` });
+    }
+
+    const {
+      theater: embeddedTheater,
+      showtime,
+      showtimeDate: start,
+      layout
+    } = await resolveShowtime({
+      movieId: booking.movie,
+      theaterName: theater?.name || booking.theater.name,
+      showtimeDate: showtimeDate || booking.showtimeDate
+    });
+
+    if (start <= new Date()) return res.status(400).json({ error: 'Choose a show that has not started yet' });
+
+    const targetSeats = [...new Set(seats.map(s => String(s).trim().toUpperCase()))];
+    const validSeats = listSeatIds(layout);
+    const invalid = targetSeats.filter(s => !validSeats.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Seats do not exist on this screen: ${invalid.join(', ')}` });
+    }
+
+    const blocked = targetSeats.filter(s => (showtime.blockedSeats || []).includes(s));
+    if (blocked.length > 0) {
+      return res.status(409).json({ error: `Seats not available: ${blocked.join(', ')}`, conflicts: blocked });
+    }
+
+    const target = {
+      theater: { name: embeddedTheater.name, location: embeddedTheater.location },
+      showtimeDate: start,
+      seats: targetSeats
+    };
+
+    if (
+      isSameShowtime(booking, target) &&
+      targetSeats.length === booking.seats.length &&
+      targetSeats.every(s => booking.seats.includes(s))
+    ) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+
+    // ♻️ Only one pending change per booking
+    const previous = await SeatHold.find({ booking: booking._id, status: 'active' });
+    for (const old of previous) {
+      await releaseSeats({ holdId: old._id });
+      old.status = 'released';
+      await old.save();
+    }
+
+    const hold = new SeatHold({
+      user: userId,
+      movie: booking.movie,
+      theater: target.theater,
+      showtimeDate: start,
+      seats: getSeatsToClaim(booking, target),
+      targetSeats,
+      booking: booking._id,
+      expiresAt: getHoldExpiry()
+    });
+
+    await reserveSeats({
+      movieId: booking.movie,
+      theaterName: target.theater.name,
+      showtimeDate: start,
+      seats: hold.seats,
+      userId,
+      holdId: hold._id,
+      expiresAt: hold.expiresAt
+    });
+
+    try {
+      await hold.save();
+    } catch (err) {
+      await releaseSeats({ holdId: hold._id });
+      throw err;
+    }
+
+    const quote = await quoteModification(booking, {
+      theaterName: target.theater.name,
+      showtimeDate: start,
+      seats: targetSeats,
+      userId
+    });
+    const difference = quote.total - booking.amount;
+
+    res.status(201).json({
+      holdId: hold._id,
+      expiresAt: hold.expiresAt,
+      theater: target.theater,
+      showtimeDate: start,
+      seats: targetSeats,
+      quote,
+      currentAmount: booking.amount,
+      difference,
+      requiresPayment: difference > 0
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, conflicts: err.conflicts });
+    log.error(`❌ Booking change request failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while changing booking' });
+  }
+};
+
+// ✅ Apply a change that costs nothing extra (paid changes are applied after /api/payments/verify)
+const confirmModification = async (req, res) => {
+  try {
+    const hold = await getActiveHold(req.body.holdId, req.user._id);
+    if (!hold || String(hold.booking) !== req.params.bookingId) {
+      return res.status(410).json({ error: 'Seat hold expired or not found. Please choose your seats again.' });
+    }
+
+    const booking = await Booking.findOne({ _id: hold.booking, user: req.user._id, status: 'confirmed' });
+    if (!booking) return res.status(409).json({ error: 'Booking can no longer be changed' });
+
+    const quote = await quoteModification(booking, {
+      theaterName: hold.theater.name,
+      showtimeDate: hold.showtimeDate,
+      seats: hold.targetSeats,
+      userId: req.user._id
+    });
+    const difference = quote.total - booking.amount;
+
+    if (difference > 0) {
+      return res.status(402).json({ error: 'This change costs more. Pay the difference to confirm it.', difference });
+    }
+
+    const result = await applyModification({
+      bookingId: booking._id,
+      holdId: hold._id,
+      theater: hold.theater,
+      showtimeDate: hold.showtimeDate,
+      seats: hold.targetSeats,
+      quote
+    });
+
+    await result.booking.populate('movie');
+    res.json({ success: true, booking: result.booking, refund: result.refund, difference });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message, conflicts: err.conflicts });
+    log.error(`❌ Booking change failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while changing booking' });
+  }
+};
+
+export { requestModification, confirmModification };
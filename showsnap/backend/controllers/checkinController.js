@@ -0,0 +1,90 @@
+import Booking from '../models/Booking.js';
+import { verifyTicketToken, tokenMatchesBooking } from '../utils/ticketToken.js';
+import logger from '../utils/logger.js';
+
+const log = logger || console;
+
+/**
+ * Minutes before/after the show start during which tickets are accepted
+ * (CHECKIN_OPENS_MINUTES, default 60; CHECKIN_CLOSES_MINUTES, default 30)
+ * @returns {{ opensBefore: number, closesAfter: number }}
+ */
+const getCheckinWindow = () => {
+  const opens = Number(process.env.CHECKIN_OPENS_MINUTES);
+  const closes = Number(process.env.CHECKIN_CLOSES_MINUTES);
+  return {
+    opensBefore: opens >= 0 ? opens : 60,
+    closesAfter: closes >= 0 ? closes : 30
+  };
+};
+
+const summarize = (booking) => ({
+  bookingId: booking._id,
+  movie: booking.movie?.title,
+  theater: booking.theater?.name,
+  screen: booking.screen,
+  showtimeDate: booking.showtimeDate,
+  seats: booking.seats,
+  admittedSeats: booking.admittedSeats
+});
+
+const reject = (res, status, reason, booking = null) =>
+  res.status(status).json({ accepted: false, reason, error: reason, booking: booking && summarize(booking) });
+
+// 🚪 Validate a scanned ticket and admit its seats (staff only)
+export const scanTicket = async (req, res) => {
+  try {
+    const { code, seats } = req.body;
+    if (!code) return reject(res, 400, 'Ticket code is required');
+
+    const decoded = verifyTicketToken(code);
+    if (!decoded.valid) return reject(res, 400, decoded.reason);
+
+    const booking = await Booking.findById(decoded.bookingId).populate('movie', 'title');
+    if (!booking) return reject(res, 404, 'Booking not found');
+    if (booking.status !== 'confirmed') return reject(res, 409, 'Booking was cancelled', booking);
+    if (!tokenMatchesBooking(decoded, booking)) {
+      return reject(res, 409, 'Ticket is out of date — the booking was changed. Ask for the latest ticket.', booking);
+    }
+
+    // ⏰ Only around the show start
+    const { opensBefore, closesAfter } = getCheckinWindow();
+    const minutesToStart = (new Date(booking.showtimeDate).getTime() - Date.now()) / 60000;
+    if (minutesToStart > opensBefore) {
+      return reject(res, 409, `Too early — entry opens ${opensBefore} minutes before the show`, booking);
+    }
+    if (minutesToStart < -closesAfter) return reject(res, 409, 'Entry for this show has closed', booking);
+
+    // 💺 Admit the requested seats (all by default); each seat gets in once
+    const requested = Array.isArray(seats) && seats.length
+      ? [...new Set(seats.map(s => String(s).trim().toUpperCase()))]
+      : booking.seats;
+    const foreign = requested.filter(s => !booking.seats.includes(s));
+    if (foreign.length) return reject(res, 400, `Seats not on this ticket: ${foreign.join(', ')}`, booking);
+
+    const toAdmit = requested.filter(s => !booking.admittedSeats.includes(s));
+    if (toAdmit.length === 0) return reject(res, 409, 'Already admitted', booking);
+
+    const admitted = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed', admittedSeats: { $nin: toAdmit } },
+      {
+        $addToSet: { admittedSeats: { $each: toAdmit } },
+        $push: { checkIns: { seats: toAdmit, at: new Date(), by: req.user._id } }
+      },
+      { new: true }
+    ).populate('movie', 'title');
+
+    if (!admitted) return reject(res, 409, 'Already admitted', booking);
+
+    log.info(`🚪 Admitted ${toAdmit.join(', ')} on booking ${booking._id} (by ${req.user.email})`);
+    res.json({
+      accepted: true,
+      reason: `Admit ${toAdmit.length} — seats ${toAdmit.join(', ')}`,
+      admitted: toAdmit,
+      booking: summarize(admitted)
+    });
+  } catch (err) {
+    log.error(`❌ Ticket scan failed: ${err.message}`);
+    res.status(500).json({ accepted: false, error: 'Server error while checking ticket' });
+  }
+};
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import { quoteWithCoupon } from '../utils/coupons.js';
+import logger from '../utils/logger.js';
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'minAmount', 'maxDiscount',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit',
+  'movies', 'theaters', 'daysOfWeek', 'active'
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+const sendSaveError = (res, err, action) => {
+  if (err.code === 11000) return res.status(409).json({ error: 'A coupon with this code already exists' });
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({ error: err.message });
+  }
+  logger.error(`❌ Error ${action} coupon: ${err.message}`);
+  res.status(500).json({ error: `Server error while ${action} coupon` });
+};
+
+/**
+ * POST /api/coupons/validate
+ * Check a coupon against a seat selection and return the discounted quote
+ */
+export const validateCoupon = async (req, res) => {
+  const { code, movieId, theater, showtimeDate, seats, addOns } = req.body;
+  if (!code?.trim()) return res.status(400).json({ error: 'Coupon code is required' });
+  if (!movieId || !theater?.name || !showtimeDate || !Array.isArray(seats) || !seats.length) {
+    return res.status(400).json({ error: 'Missing or invalid booking data' });
+  }
+
+  try {
+    const { quote, coupon } = await quoteWithCoupon({
+      movieId,
+      theaterName: theater.name,
+      showtimeDate,
+      seats,
+      addOns,
+      couponCode: code,
+      userId: req.user._id
+    });
+    res.json({ valid: true, code: coupon.code, discount: coupon.discount, quote });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ valid: false, error: err.message });
+    logger.error(`❌ Coupon validation failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while validating coupon' });
+  }
+};
+
+/**
+ * GET /api/coupons (Admin only)
+ * List coupons, newest first
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json({ count: coupons.length, coupons });
+  } catch (err) {
+    logger.error(`❌ Error fetching coupons: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching coupons' });
+  }
+};
+
+/**
+ * POST /api/coupons (Admin only)
+ * Create a coupon
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({ ...pickEditable(req.body), createdBy: req.user._id });
+    logger.info(`🏷️ Coupon created: ${coupon.code} by ${req.user.email}`);
+    res.status(201).json({ message: '✅ Coupon created successfully', coupon });
+  } catch (err) {
+    sendSaveError(res, err, 'creating');
+  }
+};
+
+/**
+ * PUT /api/coupons/:id (Admin only)
+ * Update a coupon (usage counts are not editable)
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid coupon ID' });
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+
+    // 💾 save() runs the schema's cross-field checks
+    coupon.set(pickEditable(req.body));
+    await coupon.save();
+
+    logger.info(`🏷️ Coupon updated: ${coupon.code} by ${req.user.email}`);
+    res.json({ message: '✅ Coupon updated successfully', coupon });
+  } catch (err) {
+    sendSaveError(res, err, 'updating');
+  }
+};
+
+/**
+ * DELETE /api/coupons/:id (Admin only)
+ * Delete a coupon; past redemptions keep its code
+ */
+export const deleteCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid coupon ID' });
+
+    const deleted = await Coupon.findByIdAndDelete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Coupon not found' });
+
+    logger.info(`🗑️ Coupon deleted: ${deleted.code} by ${req.user.email}`);
+    res.json({ message: '✅ Coupon deleted successfully' });
+  } catch (err) {
+    logger.error(`❌ Error deleting coupon: ${err.message}`);
+    res.status(500).json({ error: 'Server error while deleting coupon' });
+  }
+};
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import Movie from '../models/Movie.js';
 import Theater from '../models/Theater.js';
+import { getBookingOpensAt, getUserTier } from '../utils/loyalty.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -129,7 +130,7 @@ export const getMovies = async (req, res) => {
 
 /**
  * GET /api/movies/:id
- * Fetch a single movie by ID with embedded theater data
+ * Fetch a single movie by ID with embedded theater data, and `bookingOpensAt` for the signed-in user's tier
  */
 export const getMovieById = async (req, res) => {
   const { id } = req.params;
@@ -155,13 +156,17 @@ export const getMovieById = async (req, res) => {
       }
     });
 
+    // 🎟️ Pre-sale opening for the user's tier; null when bookings are not gated
+    const bookingOpensAt = getBookingOpensAt(movie, await getUserTier(req.user?._id));
+
     movie.releaseDate = movie.releaseDate
       ? new Date(movie.releaseDate).toISOString()
       : null;
 
     res.status(200).json({
       ...movie,
-      theaters: embedded
+      theaters: embedded,
+      bookingOpensAt: bookingOpensAt ? bookingOpensAt.toISOString() : null
     });
   } catch (err) {
     logger.error(`❌ Error fetching movie by ID: ${err.message}`);
@@ -0,0 +1,576 @@
+import mongoose from 'mongoose';
+import { createBooking } from './bookingController.js';
+import { applyModification, quoteModification } from './bookingModificationController.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import SeatHold from '../models/SeatHold.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { getActiveHold, getHoldExpiry } from '../utils/seatHolds.js';
+import { extendHeldSeats } from '../utils/seatReservations.js';
+import { quoteBooking } from '../utils/pricing.js';
+import { quoteWithCoupon, reserveCoupon, releaseCoupon, redeemCoupon } from '../utils/coupons.js';
+import { markWaitlistClaimed } from '../utils/waitlist.js';
+import { transitionPayment } from '../utils/paymentStatus.js';
+import httpError from '../utils/httpError.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+import { completeMockOrder, isMockEnabled } from '../utils/paymentProviders/mock.js';
+import { settleRefund, refundUnbookedPayment } from '../utils/refunds.js';
+import { syncBookingPoints } from '../utils/loyalty.js';
+import {
+  getWalletBalance,
+  debitWallet,
+  reverseDebit,
+  captureWalletCredits,
+  releaseWalletCredits
+} from '../utils/wallet.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Books the seats of a paid order exactly once, whether the browser or the webhook gets here first
+ * @param {Object} record - Payment document
+ * @param {Object} paid - Payment reported by the provider (see utils/paymentProviders)
+ * @param {string} source - 'verify', 'webhook', 'wallet' or 'free', for logs
+ * @returns {Promise<Object|null>} Booking, or null while another request is still creating it
+ */
+const finalizePaidOrder = async (record, paid, source) => {
+  if (paid.status === 'pending') {
+    throw httpError(409, 'Payment is still being processed. Check My Bookings shortly.');
+  }
+  if (paid.status !== 'paid') throw httpError(400, paid.failureReason || 'Payment failed');
+  if (
+    paid.orderId !== record.orderId ||
+    paid.amount !== record.amount ||
+    paid.currency !== record.currency
+  ) {
+    logger.warn(
+      `⚠️ Amount mismatch for order ${record.orderId}: quoted ${record.amount}, paid ${paid.amount} ${paid.currency}`
+    );
+    throw httpError(400, 'Paid amount does not match the booking price');
+  }
+
+  // 🔐 Only the request that flips the order to paid creates the booking
+  const claimed = await transitionPayment(
+    { _id: record._id },
+    'paid',
+    { paymentId: paid.id, paidAt: new Date(), failureReason: null },
+    source
+  );
+
+  if (!claimed) {
+    return record.purpose === 'modification'
+      ? Booking.findOne({ 'modifications.orderId': record.orderId })
+      : Booking.findOne({ 'payment.orderId': record.orderId });
+  }
+
+  let booking;
+  try {
+    // 👛 Credits reserved at checkout are spent now
+    if (claimed.wallet) await captureWalletCredits(claimed);
+
+    if (claimed.purpose === 'modification') {
+      // 🔀 The difference for a booking change is paid: move the booking
+      ({ booking } = await applyModification({
+        bookingId: claimed.booking,
+        holdId: claimed.hold,
+        theater: claimed.theater,
+        showtimeDate: claimed.showtimeDate,
+        seats: claimed.seats,
+        quote: claimed.quote,
+        payment: { provider: claimed.provider, orderId: claimed.orderId, paymentId: paid.id }
+      }));
+    } else {
+      booking = await createBooking({
+        userId: claimed.user,
+        movieId: claimed.movie,
+        seats: claimed.seats,
+        theater: claimed.theater,
+        showtimeDate: claimed.showtimeDate,
+        amount: claimed.amount + (claimed.wallet?.amount || 0),
+        pricing: claimed.quote,
+        payment: {
+          provider: claimed.provider,
+          orderId: claimed.orderId,
+          paymentId: paid.id,
+          walletAmount: claimed.wallet?.amount || 0
+        },
+        checkoutRef: claimed.checkoutRef,
+        paymentStatus: 'paid',
+        holdId: claimed.hold
+      });
+    }
+  } catch (err) {
+    logger.error(`❌ Order ${claimed.orderId} paid but booking failed (${source}): ${err.message}`);
+    // 💸 The provider charge goes back; the unbooked refund job retries it if the provider is unavailable now
+    const refundDue = claimed.amount > 0 && Boolean(paid.id);
+    await Payment.updateOne(
+      { _id: claimed._id },
+      { $set: { failureReason: err.message, ...(refundDue && { unbookedRefund: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } }) } }
+    );
+    if (refundDue) await refundUnbookedPayment(claimed._id);
+    await releaseCoupon(claimed, 'booking could not be completed').catch(couponErr =>
+      logger.error(`❌ Coupon use not released for order ${claimed.orderId}: ${couponErr.message}`)
+    );
+    if (claimed.wallet) {
+      await releaseWalletCredits(claimed, 'Booking could not be completed', { captured: true }).catch(walletErr =>
+        logger.error(`❌ Credits not returned for order ${claimed.orderId}: ${walletErr.message}`)
+      );
+    }
+    throw err;
+  }
+
+  await Promise.all([
+    Payment.updateOne({ _id: claimed._id }, { $set: { booking: booking._id } }),
+    claimed.hold && SeatHold.updateOne({ _id: claimed.hold }, { $set: { status: 'consumed' } }),
+    markWaitlistClaimed(claimed.hold, booking._id)
+  ]);
+
+  // 🏷️ The discount was honoured in the amount paid; count the coupon use
+  try {
+    await redeemCoupon(claimed, booking._id);
+  } catch (err) {
+    logger.error(`❌ Coupon redemption not recorded for order ${claimed.orderId}: ${err.message}`);
+  }
+
+  // ⭐ New bookings earn points here; booking changes update theirs in applyModification
+  if (claimed.purpose !== 'modification') {
+    await syncBookingPoints(booking, 'booking').catch(err =>
+      logger.error(`❌ Loyalty points not awarded for booking ${booking._id}: ${err.message}`)
+    );
+  }
+
+  logger.info(`🎟️ Order ${claimed.orderId} booked as ${booking._id} (${source})`);
+  return booking;
+};
+
+// Razorpay and Stripe refuse charges below ₹1
+const MIN_PROVIDER_AMOUNT = 100;
+
+/**
+ * Credits to apply to an order: as much as the wallet holds, leaving the provider either nothing
+ * or at least the smallest amount it can charge
+ * @param {string} userId
+ * @param {number} amountDue - Paise
+ * @returns {Promise<number>} Paise
+ */
+const getWalletAmount = async (userId, amountDue) => {
+  const walletAmount = Math.min(await getWalletBalance(userId), amountDue);
+  const rest = amountDue - walletAmount;
+  if (rest === 0 || rest >= MIN_PROVIDER_AMOUNT) return walletAmount;
+  return Math.max(0, amountDue - MIN_PROVIDER_AMOUNT);
+};
+
+// 💰 Quote the payable amount for a seat selection
+export const getQuote = async (req, res) => {
+  const { movieId, theater, showtimeDate, seats, addOns } = req.body;
+  if (!movieId || !theater?.name || !showtimeDate || !Array.isArray(seats) || !seats.length) {
+    return res.status(400).json({ error: 'Missing or invalid booking data' });
+  }
+
+  try {
+    const quote = await quoteBooking({
+      movieId,
+      theaterName: theater.name,
+      showtimeDate,
+      seats,
+      addOns,
+      userId: req.user?._id // signed-in users see their tier's fee
+    });
+    res.json({ quote });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error(`❌ Price quote failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to compute price' });
+  }
+};
+
+// 🧾 Create a payment order for a seat hold with the configured provider (amount computed server-side).
+// With `useWallet`, ShowSnap credits pay first and the provider charges the rest; an order credits or a coupon
+// cover entirely books at once.
+export const createOrder = async (req, res) => {
+  const { holdId, couponCode, addOns, useWallet } = req.body;
+  if (!holdId) return res.status(400).json({ error: 'Seat hold is required before payment' });
+
+  try {
+    const hold = await getActiveHold(holdId, req.user._id);
+    if (!hold) {
+      return res.status(410).json({ error: 'Seat hold expired or not found. Please select your seats again.' });
+    }
+
+    // 🔀 A hold for changing a booking pays only the price difference
+    const booking = hold.booking
+      ? await Booking.findOne({ _id: hold.booking, user: req.user._id, status: 'confirmed' })
+      : null;
+    if (hold.booking && !booking) return res.status(409).json({ error: 'Booking can no longer be changed' });
+
+    if (booking && couponCode) {
+      return res.status(400).json({ error: 'Coupons cannot be applied to booking changes' });
+    }
+    if (booking && useWallet) {
+      return res.status(400).json({ error: 'Credits cannot be applied to booking changes' });
+    }
+
+    const seats = booking ? hold.targetSeats : hold.seats;
+    // 🍿 New bookings order F&B and apply coupons here; a booking change keeps what was already bought
+    const { quote, coupon } = booking
+      ? {
+        quote: await quoteModification(booking, {
+          theaterName: hold.theater.name,
+          showtimeDate: hold.showtimeDate,
+          seats,
+          userId: req.user._id
+        }),
+        coupon: null
+      }
+      : await quoteWithCoupon({
+        movieId: hold.movie,
+        theaterName: hold.theater.name,
+        showtimeDate: hold.showtimeDate,
+        seats,
+        addOns,
+        couponCode,
+        userId: req.user._id
+      });
+    const amountDue = booking ? quote.total - booking.amount : quote.total;
+
+    if (booking && amountDue <= 0) {
+      return res.status(400).json({ error: 'This change needs no payment. Confirm it instead.' });
+    }
+
+    // ⏳ Give the user a full hold window to finish paying
+    const expiresAt = getHoldExpiry();
+    const stillHeld = await extendHeldSeats(hold._id, expiresAt);
+    if (stillHeld !== hold.seats.length) {
+      return res.status(410).json({ error: 'Seat hold expired or not found. Please select your seats again.' });
+    }
+
+    // ♻️ A restarted checkout gets back the credits and coupon use an earlier order for this hold reserved
+    const earlierOrders = await Payment.find({
+      hold: hold._id,
+      status: { $ne: 'paid' },
+      $or: [{ 'wallet.status': 'reserved' }, { coupon: { $ne: null } }]
+    })
+      .select('orderId coupon wallet status')
+      .lean();
+    for (const earlier of earlierOrders) {
+      if (earlier.wallet?.status === 'reserved') await releaseWalletCredits(earlier, 'Checkout restarted');
+      await releaseCoupon(earlier, 'checkout restarted');
+    }
+
+    const walletAmount = useWallet ? await getWalletAmount(req.user._id, amountDue) : 0;
+    const paymentRecordId = new mongoose.Types.ObjectId();
+    const walletDebit = walletAmount > 0
+      ? await debitWallet({
+        userId: req.user._id,
+        amount: walletAmount,
+        description: `Seats ${seats.join(', ')} at ${hold.theater.name}`,
+        payment: paymentRecordId
+      })
+      : null;
+    const wallet = walletDebit && {
+      amount: walletAmount,
+      transaction: walletDebit._id,
+      releaseAfter: expiresAt
+    };
+
+    const record = {
+      _id: paymentRecordId,
+      purpose: booking ? 'modification' : 'booking',
+      user: hold.user,
+      hold: hold._id,
+      booking: booking?._id || null,
+      movie: hold.movie,
+      theater: hold.theater,
+      showtimeDate: hold.showtimeDate,
+      seats,
+      checkoutRef: hold.checkoutRef,
+      amount: amountDue - walletAmount,
+      currency: quote.currency,
+      quote,
+      coupon,
+      wallet
+    };
+
+    let orderId = null;
+    let payment = null;
+    try {
+      // 👛 Credits or a coupon cover everything: no provider checkout, book right away
+      if (record.amount === 0) {
+        const source = walletDebit ? 'wallet' : 'free';
+        orderId = walletDebit ? `wallet_${walletDebit._id}` : `free_${paymentRecordId}`;
+        if (coupon) await reserveCoupon({ coupon, userId: req.user._id, orderId, releaseAfter: expiresAt });
+        payment = await Payment.create({ ...record, provider: source, orderId });
+        hold.orderId = orderId;
+        hold.quote = quote;
+        await hold.save();
+
+        const paidBooking = await finalizePaidOrder(
+          payment,
+          { id: null, orderId, amount: 0, currency: quote.currency, status: 'paid' },
+          source
+        );
+        return res.status(201).json({
+          provider: source,
+          orderId,
+          amount: 0,
+          walletAmount,
+          currency: quote.currency,
+          quote,
+          bookingId: paidBooking._id
+        });
+      }
+
+      const provider = getPaymentProvider();
+      const order = await provider.createOrder({
+        amount: record.amount,
+        currency: quote.currency,
+        receipt: `receipt_${Date.now()}`,
+        notes: { holdId: String(hold._id), ...(booking && { bookingId: String(booking._id) }) }
+      });
+      orderId = order.orderId;
+      // 🏷️ The coupon use is held for this order until it is paid or lapses
+      if (coupon) await reserveCoupon({ coupon, userId: req.user._id, orderId, releaseAfter: expiresAt });
+      payment = await Payment.create({ ...record, provider: provider.name, orderId });
+
+      hold.orderId = orderId;
+      hold.quote = quote;
+      hold.expiresAt = expiresAt;
+      await hold.save();
+
+      logger.info(
+        `🧾 ${provider.name} order created: ${orderId} for ${record.amount} paise` +
+        `${walletAmount ? ` + ${walletAmount} paise credits` : ''} (hold ${hold._id})`
+      );
+      res.status(201).json({
+        provider: provider.name,
+        orderId,
+        checkout: order.checkout,
+        amount: record.amount,
+        walletAmount,
+        currency: quote.currency,
+        quote,
+        holdId: hold._id,
+        holdExpiresAt: hold.expiresAt
+      });
+    } catch (err) {
+      // ↩️ Whatever failed after the credits were taken, they go back (released through the order once it
+      // exists, so a late payment takes them again), and so does the coupon use
+      const undo = [
+        payment
+          ? releaseWalletCredits(payment, 'Checkout could not be started')
+          : walletDebit && reverseDebit(walletDebit._id, 'Checkout could not be started'),
+        orderId && releaseCoupon({ coupon, orderId }, 'checkout could not be started')
+      ];
+      for (const step of await Promise.allSettled(undo)) {
+        if (step.status === 'rejected') {
+          logger.error(`❌ Checkout for hold ${hold._id} not fully undone: ${step.reason.message}`);
+        }
+      }
+      throw err;
+    }
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error(`❌ Payment order creation failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to create payment order' });
+  }
+};
+
+// ✅ Verify a payment reported by the browser and create the booking
+export const verifyPayment = async (req, res) => {
+  const { provider: providerName = 'razorpay', holdId } = req.body;
+  const userId = req.user._id;
+
+  logger.info('🔍 Verifying payment with payload:', JSON.stringify(req.body, null, 2));
+
+  if (!userId || !holdId) {
+    return res.status(400).json({ error: 'Missing or invalid booking data' });
+  }
+
+  try {
+    const provider = getPaymentProvider(providerName);
+    const checkout = provider.verifyCheckout(req.body);
+
+    const record = await Payment.findOne({ orderId: checkout.orderId, user: userId, provider: provider.name });
+    if (!record || String(record.hold) !== String(holdId)) {
+      return res.status(400).json({ error: 'Payment order does not match seat hold' });
+    }
+
+    // 🔁 Replayed verification returns the booking already made for this order
+    if (record.status === 'paid' && record.booking && !record.failureReason) {
+      if (record.paymentId !== checkout.paymentId) {
+        return res.status(409).json({ error: 'This order was already paid with a different payment' });
+      }
+      return res.status(200).json({
+        success: true,
+        message: '✅ Payment already verified',
+        bookingId: record.booking,
+        replayed: true
+      });
+    }
+
+    await transitionPayment({ _id: record._id }, 'attempted', { paymentId: checkout.paymentId }, 'verify');
+
+    // 💰 The amount actually paid must match the quote the order was created for
+    const paid = await provider.capturePayment(checkout.paymentId);
+    const booking = await finalizePaidOrder(record, paid, 'verify');
+
+    if (!booking) {
+      const { failureReason } = await Payment.findById(record._id).lean();
+      return res.status(409).json({
+        error: failureReason || 'Payment is already being processed. Check My Bookings shortly.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: '✅ Payment verified and booking confirmed',
+      bookingId: booking._id
+    });
+  } catch (err) {
+    logger.error(`❌ Payment verification error: ${err.message}`);
+    res.status(err.status || 500).json({
+      error: err.message || 'Server error during payment verification',
+      conflicts: err.conflicts
+    });
+  }
+};
+
+// 🧪 Mock gateway checkout (ENABLE_MOCK_PAYMENTS only): pays or declines a mock order for the signed-in user
+export const completeMockPayment = async (req, res) => {
+  if (!isMockEnabled()) return res.status(404).json({ error: 'Route not found' });
+
+  const { outcome = 'success' } = req.body;
+  if (!['success', 'failure'].includes(outcome)) {
+    return res.status(400).json({ error: 'Outcome must be success or failure' });
+  }
+
+  try {
+    const record = await Payment.findOne({ provider: 'mock', orderId: req.params.orderId, user: req.user._id });
+    if (!record) return res.status(404).json({ error: 'Payment order not found' });
+
+    const { payment, signature } = completeMockOrder(record.orderId, outcome);
+
+    // 📨 A declined payment is recorded as the provider's payment.failed webhook would
+    if (payment.status === 'failed') {
+      await transitionPayment(
+        { _id: record._id },
+        'failed',
+        { paymentId: payment.id, failureReason: payment.failureReason },
+        payment.failureReason
+      );
+      await releaseCoupon(record, 'payment failed');
+      return res.status(402).json({ error: payment.failureReason, paymentId: payment.id });
+    }
+
+    res.json({ mock_order_id: record.orderId, mock_payment_id: payment.id, mock_signature: signature });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    logger.error(`❌ Mock payment failed: ${err.message}`);
+    res.status(500).json({ error: 'Mock payment failed' });
+  }
+};
+
+// 📨 Provider webhook — completes bookings even when the browser never calls /verify
+export const paymentWebhookHandler = async (req, res) => {
+  let provider;
+  let notification;
+  try {
+    provider = getPaymentProvider(req.params.provider || 'razorpay');
+    notification = provider.parseWebhook(req);
+  } catch (err) {
+    logger.warn(`⚠️ Rejected ${req.params.provider || 'razorpay'} webhook: ${err.message}`);
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
+  const { eventId, event, type, payment, refund } = notification;
+
+  // 🔁 Redelivered events are acknowledged without side effects
+  try {
+    await WebhookEvent.create({ provider: provider.name, eventId, event });
+  } catch (err) {
+    if (err.code === 11000) return res.json({ status: 'duplicate' });
+    logger.error(`❌ Could not record ${provider.name} webhook ${eventId}: ${err.message}`);
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+
+  try {
+    switch (type) {
+      case 'payment.paid': {
+        const record = await Payment.findOne({ provider: provider.name, orderId: payment.orderId });
+        if (!record) {
+          logger.warn(`⚠️ ${event} for unknown order ${payment.orderId}`);
+          break;
+        }
+        try {
+          await finalizePaidOrder(record, payment, 'webhook');
+        } catch (err) {
+          // Seats lost or amount mismatch: recorded on the payment, a retry will not help
+          if (!err.status) throw err;
+        }
+        break;
+      }
+
+      case 'payment.failed': {
+        const reason = payment.failureReason || 'Payment failed';
+        const failed = await transitionPayment(
+          { provider: provider.name, orderId: payment.orderId },
+          'failed',
+          { paymentId: payment.id, failureReason: reason },
+          reason
+        );
+        // 🏷️ A retried payment that succeeds redeems the coupon again
+        if (failed) await releaseCoupon(failed, 'payment failed');
+        break;
+      }
+
+      case 'payment.attempted': {
+        const attempted = await transitionPayment(
+          { provider: provider.name, orderId: payment.orderId },
+          'attempted',
+          { paymentId: payment.id },
+          'webhook'
+        );
+        // 💰 An authorized payment whose browser never came back is captured here; its paid event books it
+        if (attempted) await provider.capturePayment(payment.id);
+        break;
+      }
+
+      case 'refund.processed': {
+        const record = await Payment.findOne({ provider: provider.name, paymentId: refund.paymentId });
+        if (!record) {
+          logger.warn(`⚠️ Refund ${refund.id} for unknown payment ${refund.paymentId}`);
+          break;
+        }
+        await settleRefund(refund.id, 'processed');
+
+        if (record.refunds.some(r => r.refundId === refund.id)) break;
+
+        record.refunds.push({ refundId: refund.id, amount: refund.amount });
+        record.refundedAmount += refund.amount;
+        await record.save();
+
+        if (record.refundedAmount >= record.amount) {
+          await transitionPayment({ _id: record._id }, 'refunded', {}, `refund ${refund.id}`);
+        }
+        break;
+      }
+
+      case 'refund.failed': {
+        const booking = await settleRefund(refund.id, 'failed');
+        // The money stayed with us, so the points it cost come back
+        if (booking) await syncBookingPoints(booking, 'refund failed');
+        logger.warn(`⚠️ Refund ${refund.id} failed for payment ${refund.paymentId}`);
+        break;
+      }
+
+      default:
+        logger.info(`ℹ️ Ignoring ${provider.name} webhook event ${event}`);
+    }
+
+    res.json({ status: 'ok' });
+  } catch (err) {
+    // ♻️ Forget the event so the provider's retry is processed again
+    await WebhookEvent.deleteOne({ provider: provider.name, eventId }).catch(() => {});
+    logger.error(`❌ ${provider.name} webhook ${event} failed: ${err.message}`);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+};
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { runReconciliation, reportToCsv } from '../utils/reconciliation.js';
+import logger from '../utils/logger.js';
+
+const log = logger || console;
+
+const MAX_RANGE_DAYS = 31;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Loads a report by the `reportId` route param
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Report, or null once a response was sent
+ */
+const loadReport = async (req, res) => {
+  const { reportId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    res.status(400).json({ error: 'Invalid report ID' });
+    return null;
+  }
+
+  const report = await ReconciliationReport.findById(reportId).lean();
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+  return report;
+};
+
+// 🧮 Recent reconciliation reports, without their issue lists
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(req.query.limit)) || 20));
+    const reports = await ReconciliationReport.find()
+      .select('-issues')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await ReconciliationReport.countDocuments();
+    res.json({ count: reports.length, total, page, reports });
+  } catch (err) {
+    log.error(`❌ Reconciliation report fetch failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching reconciliation reports' });
+  }
+};
+
+// 🔍 One report with its issues
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (report) res.json({ report });
+  } catch (err) {
+    log.error(`❌ Reconciliation report fetch failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching reconciliation report' });
+  }
+};
+
+// ▶️ Reconcile a period on demand
+export const createReconciliationReport = async (req, res) => {
+  const from = new Date(req.body.from);
+  const to = new Date(req.body.to);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({ error: 'Provide a valid period: from must be before to' });
+  }
+  if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `Reconcile at most ${MAX_RANGE_DAYS} days at a time` });
+  }
+
+  try {
+    const report = await runReconciliation({
+      from,
+      to,
+      ...(req.body.provider && { provider: req.body.provider }),
+      trigger: 'manual',
+      requestedBy: req.user._id
+    });
+    res.status(201).json({ message: '✅ Reconciliation complete', report });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    log.error(`❌ Reconciliation failed: ${err.message}`);
+    res.status(502).json({ error: 'Could not fetch payments from the provider' });
+  }
+};
+
+// 📤 Download a report's issues as CSV
+export const exportReconciliationCsv = async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (!report) return;
+
+    const day = report.from.toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="reconciliation-${report.provider}-${day}.csv"`
+    });
+    res.send(reportToCsv(report));
+  } catch (err) {
+    log.error(`❌ Reconciliation export failed: ${err.message}`);
+    res.status(500).json({ error: 'Server error while exporting reconciliation report' });
+  }
+};
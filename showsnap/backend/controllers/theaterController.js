@@ -1,6 +1,10 @@
 import Theater from '../models/Theater.js';
 import Movie from '../models/Movie.js';
+import SeatReservation from '../models/SeatReservation.js';
 import logger from '../utils/logger.js';
+import { findScreenLayout, normalizeLayout, validateLayout } from '../utils/seatLayout.js';
+import { normalizePolicy, validatePolicy } from '../utils/cancellationPolicy.js';
+import { validateMenu } from '../utils/menu.js';
 
 /**
  * GET /api/theaters
@@ -147,4 +151,278 @@ export const deleteTheater = async (req, res) => {
     logger.error(`❌ Error deleting theater: ${err.message}`);
     res.status(500).json({ error: 'Server error while deleting theater' });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * GET /api/theaters/layout?theater=&screen=
+ * Fetch the seat layout of a theater's screen (default layout if not configured)
+ */
+export const getScreenLayout = async (req, res) => {
+  try {
+    const { theater, screen = 'Screen 1' } = req.query;
+    if (!theater?.trim()) return res.status(400).json({ error: 'Theater name is required' });
+
+    const theaterDoc = await Theater.findOne({ name: theater.trim() }).lean();
+    if (!theaterDoc) return res.status(404).json({ error: 'Theater not found' });
+
+    res.status(200).json({
+      theater: theaterDoc.name,
+      screen,
+      layout: findScreenLayout(theaterDoc, screen)
+    });
+  } catch (err) {
+    logger.error(`❌ Error fetching screen layout: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching screen layout' });
+  }
+};
+
+/**
+ * GET /api/theaters/:id/screens (Admin only)
+ * List a theater's screens with their layouts
+ */
+export const getScreens = async (req, res) => {
+  try {
+    const theater = await Theater.findById(req.params.id).select('name screens');
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    res.status(200).json({ count: theater.screens.length, screens: theater.screens });
+  } catch (err) {
+    logger.error(`❌ Error fetching screens: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching screens' });
+  }
+};
+
+/**
+ * POST /api/theaters/:id/screens (Admin only)
+ * Add a screen with its seat layout
+ */
+export const addScreen = async (req, res) => {
+  try {
+    const { name, layout } = req.body;
+    if (!name?.trim()) return res.status(400).json({ error: 'Screen name is required' });
+
+    const layoutError = validateLayout(layout);
+    if (layoutError) return res.status(400).json({ error: layoutError });
+
+    const theater = await Theater.findById(req.params.id);
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    if (theater.screens.some(s => s.name === name.trim())) {
+      return res.status(409).json({ error: 'Screen already exists in this theater' });
+    }
+
+    theater.screens.push({ name: name.trim(), layout: normalizeLayout(layout) });
+    await theater.save();
+
+    const screen = theater.screens[theater.screens.length - 1];
+    logger.info(`✅ Screen added: ${theater.name} / ${screen.name}`);
+    res.status(201).json({ message: '✅ Screen added successfully', screen });
+  } catch (err) {
+    logger.error(`❌ Error adding screen: ${err.message}`);
+    res.status(500).json({ error: 'Server error while adding screen' });
+  }
+};
+
+/**
+ * Whether any upcoming showtime on a screen has booked or held seats
+ * @param {string} theaterName
+ * @param {string} screenName
+ * @returns {Promise<boolean>}
+ */
+const hasUpcomingSeatClaims = async (theaterName, screenName) => {
+  const now = new Date();
+  const movies = await Movie.find({ 'embeddedTheaters.name': theaterName }).select('embeddedTheaters').lean();
+  const showtimes = movies.flatMap(movie =>
+    (movie.embeddedTheaters || [])
+      .filter(t => t.name === theaterName)
+      .flatMap(t => t.showtimes || [])
+      .filter(st => (st.screen || 'Screen 1') === screenName && new Date(st.startTime) >= now)
+      .map(st => ({ movie: movie._id, showtimeDate: st.startTime }))
+  );
+  if (!showtimes.length) return false;
+
+  return Boolean(await SeatReservation.exists({
+    theaterName,
+    $and: [
+      { $or: showtimes },
+      { $or: [{ booking: { $ne: null } }, { expiresAt: { $gt: now } }] }
+    ]
+  }));
+};
+
+/**
+ * PUT /api/theaters/:id/screens/:screenId (Admin only)
+ * Rename a screen and/or replace its seat layout (not while upcoming showtimes on it have seats booked or held)
+ */
+export const updateScreen = async (req, res) => {
+  try {
+    const { name, layout } = req.body;
+
+    const theater = await Theater.findById(req.params.id);
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    const screen = theater.screens.id(req.params.screenId);
+    if (!screen) return res.status(404).json({ error: 'Screen not found' });
+
+    if (layout !== undefined) {
+      const layoutError = validateLayout(layout);
+      if (layoutError) return res.status(400).json({ error: layoutError });
+
+      // 💺 Booked and held seats must keep meaning the same seats
+      if (await hasUpcomingSeatClaims(theater.name, screen.name)) {
+        return res.status(409).json({ error: 'Screen has bookings or seat holds for upcoming showtimes; its layout cannot be changed' });
+      }
+      screen.layout = normalizeLayout(layout);
+    }
+
+    const previousName = screen.name;
+
+    if (name?.trim() && name.trim() !== screen.name) {
+      if (theater.screens.some(s => s.name === name.trim())) {
+        return res.status(409).json({ error: 'Screen already exists in this theater' });
+      }
+
+      // 🔗 Keep showtimes pointing at the renamed screen
+      theater.showtimes.forEach(st => {
+        if (st.screen === screen.name) st.screen = name.trim();
+      });
+      screen.name = name.trim();
+    }
+
+    await theater.save();
+    // 🔗 The movies' showtimes, which pricing and bookings read, follow the rename too
+    if (screen.name !== previousName) {
+      await Movie.updateMany(
+        { 'embeddedTheaters.name': theater.name },
+        { $set: { 'embeddedTheaters.$[t].showtimes.$[st].screen': screen.name } },
+        { arrayFilters: [{ 't.name': theater.name }, { 'st.screen': previousName }] }
+      );
+    }
+    res.status(200).json({ message: '✅ Screen updated successfully', screen });
+  } catch (err) {
+    logger.error(`❌ Error updating screen: ${err.message}`);
+    res.status(500).json({ error: 'Server error while updating screen' });
+  }
+};
+
+/**
+ * DELETE /api/theaters/:id/screens/:screenId (Admin only)
+ * Remove a screen that no showtime uses
+ */
+export const deleteScreen = async (req, res) => {
+  try {
+    const theater = await Theater.findById(req.params.id);
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    const screen = theater.screens.id(req.params.screenId);
+    if (!screen) return res.status(404).json({ error: 'Screen not found' });
+
+    const scheduled = theater.showtimes.some(st => st.screen === screen.name) ||
+      await Movie.exists({ embeddedTheaters: { $elemMatch: { name: theater.name, 'showtimes.screen': screen.name } } });
+    if (scheduled) {
+      return res.status(409).json({ error: 'Screen has scheduled showtimes and cannot be deleted' });
+    }
+
+    screen.deleteOne();
+    await theater.save();
+
+    res.status(200).json({ message: '✅ Screen deleted successfully' });
+  } catch (err) {
+    logger.error(`❌ Error deleting screen: ${err.message}`);
+    res.status(500).json({ error: 'Server error while deleting screen' });
+  }
+};
+
+/**
+ * GET /api/theaters/:id/cancellation-policy (Admin only)
+ * Fetch a theater's refund tiers
+ */
+export const getCancellationPolicy = async (req, res) => {
+  try {
+    const theater = await Theater.findById(req.params.id).select('name cancellationPolicy').lean();
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    res.status(200).json({ theater: theater.name, policy: normalizePolicy(theater.cancellationPolicy) });
+  } catch (err) {
+    logger.error(`❌ Error fetching cancellation policy: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching cancellation policy' });
+  }
+};
+
+/**
+ * PUT /api/theaters/:id/cancellation-policy (Admin only)
+ * Replace a theater's refund tiers, e.g. { tiers: [{ hoursBefore: 24, refundPercent: 100 }] }
+ */
+export const updateCancellationPolicy = async (req, res) => {
+  try {
+    const policyError = validatePolicy(req.body);
+    if (policyError) return res.status(400).json({ error: policyError });
+
+    const policy = normalizePolicy(req.body);
+    const theater = await Theater.findByIdAndUpdate(
+      req.params.id,
+      { cancellationPolicy: policy },
+      { new: true, runValidators: true }
+    ).select('name cancellationPolicy');
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    logger.info(`✅ Cancellation policy updated: ${theater.name}`);
+    res.status(200).json({ message: '✅ Cancellation policy updated successfully', policy });
+  } catch (err) {
+    logger.error(`❌ Error updating cancellation policy: ${err.message}`);
+    res.status(500).json({ error: 'Server error while updating cancellation policy' });
+  }
+};
+
+/**
+ * GET /api/theaters/menu?theater=
+ * Fetch the F&B menu a theater sells with tickets
+ */
+export const getMenu = async (req, res) => {
+  try {
+    const { theater } = req.query;
+    if (!theater?.trim()) return res.status(400).json({ error: 'Theater name is required' });
+
+    const theaterDoc = await Theater.findOne({ name: theater.trim() }).select('name menu').lean();
+    if (!theaterDoc) return res.status(404).json({ error: 'Theater not found' });
+
+    res.status(200).json({ theater: theaterDoc.name, menu: theaterDoc.menu || [] });
+  } catch (err) {
+    logger.error(`❌ Error fetching menu: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching menu' });
+  }
+};
+
+/**
+ * PUT /api/theaters/:id/menu (Admin only)
+ * Replace a theater's F&B menu, e.g. { items: [{ name: 'Large Popcorn', price: 250 }] }.
+ * Items sent with their _id keep it, so orders already placed still point at them.
+ */
+export const updateMenu = async (req, res) => {
+  try {
+    const { items } = req.body;
+    const menuError = validateMenu(items);
+    if (menuError) return res.status(400).json({ error: menuError });
+
+    const theater = await Theater.findById(req.params.id).select('name menu');
+    if (!theater) return res.status(404).json({ error: 'Theater not found' });
+
+    theater.menu = items.map(item => ({
+      ...(item._id && { _id: item._id }),
+      name: item.name.trim(),
+      kind: item.kind || 'item',
+      description: item.description || '',
+      includes: item.includes || [],
+      price: Number(item.price),
+      available: item.available !== false
+    }));
+    await theater.save();
+
+    logger.info(`🍿 Menu updated: ${theater.name} (${theater.menu.length} items)`);
+    res.status(200).json({ message: '✅ Menu updated successfully', menu: theater.menu });
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') return res.status(400).json({ error: err.message });
+    logger.error(`❌ Error updating menu: ${err.message}`);
+    res.status(500).json({ error: 'Server error while updating menu' });
+  }
+};
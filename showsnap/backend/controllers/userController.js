@@ -2,6 +2,8 @@ import crypto from 'crypto';
 import User from '../models/User.js';
 import generateToken from '../utils/generateToken.js';
 import sendEmail from '../utils/sendEmail.js';
+import { getWalletBalance, getWalletHistory, getNextCreditExpiry } from '../utils/wallet.js';
+import { getMembership, getPointsHistory } from '../utils/loyalty.js';
 import logger from '../utils/logger.js';
 
 const sendWelcomeEmail = async (email, name) => {
@@ -107,6 +109,38 @@ export const getUserProfile = async (req, res) => {
   }
 };
 
+// 👛 ShowSnap credits: balance and transaction history (amounts in paise)
+export const getWallet = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 20));
+
+    const [balance, nextExpiry, { transactions, total }] = await Promise.all([
+      getWalletBalance(req.user._id),
+      getNextCreditExpiry(req.user._id),
+      getWalletHistory(req.user._id, { page, limit })
+    ]);
+    res.json({ balance, currency: 'INR', nextExpiry, page, total, transactions });
+  } catch (err) {
+    logger.error(`❌ Wallet fetch error: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching wallet' });
+  }
+};
+
+// ⭐ Loyalty points, membership tier and recent points history (spend in paise)
+export const getLoyalty = async (req, res) => {
+  try {
+    const [membership, history] = await Promise.all([
+      getMembership(req.user._id),
+      getPointsHistory(req.user._id)
+    ]);
+    res.json({ ...membership, history });
+  } catch (err) {
+    logger.error(`❌ Loyalty fetch error: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching loyalty status' });
+  }
+};
+
 export const updateUserProfile = async (req, res) => {
   try {
     const { name, email, mobile, password } = req.body;
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import SeatHold from '../models/SeatHold.js';
+import { resolveShowtime, quoteBooking } from '../utils/pricing.js';
+import { listSeatIds } from '../utils/seatLayout.js';
+import { getTakenSeats, releaseSeats } from '../utils/seatReservations.js';
+import { expireWaitlistOffers, hashClaimToken } from '../utils/waitlist.js';
+import logger from '../utils/logger.js';
+
+const log = logger || console;
+
+// 📝 Join the waitlist of a showtime without enough free seats
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { movieId, theater, showtimeDate, seats } = req.body;
+    const seatsWanted = Number(seats);
+
+    if (!movieId || !theater?.name || !showtimeDate) {
+      return res.status(400).json({ error: 'Missing or invalid showtime' });
+    }
+    if (!Number.isInteger(seatsWanted) || seatsWanted < 1 || seatsWanted > 10) {
+      return res.status(400).json({ error: 'Seats wanted must be between 1 and 10' });
+    }
+
+    const { theater: embeddedTheater, showtime, showtimeDate: start, layout } =
+      await resolveShowtime({ movieId, theaterName: theater.name, showtimeDate });
+    if (start <= new Date()) return res.status(400).json({ error: 'This show has already started' });
+
+    await expireWaitlistOffers();
+
+    const taken = new Set([
+      ...(await getTakenSeats({ movieId, theaterName: theater.name, showtimeDate: start })),
+      ...(showtime.blockedSeats || [])
+    ]);
+    const free = listSeatIds(layout).filter(s => !taken.has(s)).length;
+    if (free >= seatsWanted) {
+      return res.status(409).json({ error: 'Seats are still available for this show. Book them directly.', free });
+    }
+
+    const entry = await WaitlistEntry.create({
+      user: req.user._id,
+      movie: movieId,
+      theater: { name: theater.name, location: theater.location || embeddedTheater.location },
+      showtimeDate: start,
+      seatsWanted
+    });
+    const position = await WaitlistEntry.countDocuments({
+      movie: movieId,
+      'theater.name': theater.name,
+      showtimeDate: start,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    log.info(`📝 Waitlist joined: ${entry._id} (${seatsWanted} seats, position ${position})`);
+    res.status(201).json({ entry, position });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'You are already on the waitlist for this show' });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    log.error(`❌ Error joining waitlist: ${err.message}`);
+    res.status(500).json({ error: 'Server error while joining waitlist' });
+  }
+};
+
+// 📄 The user's waitlist entries
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ user: req.user._id })
+      .select('-offer.tokenHash')
+      .populate('movie', 'title posterUrl')
+      .sort({ createdAt: -1 });
+    res.json({ count: entries.length, entries });
+  } catch (err) {
+    log.error(`❌ Error fetching waitlist: ${err.message}`);
+    res.status(500).json({ error: 'Server error while fetching waitlist' });
+  }
+};
+
+// 🚪 Leave a waitlist (an open offer's seats go back on sale)
+export const leaveWaitlist = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      return res.status(400).json({ error: 'Invalid waitlist entry ID' });
+    }
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.entryId, user: req.user._id, status: { $in: ['waiting', 'offered'] } },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!entry) return res.status(404).json({ error: 'Waitlist entry not found' });
+
+    if (entry.offer?.hold) {
+      await releaseSeats({ holdId: entry.offer.hold });
+      await SeatHold.updateOne({ _id: entry.offer.hold, status: 'active' }, { $set: { status: 'released' } });
+    }
+
+    log.info(`🚪 Waitlist left: ${entry._id}`);
+    res.json({ success: true });
+  } catch (err) {
+    log.error(`❌ Error leaving waitlist: ${err.message}`);
+    res.status(500).json({ error: 'Server error while leaving waitlist' });
+  }
+};
+
+// 🎟️ Resolve a claim link to the seats held for the user
+export const getWaitlistClaim = async (req, res) => {
+  try {
+    await expireWaitlistOffers();
+
+    const entry = await WaitlistEntry.findOne({
+      'offer.tokenHash': hashClaimToken(req.params.token),
+      user: req.user._id
+    }).populate('movie', 'title posterUrl');
+
+    if (!entry) return res.status(404).json({ error: 'Claim link not found' });
+    if (entry.status === 'claimed') return res.status(409).json({ error: 'These seats are already booked', bookingId: entry.booking });
+    if (entry.status !== 'offered') return res.status(410).json({ error: 'This claim link has expired' });
+
+    const quote = await quoteBooking({
+      movieId: entry.movie._id,
+      theaterName: entry.theater.name,
+      showtimeDate: entry.showtimeDate,
+      seats: entry.offer.seats,
+      userId: req.user._id
+    });
+
+    res.json({
+      entryId: entry._id,
+      holdId: entry.offer.hold,
+      movie: entry.movie,
+      theater: entry.theater,
+      showtimeDate: entry.showtimeDate,
+      seats: entry.offer.seats,
+      expiresAt: entry.offer.expiresAt,
+      quote
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    log.error(`❌ Error resolving waitlist claim: ${err.message}`);
+    res.status(500).json({ error: 'Server error while loading claim' });
+  }
+};
@@ -60,4 +60,23 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for public routes that personalise their answer: attaches the user when a valid
+ * token is sent and carries on anonymously otherwise
+ */
+export const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  if (!token || !process.env.JWT_SECRET) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('name email role');
+    if (user) req.user = { _id: user._id, name: user.name, email: user.email, role: user.role };
+  } catch {
+    // An expired or invalid token is treated like no token
+  }
+  next();
+};
+
 export default protect;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { DEFAULT_SEAT_LAYOUT, normalizeLayout } from './utils/seatLayout.js';
+
+dotenv.config();
+await mongoose.connect(process.env.MONGO_URI, { dbName: 'showsnap' });
+
+// 🎞️ Convert legacy `screens: ["Screen 1"]` into screen documents with a seat layout
+const Theater = mongoose.connection.collection('theaters');
+const theaters = await Theater.find({}).toArray();
+
+for (const theater of theaters) {
+  const screenNames = new Set([
+    ...(theater.screens || []).map(s => (typeof s === 'string' ? s : s?.name)).filter(Boolean),
+    ...(theater.showtimes || []).map(st => st.screen).filter(Boolean)
+  ]);
+  if (screenNames.size === 0) screenNames.add('Screen 1');
+
+  const existing = new Map(
+    (theater.screens || [])
+      .filter(s => s && typeof s === 'object')
+      .map(s => [s.name, s])
+  );
+
+  const screens = [...screenNames].map(name => existing.get(name) || {
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    layout: normalizeLayout(DEFAULT_SEAT_LAYOUT)
+  });
+
+  await Theater.updateOne({ _id: theater._id }, { $set: { screens } });
+  console.log(`✅ Migrated: ${theater.name} (${screens.map(s => s.name).join(', ')})`);
+}
+
+await mongoose.connection.close();
+console.log('🔌 MongoDB connection closed');
@@ -1,4 +1,54 @@
 import mongoose from 'mongoose';
+import { priceQuoteSchema } from './priceQuote.js';
+
+// 💸 Money returned through the payment provider or as wallet credits (amounts in paise)
+const refundSchema = new mongoose.Schema(
+  {
+    refundId: { type: String, default: null }, // null when the provider rejected the refund; wallet credit ID for credits
+    paymentId: { type: String, default: null }, // provider payment refunded (checkout or booking change)
+    amount: { type: Number, required: true, min: 0 },
+    destination: { type: String, enum: ['original', 'wallet'], default: 'original' },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: { type: String, trim: true, default: null },
+    failureReason: { type: String, default: null },
+    processedAt: { type: Date, default: null }
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// 🔀 Snapshot of what a booking pointed at before/after a change
+const bookingStateSchema = new mongoose.Schema(
+  {
+    theater: {
+      name: { type: String, trim: true },
+      location: { type: String, trim: true }
+    },
+    showtimeDate: { type: Date },
+    screen: { type: String, trim: true },
+    seats: { type: [String], default: [] },
+    amount: { type: Number, min: 0 }
+  },
+  { _id: false }
+);
+
+// 📝 One entry per seat/showtime change (amounts in paise)
+const modificationSchema = new mongoose.Schema(
+  {
+    changedAt: { type: Date, default: Date.now },
+    from: { type: bookingStateSchema, required: true },
+    to: { type: bookingStateSchema, required: true },
+    difference: { type: Number, required: true }, // > 0 charged, < 0 refunded
+    provider: { type: String, default: null }, // provider of the difference payment
+    orderId: { type: String, default: null },
+    paymentId: { type: String, default: null }, // refundable like the checkout payment (see utils/refunds.js)
+    refundId: { type: String, default: null }
+  },
+  { _id: false }
+);
 
 const bookingSchema = new mongoose.Schema(
   {
@@ -9,8 +59,43 @@ const bookingSchema = new mongoose.Schema(
       location: { type: String, required: true, trim: true }
     },
     showtimeDate: { type: Date, required: true },
+    screen: { type: String, trim: true, default: 'Screen 1' },
     seats: { type: [String], required: true }, // e.g. ["A1", "B3"]
-    amount: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 }, // current value of `seats` (paise)
+    pricing: { type: priceQuoteSchema, default: null }, // breakdown of `amount`
+
+    payment: {
+      provider: { type: String, default: 'razorpay' },
+      orderId: { type: String, default: null },
+      paymentId: { type: String, default: null },
+      amount: { type: Number, default: null }, // captured amount, unchanged by later seat changes
+      walletAmount: { type: Number, default: 0 } // ShowSnap credits spent alongside (paise)
+    },
+
+    cancelledSeats: {
+      type: [
+        {
+          _id: false,
+          seat: { type: String, required: true },
+          refundAmount: { type: Number, default: 0 }, // this seat's share of the refund (paise)
+          cancelledAt: { type: Date, default: Date.now }
+        }
+      ],
+      default: []
+    },
+
+    invoice: {
+      number: { type: String, default: null }, // e.g. "SS/2026-27/000042", gap-free per financial year
+      financialYear: { type: String, default: null },
+      sequence: { type: Number, default: null },
+      issuedAt: { type: Date, default: null }
+    },
+
+    checkoutRef: {
+      type: String,
+      trim: true,
+      default: null // client-generated reference for the checkout that produced this booking
+    },
 
     status: {
       type: String,
@@ -20,10 +105,29 @@ const bookingSchema = new mongoose.Schema(
 
     paymentStatus: {
       type: String,
-      enum: ['paid', 'unpaid', 'failed'],
+      enum: ['paid', 'unpaid', 'failed', 'partially_refunded', 'refunded'],
       default: 'paid'
     },
 
+    modifications: { type: [modificationSchema], default: [] },
+
+    admittedSeats: { type: [String], default: [] }, // seats already let in at the door
+    checkIns: {
+      type: [
+        {
+          _id: false,
+          seats: { type: [String], default: [] },
+          at: { type: Date, default: Date.now },
+          by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+        }
+      ],
+      default: []
+    },
+
+    refunds: { type: [refundSchema], default: [] },
+    refundedAmount: { type: Number, default: 0, min: 0 }, // paise
+    loyaltyPoints: { type: Number, default: 0 }, // points this booking currently earns its user
+
     expiresAt: {
       type: Date,
       default: null // optional: for auto-expiry if unpaid
@@ -40,4 +144,19 @@ const bookingSchema = new mongoose.Schema(
 // 🔍 Optimize seat lookup per showtime
 bookingSchema.index({ movie: 1, theater: 1, showtimeDate: 1, status: 1 });
 
+// 🔗 Resolve bookings from payment references (one booking per payment order)
+bookingSchema.index(
+  { 'payment.orderId': 1 },
+  { unique: true, partialFilterExpression: { 'payment.orderId': { $type: 'string' } } }
+);
+// ⌛ Expiry sweeps look up unpaid bookings past their payment window
+bookingSchema.index({ expiresAt: 1, status: 1 }, { sparse: true });
+bookingSchema.index({ 'payment.paymentId': 1 }, { sparse: true });
+bookingSchema.index({ user: 1, checkoutRef: 1 }, { sparse: true });
+bookingSchema.index({ 'refunds.refundId': 1 }, { sparse: true });
+bookingSchema.index(
+  { 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } }
+);
+
 export default mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// 🔢 Named sequences (e.g. invoice numbers per financial year), advanced with an atomic $inc
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true }, // sequence name, e.g. "invoice:2026-27"
+    seq: { type: Number, default: 0 }
+  },
+  { versionKey: false }
+);
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// 🏷️ Promo code applied at checkout (money amounts in paise)
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code may only contain letters, digits, "-" and "_"']
+    },
+    description: { type: String, trim: true, default: '' },
+
+    discountType: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0 // % for percentage coupons, paise for flat ones
+    },
+    minAmount: { type: Number, default: 0, min: 0 }, // order total before the discount
+    maxDiscount: { type: Number, default: null, min: 0 }, // cap for percentage coupons
+
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+
+    usageLimit: { type: Number, default: null, min: 1 }, // redemptions across all users
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    // 🎯 Empty lists mean no restriction
+    movies: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Movie' }],
+    theaters: { type: [String], default: [] }, // theater names
+    daysOfWeek: { type: [{ type: Number, min: 0, max: 6 }], default: [] }, // showtime weekday (0 = Sunday, IST)
+
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ code: 1 }, { unique: true });
+
+couponSchema.pre('validate', function (next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+export default mongoose.model('Coupon', couponSchema);
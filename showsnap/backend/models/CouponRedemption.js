@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// 🎟️ One coupon use: reserved when the discounted order is created, redeemed once it is paid
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    code: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+    orderId: { type: String, required: true },
+    discount: { type: Number, required: true, min: 0 }, // paise
+
+    status: {
+      type: String,
+      enum: ['reserved', 'redeemed', 'released'],
+      default: 'redeemed' // released uses no longer count towards the limits
+    },
+    slot: { type: Number, default: null }, // which of the user's allowed uses this is; cleared on release
+    releaseAfter: { type: Date, default: null } // unpaid by then, the reserved use goes back
+  },
+  { timestamps: true }
+);
+
+// 🔁 A paid order redeems its coupon once, however often it is verified
+couponRedemptionSchema.index({ orderId: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+// 🔐 Each of a user's allowed uses can be taken by one order at a time (see utils/coupons.js)
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+couponRedemptionSchema.index({ status: 1, releaseAfter: 1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
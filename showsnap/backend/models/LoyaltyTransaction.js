@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// ⭐ Loyalty points earned for a paid booking, or given back when it is cancelled or refunded
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+    type: { type: String, enum: ['earn', 'reversal'], required: true },
+    points: { type: Number, required: true, min: 1 },
+    reason: { type: String, trim: true, default: null }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { priceQuoteSchema } from './priceQuote.js';
+
+// 💳 Refund reported by the payment provider against a captured payment
+const paymentRefundSchema = new mongoose.Schema(
+  {
+    refundId: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 }, // paise
+    processedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// 🔀 One entry per status change (see utils/paymentStatus.js)
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    reason: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+// 🧾 Provider order (Razorpay order / Stripe PaymentIntent, or provider 'wallet'/'free' when credits/a coupon cover it all) for a seat hold — outlives the hold so late payments can still be booked
+const paymentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: 'razorpay' }, // see utils/paymentProviders
+    orderId: { type: String, required: true },
+    paymentId: { type: String, default: null },
+
+    purpose: {
+      type: String,
+      enum: ['booking', 'modification'],
+      default: 'booking' // modification orders charge the price difference of a booking change
+    },
+
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    hold: { type: mongoose.Schema.Types.ObjectId, ref: 'SeatHold', default: null },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+
+    movie: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    theater: {
+      name: { type: String, required: true, trim: true },
+      location: { type: String, required: true, trim: true }
+    },
+    showtimeDate: { type: Date, required: true },
+    seats: { type: [String], required: true },
+    checkoutRef: { type: String, default: null },
+
+    amount: { type: Number, required: true, min: 0 }, // paise
+    currency: { type: String, default: 'INR' },
+    quote: { type: priceQuoteSchema, required: true },
+    coupon: {
+      type: new mongoose.Schema(
+        {
+          coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+          code: { type: String, required: true },
+          discount: { type: Number, required: true, min: 0 } // paise
+        },
+        { _id: false }
+      ),
+      default: null // redeemed once the order is paid
+    },
+    wallet: {
+      type: new mongoose.Schema(
+        {
+          amount: { type: Number, required: true, min: 1 }, // paise, on top of `amount` charged by the provider
+          transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction', required: true },
+          status: { type: String, enum: ['reserved', 'captured', 'released'], default: 'reserved' },
+          releaseAfter: { type: Date, required: true } // unpaid by then, the credits go back
+        },
+        { _id: false }
+      ),
+      default: null // ShowSnap credits applied to the order (see utils/wallet.js)
+    },
+
+    status: {
+      type: String,
+      enum: ['created', 'attempted', 'paid', 'failed', 'refunded'],
+      default: 'created'
+    },
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: () => [{ status: 'created' }]
+    },
+
+    paidAt: { type: Date, default: null },
+    failureReason: { type: String, default: null },
+    unbookedRefund: {
+      type: new mongoose.Schema(
+        {
+          status: { type: String, enum: ['pending', 'issued'], default: 'pending' },
+          refundId: { type: String, default: null },
+          attempts: { type: Number, default: 0 },
+          nextAttemptAt: { type: Date, default: Date.now }, // also keeps two runs from refunding at once
+          lastError: { type: String, default: null }
+        },
+        { _id: false }
+      ),
+      default: null // captured, but the booking could not be created: the charge goes back (see utils/refunds.js)
+    },
+    refunds: { type: [paymentRefundSchema], default: [] },
+    refundedAmount: { type: Number, default: 0, min: 0 }
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ orderId: 1 }, { unique: true });
+paymentSchema.index({ paymentId: 1 }, { sparse: true });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ 'wallet.status': 1, 'wallet.releaseAfter': 1 }, { sparse: true });
+paymentSchema.index({ 'unbookedRefund.status': 1, 'unbookedRefund.nextAttemptAt': 1 }, { sparse: true });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// ⚠️ One discrepancy between the provider's records and ours (amounts in paise)
+const reconciliationIssueSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['orphan_payment', 'orphan_booking', 'orphan_refund', 'amount_mismatch'],
+      required: true
+    },
+    orderId: { type: String, default: null },
+    paymentId: { type: String, default: null },
+    refundId: { type: String, default: null },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+    expected: { type: Number, default: null }, // what our records say
+    actual: { type: Number, default: null }, // what the provider reports
+    note: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+// 🧮 Result of matching a provider's payments and refunds for a period against bookings
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true }, // exclusive
+    trigger: { type: String, enum: ['scheduled', 'manual'], default: 'manual' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    summary: {
+      payments: { type: Number, default: 0 }, // captured payments checked
+      refunds: { type: Number, default: 0 },
+      bookings: { type: Number, default: 0 }, // paid bookings checked
+      orphanPayments: { type: Number, default: 0 },
+      orphanBookings: { type: Number, default: 0 },
+      orphanRefunds: { type: Number, default: 0 },
+      amountMismatches: { type: Number, default: 0 }
+    },
+    issues: { type: [reconciliationIssueSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// 🔐 The daily job reports each period once, even with several servers running it
+reconciliationReportSchema.index(
+  { provider: 1, from: 1 },
+  { unique: true, partialFilterExpression: { trigger: 'scheduled' } }
+);
+
+export default mongoose.model('ReconciliationReport', reconciliationReportSchema);
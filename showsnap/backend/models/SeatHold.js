@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { priceQuoteSchema } from './priceQuote.js';
+
+// ⏳ Temporary lock on seats while the user completes payment
+const seatHoldSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    movie: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    theater: {
+      name: { type: String, required: true, trim: true },
+      location: { type: String, required: true, trim: true }
+    },
+    showtimeDate: { type: Date, required: true },
+    seats: { type: [String], required: true },
+
+    status: {
+      type: String,
+      enum: ['active', 'consumed', 'released'],
+      default: 'active'
+    },
+
+    orderId: {
+      type: String,
+      default: null // payment order created against this hold
+    },
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null // set when the hold is for changing an existing booking
+    },
+
+    targetSeats: {
+      type: [String],
+      default: [] // full seat list of the changed booking; `seats` holds only the newly claimed ones
+    },
+
+    checkoutRef: {
+      type: String,
+      trim: true,
+      default: null // client-generated checkout reference, copied to the booking
+    },
+
+    quote: {
+      type: priceQuoteSchema,
+      default: null // price the payment order was created for
+    },
+
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// 🔍 Optimize held-seat lookup per showtime
+seatHoldSchema.index({ movie: 1, 'theater.name': 1, showtimeDate: 1, status: 1 });
+
+// 🧹 Let MongoDB purge holds once they expire
+seatHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SeatHold', seatHoldSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// 💺 One document per claimed seat — the unique index makes each claim atomic
+const seatReservationSchema = new mongoose.Schema(
+  {
+    movie: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    theaterName: { type: String, required: true, trim: true },
+    showtimeDate: { type: Date, required: true },
+    seat: { type: String, required: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    hold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SeatHold',
+      default: null // set while the seat is only held
+    },
+
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null // set once the seat is paid for
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null // null for booked seats, hold expiry otherwise
+    }
+  },
+  { timestamps: true }
+);
+
+// 🔐 A seat can only be claimed once per showtime
+seatReservationSchema.index(
+  { movie: 1, theaterName: 1, showtimeDate: 1, seat: 1 },
+  { unique: true }
+);
+seatReservationSchema.index({ hold: 1 });
+seatReservationSchema.index({ booking: 1 });
+
+// 🧹 Let MongoDB purge expired holds (booked seats have no expiry)
+seatReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SeatReservation', seatReservationSchema);
@@ -1,4 +1,136 @@
 import mongoose from 'mongoose';
+import { DEFAULT_SEAT_LAYOUT } from '../utils/seatLayout.js';
+import { DEFAULT_CANCELLATION_POLICY } from '../utils/cancellationPolicy.js';
+
+// 🏷️ Seat category with its ticket price
+const seatCategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Seat category name is required'],
+      trim: true // e.g. Recliner, Premium, Classic
+    },
+    price: {
+      type: Number,
+      required: [true, 'Seat category price is required'],
+      min: 0 // ₹ per seat
+    },
+    rows: {
+      type: [String],
+      default: [] // row labels in this category
+    },
+    color: {
+      type: String,
+      trim: true,
+      default: '#9ca3af'
+    }
+  },
+  { _id: false }
+);
+
+// 💺 Seat layout of a single screen
+const seatLayoutSchema = new mongoose.Schema(
+  {
+    rows: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 52,
+      default: DEFAULT_SEAT_LAYOUT.rows
+    },
+    seatsPerRow: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 60,
+      default: DEFAULT_SEAT_LAYOUT.seatsPerRow
+    },
+    rowLabels: {
+      type: [String],
+      default: () => [...DEFAULT_SEAT_LAYOUT.rowLabels] // e.g. ["A", "B", "C", "D"]
+    },
+    aisles: {
+      type: [Number],
+      default: [] // aisle gap after these seat numbers
+    },
+    rowGaps: {
+      type: [String],
+      default: [] // walkway after these row labels
+    },
+    unavailable: {
+      type: [String],
+      default: [] // positions with no seat, e.g. ["A1", "D6"]
+    },
+    categories: {
+      type: [seatCategorySchema],
+      default: () => DEFAULT_SEAT_LAYOUT.categories.map(c => ({ ...c, rows: [...c.rows] }))
+    }
+  },
+  { _id: false }
+);
+
+// 🎞️ Screen schema
+const screenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Screen name is required'],
+    trim: true
+  },
+  layout: {
+    type: seatLayoutSchema,
+    default: () => ({})
+  }
+});
+
+// ⏱️ Refund tier: cancelling at least `hoursBefore` the show refunds `refundPercent`
+const cancellationTierSchema = new mongoose.Schema(
+  {
+    hoursBefore: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    refundPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  },
+  { _id: false }
+);
+
+// 🍿 F&B menu entry sold with tickets at this theater
+const menuItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Menu item name is required'],
+    trim: true // e.g. Large Popcorn, Nachos Combo
+  },
+  kind: {
+    type: String,
+    enum: ['item', 'combo'],
+    default: 'item'
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  includes: {
+    type: [String],
+    default: [] // what a combo contains
+  },
+  price: {
+    type: Number,
+    required: [true, 'Menu item price is required'],
+    min: 0 // ₹ per unit
+  },
+  available: {
+    type: Boolean,
+    default: true
+  }
+});
 
 // 🏢 Theater schema
 const theaterSchema = new mongoose.Schema(
@@ -52,8 +184,18 @@ const theaterSchema = new mongoose.Schema(
       default: []
     },
     screens: {
-      type: [String],
-      default: ['Screen 1']
+      type: [screenSchema],
+      default: () => [{ name: 'Screen 1' }]
+    },
+    cancellationPolicy: {
+      tiers: {
+        type: [cancellationTierSchema],
+        default: () => DEFAULT_CANCELLATION_POLICY.tiers.map(t => ({ ...t })) // no cancellation after the last cutoff
+      }
+    },
+    menu: {
+      type: [menuItemSchema],
+      default: []
     },
     status: {
       type: String,
@@ -22,7 +22,7 @@ const userSchema = new mongoose.Schema(
         message: 'Password must contain letters and numbers'
       }
     },
-    role: { type: String, enum: ['user', 'admin', 'superadmin'], default: 'user' },
+    role: { type: String, enum: ['user', 'staff', 'admin', 'superadmin'], default: 'user' },
     phone: { type: String, match: [/^\d{10}$/, 'Phone must be 10 digits'], default: '' },
     profileImage: {
       type: String,
@@ -31,6 +31,7 @@ const userSchema = new mongoose.Schema(
     },
     status: { type: String, enum: ['active', 'inactive', 'suspended'], default: 'active' },
     bookings: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: [] }],
+    loyaltyPoints: { type: Number, default: 0 }, // running total of LoyaltyTransaction (see utils/loyalty.js)
     resetPasswordToken: { type: String, default: '' },
     resetPasswordExpires: { type: Date }
   },
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// ⏳ User waiting for seats at a sold-out showtime
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    movie: { type: mongoose.Schema.Types.ObjectId, ref: 'Movie', required: true },
+    theater: {
+      name: { type: String, required: true, trim: true },
+      location: { type: String, required: true, trim: true }
+    },
+    showtimeDate: { type: Date, required: true },
+    seatsWanted: { type: Number, required: true, min: 1, max: 10 },
+
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+      default: 'waiting'
+    },
+
+    // 🎟️ Freed seats held for this user until the claim link expires
+    offer: {
+      hold: { type: mongoose.Schema.Types.ObjectId, ref: 'SeatHold', default: null },
+      seats: { type: [String], default: [] },
+      tokenHash: { type: String, default: null }, // sha256 of the emailed claim token
+      offeredAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null }
+    },
+
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null } // set once claimed
+  },
+  { timestamps: true }
+);
+
+// 🔍 Queue order per showtime
+waitlistEntrySchema.index({ movie: 1, 'theater.name': 1, showtimeDate: 1, status: 1, createdAt: 1 });
+
+// 🚫 One place in the queue per user and showtime
+waitlistEntrySchema.index(
+  { user: 1, movie: 1, 'theater.name': 1, showtimeDate: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+waitlistEntrySchema.index({ 'offer.tokenHash': 1 }, { sparse: true });
+waitlistEntrySchema.index({ 'offer.hold': 1 }, { sparse: true });
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// 👛 ShowSnap credits held by a user — the balance is the sum of unspent, unexpired credit lots (paise)
+const walletSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    balance: { type: Number, default: 0, min: 0 } // only ever moved with guarded $inc (see utils/wallet.js)
+  },
+  { timestamps: true }
+);
+
+walletSchema.index({ user: 1 }, { unique: true });
+
+export default mongoose.model('Wallet', walletSchema);
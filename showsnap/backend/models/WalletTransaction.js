@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// 📒 One wallet ledger entry (amounts in paise). Credits are lots that are spent oldest-expiry first.
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ['credit', 'debit'], required: true },
+    amount: { type: Number, required: true, min: 1 },
+    reason: {
+      type: String,
+      enum: ['refund', 'checkout', 'expiry', 'reversal', 'adjustment'],
+      required: true
+    },
+    description: { type: String, trim: true, default: null },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', default: null },
+
+    // Credits only
+    expiresAt: { type: Date, default: null },
+    remaining: { type: Number, default: 0, min: 0 }, // not yet spent or expired
+
+    // Debits only: the credit lots the debit was taken from, so a reversal can put it back
+    lots: {
+      type: [
+        {
+          _id: false,
+          credit: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction', required: true },
+          amount: { type: Number, required: true, min: 1 }
+        }
+      ],
+      default: []
+    },
+    reversedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+// 🔍 Spending and expiry look up credit lots that still hold money
+walletTransactionSchema.index({ user: 1, type: 1, remaining: 1, expiresAt: 1 });
+walletTransactionSchema.index({ expiresAt: 1 }, { partialFilterExpression: { remaining: { $gt: 0 } } });
+
+export default mongoose.model('WalletTransaction', walletTransactionSchema);
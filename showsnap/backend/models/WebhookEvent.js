@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// 📨 Webhook deliveries already handled — the unique event ID makes redelivery a no-op
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, default: 'razorpay' },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true },
+    receivedAt: { type: Date, default: Date.now }
+  },
+  { timestamps: false }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// 🧹 Providers stop redelivering long before this
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// 🧾 Server-computed price breakdown (all amounts in paise)
+const quoteLineSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, trim: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    seats: { type: [String], default: [] },
+    subtotal: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const addOnLineSchema = new mongoose.Schema(
+  {
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // theater menu item
+    name: { type: String, required: true, trim: true },
+    kind: { type: String, default: 'item' },
+    unitPrice: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, required: true, min: 1 },
+    subtotal: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const discountSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true, trim: true },
+    amount: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+// 🏛️ GST included in the quote (see utils/tax.js)
+const ticketTaxSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, trim: true },
+    quantity: { type: Number, required: true, min: 0 },
+    rate: { type: Number, required: true, min: 0 }, // %
+    taxableValue: { type: Number, required: true, min: 0 },
+    gst: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const taxBreakdownSchema = new mongoose.Schema(
+  {
+    tickets: { type: [ticketTaxSchema], default: [] },
+    baseFare: { type: Number, required: true, min: 0 },
+    ticketGst: { type: Number, required: true, min: 0 },
+    convenienceFeeBase: { type: Number, default: 0, min: 0 },
+    convenienceFeeGst: { type: Number, default: 0, min: 0 },
+    convenienceFeeRate: { type: Number, default: 0, min: 0 }, // %
+    foodBase: { type: Number, default: 0, min: 0 },
+    foodGst: { type: Number, default: 0, min: 0 },
+    foodRate: { type: Number, default: 0, min: 0 }, // %
+    totalGst: { type: Number, required: true, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 }
+  },
+  { _id: false }
+);
+
+export const priceQuoteSchema = new mongoose.Schema(
+  {
+    currency: { type: String, default: 'INR' },
+    lines: { type: [quoteLineSchema], default: [] },
+    seatTotal: { type: Number, required: true, min: 0 },
+    convenienceFee: { type: Number, default: 0, min: 0 },
+    addOns: { type: [addOnLineSchema], default: [] }, // F&B ordered with the seats
+    addOnTotal: { type: Number, default: 0, min: 0 },
+    discounts: { type: [discountSchema], default: [] },
+    discount: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    membership: {
+      type: new mongoose.Schema(
+        {
+          tier: { type: String, required: true },
+          convenienceFeeDiscount: { type: Number, default: 0, min: 0 } // % of the convenience fee waived
+        },
+        { _id: false }
+      ),
+      default: null // loyalty tier the quote was priced for (see utils/loyalty.js)
+    },
+    tax: { type: taxBreakdownSchema, default: null } // null for quotes made before GST was itemised
+  },
+  { _id: false }
+);
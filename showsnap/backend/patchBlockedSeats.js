@@ -1,29 +1,31 @@
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import { findScreenLayout, listSeatIds } from './utils/seatLayout.js';
 
 dotenv.config();
 await mongoose.connect(process.env.MONGO_URI, { dbName: 'showsnap' });
 
-const seatRows = ['A', 'B', 'C', 'D'];
-const seatCols = [1, 2, 3, 4, 5, 6];
-const allSeats = seatRows.flatMap(row => seatCols.map(col => `${row}${col}`));
-
-function generateBlockedSeats() {
+function generateBlockedSeats(theater, screen) {
+  const allSeats = listSeatIds(findScreenLayout(theater, screen));
   const total = Math.floor(Math.random() * 10); // block 0–10 seats
   const shuffled = [...allSeats].sort(() => 0.5 - Math.random());
   return shuffled.slice(0, total);
 }
 
 const Movie = mongoose.connection.collection('movies');
+const Theater = mongoose.connection.collection('theaters');
 
 const movies = await Movie.find({}).toArray();
+const theatersByName = new Map(
+  (await Theater.find({}).toArray()).map(t => [t.name, t])
+);
 
 for (const movie of movies) {
   const updatedEmbedded = (movie.embeddedTheaters || []).map(theater => ({
     ...theater,
     showtimes: (theater.showtimes || []).map(showtime => ({
       ...showtime,
-      blockedSeats: generateBlockedSeats()
+      blockedSeats: generateBlockedSeats(theatersByName.get(theater.name), showtime.screen)
     }))
   }));
 
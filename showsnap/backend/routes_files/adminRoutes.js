@@ -7,12 +7,19 @@ import {
   bulkCreateMovies,
   updateMovie,
   getAllUsers,
+  updateUserRole,
   getMovieById,
   getAllMovies,
   pingAdmin // ✅ Optional health check route
 } from '../controllers/adminController.js';
 import { searchTmdbMovie } from '../controllers/tmdbController.js';
 import { getTmdbMovieDetails } from '../controllers/tmdbController.js';
+import {
+  getReconciliationReports,
+  getReconciliationReport,
+  createReconciliationReport,
+  exportReconciliationCsv
+} from '../controllers/reconciliationController.js';
 
 import protect from '../middleware/authMiddleware.js';
 import adminOnly from '../middleware/adminMiddleware.js';
@@ -38,8 +45,15 @@ router.get('/bookings', ...adminAccess, getAllBookings);
 // 📊 Dashboard Metrics Route
 router.get('/dashboard', ...adminAccess, getAdminStats);
 
+// 🧮 Payment Reconciliation Routes
+router.get('/reconciliation', ...adminAccess, getReconciliationReports);
+router.post('/reconciliation', ...adminAccess, createReconciliationReport);
+router.get('/reconciliation/:reportId', ...adminAccess, getReconciliationReport);
+router.get('/reconciliation/:reportId/csv', ...adminAccess, exportReconciliationCsv);
+
 // 👥 User Management Route
 router.get('/users', ...adminAccess, getAllUsers);
+router.patch('/users/:userId/role', ...adminAccess, updateUserRole);
 
 // 🛠 Admin Health Check (Optional)
 router.get('/ping', ...adminAccess, pingAdmin); // ✅ Useful for frontend token validation
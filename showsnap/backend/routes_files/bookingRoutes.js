@@ -4,15 +4,31 @@ import {
   getBookingById,
   getBookedSeats,
   getAllUserBookings,
+  getBookingConfirmation,
+  getCancellationQuote,
+  cancelSeats,
+  holdSeats,
+  releaseSeatHold,
   cancelBooking // ✅ Import the cancel handler
 } from '../controllers/bookingController.js';
+import { requestModification, confirmModification } from '../controllers/bookingModificationController.js';
+import { getTicketPdf, getInvoicePdf } from '../controllers/bookingDocumentController.js';
 
 const router = express.Router();
 
 // 🪑 Booking Routes
 router.get('/booked-seats', getBookedSeats); // Public route
 router.get('/my-bookings', protect, getAllUserBookings); // Protected route
+router.get('/confirmation', protect, getBookingConfirmation); // Ticket for a completed checkout
+router.post('/hold', protect, holdSeats); // Lock seats before payment
+router.delete('/hold/:holdId', protect, releaseSeatHold); // Release a seat hold
 router.get('/:bookingId', protect, getBookingById); // Get booking by ID
+router.get('/:bookingId/ticket.pdf', protect, getTicketPdf); // Printable ticket
+router.get('/:bookingId/invoice.pdf', protect, getInvoicePdf); // Invoice
+router.get('/:bookingId/cancellation-quote', protect, getCancellationQuote); // Refund preview
 router.patch('/:bookingId/cancel', protect, cancelBooking); // ✅ Cancel booking route
+router.patch('/:bookingId/seats', protect, cancelSeats); // Cancel some seats of a booking
+router.post('/:bookingId/modify', protect, requestModification); // Hold new seats/showtime and quote the difference
+router.post('/:bookingId/modify/confirm', protect, confirmModification); // Apply a change that needs no payment
 
 export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import protect from '../middleware/authMiddleware.js';
+import adminOnly from '../middleware/adminMiddleware.js';
+import { scanTicket } from '../controllers/checkinController.js';
+
+const router = express.Router();
+
+// 🚪 Door staff (and admins) validate tickets
+router.post('/scan', protect, adminOnly(['staff', 'admin', 'superadmin']), scanTicket);
+
+export default router;
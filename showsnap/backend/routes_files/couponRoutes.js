@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import protect from '../middleware/authMiddleware.js';
+import adminOnly from '../middleware/adminMiddleware.js';
+
+const router = express.Router();
+
+// 🏷️ Checkout
+router.post('/validate', protect, validateCoupon); // Price a seat selection with a coupon
+
+// 🛠 Coupon Management (Admin only)
+router.get('/', protect, adminOnly(), getCoupons);
+router.post('/', protect, adminOnly(), createCoupon);
+router.put('/:id', protect, adminOnly(), updateCoupon);
+router.delete('/:id', protect, adminOnly(), deleteCoupon);
+
+export default router;
@@ -5,14 +5,15 @@ import {
   getAllGenres,
   createMovie
 } from '../controllers/movieController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // 🎬 Fetch all movies with filters, pagination, and sorting
 router.get('/movies', getMovies);
 
-// 🎥 Fetch a single movie by ID with populated theaters
-router.get('/movies/:id', getMovieById);
+// 🎥 Fetch a single movie by ID with populated theaters (and when the signed-in user may book it)
+router.get('/movies/:id', optionalAuth, getMovieById);
 
 // 🎭 Get all unique genres for filtering UI
 router.get('/movies/genres', getAllGenres);
@@ -1,17 +1,21 @@
 import express from 'express';
-import protect from '../middleware/authMiddleware.js';
+import protect, { optionalAuth } from '../middleware/authMiddleware.js';
 import {
+  getQuote,
   createOrder,
-  verifyPayment
-} from '../controllers/razorpayController.js';
+  verifyPayment,
+  completeMockPayment,
+  paymentWebhookHandler
+} from '../controllers/paymentController.js';
 
 const router = express.Router();
 
-// 💳 Razorpay Payment Routes
+// 💳 Payment Routes
+router.post('/quote', optionalAuth, getQuote); // Anonymous, or priced for the signed-in user's tier
 router.post('/create-order', protect, createOrder);
 router.post('/verify', protect, verifyPayment);
-
-// Optional: Razorpay webhook route
-// router.post('/webhook', razorpayWebhookHandler);
+router.post('/mock/:orderId/complete', protect, completeMockPayment); // Mock gateway checkout, only with ENABLE_MOCK_PAYMENTS
+router.post('/webhook', paymentWebhookHandler); // Razorpay (original endpoint); signed, no user auth
+router.post('/webhook/:provider', paymentWebhookHandler); // Signed by the provider, no user auth
 
 export default router;
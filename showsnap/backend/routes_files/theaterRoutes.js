@@ -6,6 +6,15 @@ import {
   createTheater,
   updateTheater,
   deleteTheater,
+  getScreenLayout,
+  getScreens,
+  addScreen,
+  updateScreen,
+  deleteScreen,
+  getCancellationPolicy,
+  updateCancellationPolicy,
+  getMenu,
+  updateMenu,
 } from '../controllers/theaterController.js';
 import protect from '../middleware/authMiddleware.js';
 import adminOnly from '../middleware/adminMiddleware.js';
@@ -14,6 +23,8 @@ const router = express.Router();
 
 // Public Routes
 router.get('/', getTheaters);
+router.get('/layout', getScreenLayout);
+router.get('/menu', getMenu);
 // ❌ Remove this route as it is no longer needed.
 // router.get('/by-movie/:id', getTheatersByMovieId);
 
@@ -22,4 +33,17 @@ router.post('/', protect, adminOnly(), createTheater);
 router.put('/:id', protect, adminOnly(), updateTheater);
 router.delete('/:id', protect, adminOnly(), deleteTheater);
 
+// Screen Layout Routes (Admin only)
+router.get('/:id/screens', protect, adminOnly(), getScreens);
+router.post('/:id/screens', protect, adminOnly(), addScreen);
+router.put('/:id/screens/:screenId', protect, adminOnly(), updateScreen);
+router.delete('/:id/screens/:screenId', protect, adminOnly(), deleteScreen);
+
+// Cancellation Policy Routes (Admin only)
+router.get('/:id/cancellation-policy', protect, adminOnly(), getCancellationPolicy);
+router.put('/:id/cancellation-policy', protect, adminOnly(), updateCancellationPolicy);
+
+// F&B Menu Routes (Admin only)
+router.put('/:id/menu', protect, adminOnly(), updateMenu);
+
 export default router;
\ No newline at end of file
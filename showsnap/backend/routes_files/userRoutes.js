@@ -5,7 +5,9 @@ import {
   loginUser, 
   getUserProfile, 
   updateUserProfile,
-  forgotPassword 
+  forgotPassword,
+  getWallet,
+  getLoyalty
 } from '../controllers/userController.js';
 
 const router = express.Router();
@@ -22,5 +24,7 @@ router.post('/forgot-password', forgotPassword); // ✅ New public route
 // =======================
 router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
+router.get('/wallet', protect, getWallet); // ShowSnap credits and their history
+router.get('/loyalty', protect, getLoyalty); // Points, tier and perks
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+import express from 'express';
+import protect from '../middleware/authMiddleware.js';
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getWaitlistClaim
+} from '../controllers/waitlistController.js';
+
+const router = express.Router();
+
+// ⏳ Waitlist Routes
+router.post('/', protect, joinWaitlist); // Queue for a sold-out showtime
+router.get('/mine', protect, getMyWaitlist); // Entries of the logged-in user
+router.get('/claim/:token', protect, getWaitlistClaim); // Seats offered through an emailed link
+router.delete('/:entryId', protect, leaveWaitlist); // Leave the queue
+
+export default router;
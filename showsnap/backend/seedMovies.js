@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import axios from 'axios';
 import Movie from './models/Movie.js';
 import Theater from './models/Theater.js';
+import { findScreenLayout, listSeatIds } from './utils/seatLayout.js';
 
 dotenv.config();
 const { TMDB_API_KEY, MONGO_URI } = process.env;
@@ -19,11 +20,8 @@ const movieTitlesToSeed = [
 const supportedTmdbLanguages = ['en-US', 'hi-IN', 'mr-IN', 'ta-IN', 'te-IN', 'ml-IN', 'kn-IN', 'bn-IN', 'gu-IN', 'pa-IN', 'ur-PK'];
 const backendSupportedLanguages = ['en', 'hi', 'ta', 'te', 'ml', 'kn', 'bn', 'mr', 'gu', 'pa', 'ur'];
 
-const seatRows = ['A', 'B', 'C', 'D'];
-const seatCols = [1, 2, 3, 4, 5, 6];
-const allSeats = seatRows.flatMap(row => seatCols.map(col => `${row}${col}`));
-
-function generateBlockedSeats() {
+function generateBlockedSeats(theater, screen) {
+  const allSeats = listSeatIds(findScreenLayout(theater, screen));
   const total = Math.floor(Math.random() * 10);
   const shuffled = [...allSeats].sort(() => 0.5 - Math.random());
   return shuffled.slice(0, total);
@@ -207,7 +205,7 @@ async function seedMovies() {
           startTime: new Date(`${dateStr}T${time}:00`),
           screen: 'Screen 1',
           availableSeats: 100,
-          blockedSeats: generateBlockedSeats(),
+          blockedSeats: generateBlockedSeats(theater, 'Screen 1'),
           movie: movie._id
         }));
 
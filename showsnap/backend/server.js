@@ -3,6 +3,13 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import logger from './utils/logger.js';
+import { createExpirySweeper } from './utils/bookingExpiry.js';
+import { createReconciliationJob } from './utils/reconciliation.js';
+import { createWaitlistOfferJob } from './utils/waitlist.js';
+import { createWalletJob } from './utils/wallet.js';
+import { createCouponReservationJob } from './utils/coupons.js';
+import { createUnbookedRefundJob } from './utils/refunds.js';
+import { createInvoiceJob } from './utils/invoice.js';
 
 import theaterRoutes from './routes_files/theaterRoutes.js';
 import movieRoutes from './routes_files/movieRoutes.js';
@@ -10,6 +17,9 @@ import userRoutes from './routes_files/userRoutes.js';
 import bookingRoutes from './routes_files/bookingRoutes.js';
 import paymentRoutes from './routes_files/paymentRoutes.js';
 import adminRoutes from './routes_files/adminRoutes.js';
+import checkinRoutes from './routes_files/checkinRoutes.js';
+import couponRoutes from './routes_files/couponRoutes.js';
+import waitlistRoutes from './routes_files/waitlistRoutes.js';
 
 dotenv.config();
 
@@ -45,7 +55,12 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+app.use(express.json({
+  // 🔏 Keep the exact bytes the payment provider signed for webhook verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ✅ Welcome route
@@ -62,6 +77,9 @@ app.use('/api/users', userRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 app.use('/uploads', express.static('uploads'));
 
 // =======================
@@ -83,6 +101,21 @@ app.use((err, req, res, next) => {
 // =======================
 // MongoDB Connection
 // =======================
+// 🧹 Cancels unpaid bookings and releases seat holds once their payment window has passed
+const expirySweeper = createExpirySweeper();
+// ⏳ Passes unclaimed waitlist offers on to the next users in line
+const waitlistOfferJob = createWaitlistOfferJob();
+// 👛 Returns credits reserved by unpaid orders and expires old credits
+const walletJob = createWalletJob();
+// 🏷️ Returns coupon uses reserved by unpaid orders
+const couponReservationJob = createCouponReservationJob();
+// 💸 Retries refunds of paid orders that could not be booked
+const unbookedRefundJob = createUnbookedRefundJob();
+// 🧾 Numbers bookings that were saved without an invoice number
+const invoiceJob = createInvoiceJob();
+// 🧮 Matches yesterday's provider payments against bookings
+const reconciliationJob = createReconciliationJob();
+
 mongoose.connect(MONGO_URI)
   .then(() => {
     logger.info('✅ Connected to MongoDB');
@@ -90,6 +123,13 @@ mongoose.connect(MONGO_URI)
       logger.info(`🚀 Server running on port ${PORT}`);
       console.log(`🚀 Server running on port ${PORT}`);
     });
+    expirySweeper.start();
+    waitlistOfferJob.start();
+    walletJob.start();
+    couponReservationJob.start();
+    unbookedRefundJob.start();
+    invoiceJob.start();
+    reconciliationJob.start();
   })
   .catch(err => {
     logger.error('❌ MongoDB connection error: ' + err.message);
@@ -102,6 +142,15 @@ mongoose.connect(MONGO_URI)
 // =======================
 process.on('SIGINT', async () => {
   try {
+    await Promise.all([
+      expirySweeper.stop(),
+      waitlistOfferJob.stop(),
+      walletJob.stop(),
+      couponReservationJob.stop(),
+      unbookedRefundJob.stop(),
+      invoiceJob.stop(),
+      reconciliationJob.stop()
+    ]);
     await mongoose.connection.close();
     logger.info('🛑 MongoDB connection closed due to app termination');
     process.exit(0);
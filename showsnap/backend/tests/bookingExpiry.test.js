@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import SeatHold from '../models/SeatHold.js';
+import SeatReservation from '../models/SeatReservation.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { sweepExpiredBookings, createExpirySweeper } from '../utils/bookingExpiry.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const silent = { info() {}, warn() {}, error() {} };
+const MINUTE = 60 * 1000;
+const start = new Date('2026-11-01T10:00:00.000Z');
+const at = (minutes) => new Date(start.getTime() + minutes * MINUTE);
+
+const showtime = {
+  movie: new mongoose.Types.ObjectId(),
+  theater: { name: 'PVR Phoenix', location: 'Mumbai' },
+  showtimeDate: new Date('2026-11-02T13:30:00.000Z')
+};
+
+const reservation = (seat, owner) => ({
+  movie: showtime.movie,
+  theaterName: showtime.theater.name,
+  showtimeDate: showtime.showtimeDate,
+  seat,
+  user: new mongoose.Types.ObjectId(),
+  hold: null,
+  booking: null,
+  expiresAt: null,
+  ...owner
+});
+
+const setup = (t, { bookings = [], holds = [], reservations = [], waitlist = [] }) => ({
+  bookings: useMemoryModel(t, Booking, { docs: bookings }),
+  holds: useMemoryModel(t, SeatHold, { docs: holds }),
+  reservations: useMemoryModel(t, SeatReservation, { docs: reservations }),
+  waitlist: useMemoryModel(t, WaitlistEntry, { docs: waitlist })
+});
+
+test('cancels an unpaid booking only once the clock passes its expiry', async (t) => {
+  const bookingId = new mongoose.Types.ObjectId();
+  const db = setup(t, {
+    bookings: [{
+      _id: bookingId,
+      ...showtime,
+      seats: ['A1', 'A2'],
+      status: 'pending',
+      paymentStatus: 'unpaid',
+      expiresAt: at(15)
+    }],
+    reservations: [reservation('A1', { booking: bookingId }), reservation('A2', { booking: bookingId })]
+  });
+
+  const early = await sweepExpiredBookings({ now: () => at(14), log: silent });
+  assert.equal(early.expired, 0);
+  assert.equal(db.bookings[0].status, 'pending');
+  assert.equal(db.reservations.length, 2);
+
+  const late = await sweepExpiredBookings({ now: () => at(16), log: silent });
+  assert.deepEqual(late, { expired: 1, holdsReleased: 0, seatsReleased: 2 });
+  assert.equal(db.bookings[0].status, 'cancelled');
+  assert.equal(db.bookings[0].cancelledAt.getTime(), at(16).getTime());
+  assert.equal(db.reservations.length, 0);
+});
+
+test('leaves paid bookings alone, whatever their expiry says', async (t) => {
+  const bookingId = new mongoose.Types.ObjectId();
+  const db = setup(t, {
+    bookings: [{ _id: bookingId, ...showtime, seats: ['B1'], status: 'confirmed', paymentStatus: 'paid', expiresAt: at(15) }],
+    reservations: [reservation('B1', { booking: bookingId })]
+  });
+
+  const result = await sweepExpiredBookings({ now: () => at(60), log: silent });
+  assert.equal(result.expired, 0);
+  assert.equal(db.bookings[0].status, 'confirmed');
+  assert.equal(db.reservations.length, 1);
+});
+
+test('releases lapsed checkout holds but not live ones or open waitlist offers', async (t) => {
+  const lapsedId = new mongoose.Types.ObjectId();
+  const liveId = new mongoose.Types.ObjectId();
+  const offerId = new mongoose.Types.ObjectId();
+  const hold = (_id, seats, expiresAt) => ({ _id, user: new mongoose.Types.ObjectId(), ...showtime, seats, status: 'active', expiresAt });
+  const db = setup(t, {
+    holds: [hold(lapsedId, ['C1', 'C2'], at(10)), hold(liveId, ['C3'], at(30)), hold(offerId, ['C4'], at(10))],
+    reservations: [
+      reservation('C1', { hold: lapsedId, expiresAt: at(10) }),
+      reservation('C2', { hold: lapsedId, expiresAt: at(10) }),
+      reservation('C3', { hold: liveId, expiresAt: at(30) }),
+      reservation('C4', { hold: offerId, expiresAt: at(10) })
+    ],
+    waitlist: [{ ...showtime, user: new mongoose.Types.ObjectId(), seatsWanted: 1, status: 'offered', offer: { hold: offerId, seats: ['C4'] } }]
+  });
+
+  const result = await sweepExpiredBookings({ now: () => at(20), log: silent });
+  assert.deepEqual(result, { expired: 0, holdsReleased: 1, seatsReleased: 2 });
+
+  const status = Object.fromEntries(db.holds.map(h => [String(h._id), h.status]));
+  assert.equal(status[lapsedId], 'released');
+  assert.equal(status[liveId], 'active');
+  assert.equal(status[offerId], 'active');
+  assert.deepEqual(db.reservations.map(r => r.seat).sort(), ['C3', 'C4']);
+});
+
+test('the job passes its clock to every sweep', async (t) => {
+  setup(t, {
+    bookings: [{ ...showtime, seats: ['D1'], status: 'pending', paymentStatus: 'unpaid', expiresAt: at(15) }]
+  });
+  let clock = at(0);
+  const job = createExpirySweeper({ intervalMs: 60 * MINUTE, now: () => clock, log: silent });
+
+  assert.equal((await job.runOnce()).expired, 0);
+  clock = at(20);
+  assert.equal((await job.runOnce()).expired, 1);
+});
@@ -0,0 +1,225 @@
+import mongoose from 'mongoose';
+
+// 🧪 In-memory stand-in for the Mongoose model calls the utils make, so they can be tested without a database
+
+const DUPLICATE_KEY = 11000;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// structuredClone would turn ObjectIds into plain objects
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+// Like MongoDB, a path through an array (e.g. "refunds.refundId") collects the field of every element
+const getPath = (doc, path) => path.split('.').reduce((value, key) =>
+  Array.isArray(value) && !/^\d+$/.test(key) ? value.flatMap(item => item?.[key] ?? []) : value?.[key], doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value ?? null;
+};
+
+const equals = (a, b) => {
+  // An array condition matches the whole array, in order
+  if (Array.isArray(b)) return Array.isArray(a) && a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  if (Array.isArray(a)) return a.some(item => equals(item, b));
+  return comparable(a) === comparable(b);
+};
+
+const OPERATORS = {
+  $in: (value, list) => list.some(item => equals(value, item)),
+  $nin: (value, list) => !list.some(item => equals(value, item)),
+  $ne: (value, other) => !equals(value, other),
+  $gt: (value, other) => value != null && comparable(value) > comparable(other),
+  $gte: (value, other) => value != null && comparable(value) >= comparable(other),
+  $lt: (value, other) => value != null && comparable(value) < comparable(other),
+  $lte: (value, other) => value != null && comparable(value) <= comparable(other)
+};
+
+const isOperatorObject = (condition) =>
+  condition && typeof condition === 'object' && !(condition instanceof Date) &&
+  !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).every(key => key in OPERATORS);
+
+/**
+ * Whether a document matches a (flat, dotted-path) MongoDB filter
+ * @param {Object} doc
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+export const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(branch => matches(doc, branch));
+    const value = getPath(doc, path);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([op, operand]) => OPERATORS[op](value, operand));
+    }
+    return equals(value, condition);
+  });
+
+const applyUpdate = (doc, update, timestamps) => {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  if (timestamps) doc.updatedAt = new Date();
+  for (const [path, value] of Object.entries(operators.$set || {})) setPath(doc, path, value);
+  for (const [path, value] of Object.entries(operators.$inc || {})) setPath(doc, path, (getPath(doc, path) || 0) + value);
+  for (const [path, value] of Object.entries(operators.$push || {})) {
+    const list = getPath(doc, path) || [];
+    list.push(...(value?.$each || [value]));
+    setPath(doc, path, list);
+  }
+};
+
+const project = (doc, fields) => {
+  if (!fields) return clone(doc);
+  const picked = { _id: doc._id };
+  for (const field of fields.split(/\s+/).filter(Boolean)) setPath(picked, field, clone(getPath(doc, field)));
+  return picked;
+};
+
+/**
+ * Chainable, awaitable result of find/findOne
+ */
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.fields = null;
+    this.sortBy = null;
+    this.max = null;
+  }
+
+  select(fields) { this.fields = fields; return this; }
+  sort(sortBy) { this.sortBy = sortBy; return this; }
+  limit(max) { this.max = max; return this; }
+  lean() { return this; }
+  populate() { return this; }
+
+  distinct(path) {
+    return this.run({}).then(docs => [...new Set(docs.map(doc => getPath(doc, path)))]);
+  }
+
+  exec() {
+    return this.run({ sortBy: this.sortBy, max: this.max }).then(docs => docs.map(doc => project(doc, this.fields)));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+/**
+ * Replaces a model's query and write methods with an in-memory collection for the current test
+ * @param {Object} t - node:test context (its mocks are restored after the test)
+ * @param {Object} Model - Mongoose model
+ * @param {Object} [options]
+ * @param {Array<string>} [options.unique] - Fields that together must be unique, like a unique index
+ * @param {Array<Object>} [options.docs] - Documents the collection starts with
+ * @returns {Array<Object>} The stored documents, for assertions
+ */
+export const useMemoryModel = (t, Model, { unique = null, docs = [] } = {}) => {
+  const store = docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...clone(doc) }));
+  // Like the schema's `timestamps` option, for documents written during the test
+  const timestamps = Boolean(Model.schema?.options?.timestamps);
+
+  const findDocs = async (filter, { sortBy, max } = {}) => {
+    await tick();
+    let found = store.filter(doc => matches(doc, filter));
+    if (sortBy) {
+      const keys = Object.entries(sortBy);
+      found = [...found].sort((a, b) => {
+        for (const [path, direction] of keys) {
+          const diff = comparable(getPath(a, path)) - comparable(getPath(b, path));
+          if (diff) return diff * direction;
+        }
+        return 0;
+      });
+    }
+    return max ? found.slice(0, max) : found;
+  };
+
+  const isDuplicate = (doc) =>
+    unique && store.some(other => unique.every(path => equals(getPath(other, path), getPath(doc, path))));
+
+  const insert = (doc) => {
+    const now = new Date();
+    const stored = { _id: new mongoose.Types.ObjectId(), ...(timestamps && { createdAt: now, updatedAt: now }), ...clone(doc) };
+    if (isDuplicate(stored)) throw Object.assign(new Error('E11000 duplicate key error'), { code: DUPLICATE_KEY });
+    store.push(stored);
+    return stored;
+  };
+
+  const remove = (doc) => store.splice(store.indexOf(doc), 1);
+
+  t.mock.method(Model, 'find', (filter) => new MemoryQuery(options => findDocs(filter, options)));
+  t.mock.method(Model, 'findOne', (filter) => {
+    const query = new MemoryQuery(options => findDocs(filter, { ...options, max: 1 }));
+    const exec = query.exec.bind(query);
+    query.exec = () => exec().then(found => found[0] || null);
+    return query;
+  });
+  t.mock.method(Model, 'findById', (id) => Model.findOne({ _id: id }));
+  t.mock.method(Model, 'countDocuments', async (filter) => (await findDocs(filter)).length);
+
+  t.mock.method(Model, 'insertMany', async (newDocs) => {
+    await tick();
+    const writeErrors = [];
+    newDocs.forEach((doc, index) => {
+      try {
+        insert(doc);
+      } catch (err) {
+        writeErrors.push({ index, code: err.code });
+      }
+    });
+    if (writeErrors.length) throw Object.assign(new Error('E11000 duplicate key error'), { code: DUPLICATE_KEY, writeErrors });
+    return newDocs;
+  });
+  t.mock.method(Model, 'create', async (doc) => {
+    await tick();
+    return clone(insert(doc));
+  });
+
+  t.mock.method(Model, 'updateOne', async (filter, update) => {
+    const [doc] = await findDocs(filter);
+    if (doc) applyUpdate(doc, update, timestamps);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(Model, 'updateMany', async (filter, update) => {
+    const found = await findDocs(filter);
+    found.forEach(doc => applyUpdate(doc, update, timestamps));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  });
+  t.mock.method(Model, 'findOneAndUpdate', async (filter, update, { new: returnNew = false, upsert = false } = {}) => {
+    const [found] = await findDocs(filter);
+    if (!found && !upsert) return null;
+    // An upsert starts from the filter's plain fields
+    const doc = found || insert(Object.fromEntries(
+      Object.entries(filter).filter(([path, condition]) => !path.startsWith('$') && !isOperatorObject(condition))
+    ));
+    const before = found ? clone(doc) : null;
+    applyUpdate(doc, update, timestamps);
+    return returnNew ? clone(doc) : before;
+  });
+  t.mock.method(Model, 'deleteMany', async (filter) => {
+    const found = await findDocs(filter);
+    found.forEach(remove);
+    return { deletedCount: found.length };
+  });
+  t.mock.method(Model, 'deleteOne', async (filter) => {
+    const [doc] = await findDocs(filter);
+    if (doc) remove(doc);
+    return { deletedCount: doc ? 1 : 0 };
+  });
+
+  return store;
+};
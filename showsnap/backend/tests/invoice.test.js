@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Counter from '../models/Counter.js';
+import { assignInvoiceNumber, getFinancialYear } from '../utils/invoice.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+// 🔐 Stands in for a MongoDB session: an aborted transaction rolls the counters back
+const useTransactions = (t, counters) => {
+  t.mock.method(mongoose, 'startSession', async () => {
+    let snapshot = null;
+    return {
+      async withTransaction(fn) {
+        snapshot = counters.map(counter => ({ ...counter }));
+        await fn();
+      },
+      async abortTransaction() {
+        counters.splice(0, counters.length, ...snapshot);
+      },
+      async endSession() {}
+    };
+  });
+};
+
+const unnumbered = () => ({ status: 'confirmed', invoice: { number: null } });
+
+test('the financial year turns over at midnight IST on 1 April', () => {
+  assert.equal(getFinancialYear(new Date('2027-03-31T18:29:59.999Z')), '2026-27');
+  assert.equal(getFinancialYear(new Date('2027-03-31T18:30:00.000Z')), '2027-28');
+  assert.equal(getFinancialYear(new Date('2026-12-31T20:00:00.000Z')), '2026-27');
+});
+
+test('bookings are numbered in sequence, restarting with each financial year', async (t) => {
+  const counters = useMemoryModel(t, Counter);
+  const bookings = useMemoryModel(t, Booking, { docs: [unnumbered(), unnumbered(), unnumbered()] });
+  useTransactions(t, counters);
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2027-03-31T18:29:00.000Z') });
+
+  assert.equal((await assignInvoiceNumber({ ...bookings[0] })).number, 'SS/2026-27/000001');
+  assert.equal((await assignInvoiceNumber({ ...bookings[1] })).number, 'SS/2026-27/000002');
+  t.mock.timers.setTime(new Date('2027-03-31T18:30:00.000Z').getTime());
+  const invoice = await assignInvoiceNumber({ ...bookings[2] });
+
+  assert.deepEqual(invoice, {
+    number: 'SS/2027-28/000001',
+    financialYear: '2027-28',
+    sequence: 1,
+    issuedAt: new Date('2027-03-31T18:30:00.000Z')
+  });
+  assert.deepEqual(bookings[2].invoice, invoice);
+  assert.deepEqual(counters, [{ _id: 'invoice:2026-27', seq: 2 }, { _id: 'invoice:2027-28', seq: 1 }]);
+});
+
+test('a booking that already has an invoice number keeps it without using up a number', async (t) => {
+  const counters = useMemoryModel(t, Counter, { docs: [{ _id: `invoice:${getFinancialYear()}`, seq: 0 }] });
+  const [stored] = useMemoryModel(t, Booking, { docs: [unnumbered()] });
+  useTransactions(t, counters);
+
+  const booking = { ...stored };
+  const first = await assignInvoiceNumber(booking);
+  assert.equal(first.sequence, 1);
+
+  // ♻️ The same booking again, and a stale copy numbered meanwhile by another call
+  assert.equal(await assignInvoiceNumber(booking), first);
+  const stale = { ...stored, invoice: { number: null } };
+  assert.deepEqual(await assignInvoiceNumber(stale), first);
+  assert.deepEqual(stale.invoice, first);
+
+  assert.equal(counters[0].seq, 1);
+});
@@ -0,0 +1,207 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import mock, { resetMockGateway, completeMockOrder } from '../utils/paymentProviders/mock.js';
+import { reconcilePayments, getReconciliationDay, reportToCsv } from '../utils/reconciliation.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+test('CSV export writes text that spreadsheets would run as a formula as plain text', () => {
+  const csv = reportToCsv({
+    issues: [
+      { type: 'orphan_payment', orderId: '=HYPERLINK("http://evil.example")', paymentId: '+91', expected: -500, actual: 0, note: '@SUM(A1)' },
+      { type: 'orphan_refund', refundId: '-rfnd_1', note: 'plain, with comma' }
+    ]
+  });
+
+  assert.deepEqual(csv.split('\n'), [
+    'type,orderId,paymentId,refundId,booking,expected,actual,note',
+    'orphan_payment,"\'=HYPERLINK(""http://evil.example"")",\'+91,,,-500,0,\'@SUM(A1)',
+    'orphan_refund,,,\'-rfnd_1,,,,"plain, with comma"',
+    ''
+  ]);
+});
+
+const MINUTE = 60 * 1000;
+const dayStart = new Date('2026-11-01T18:30:00.000Z'); // 2 Nov, 00:00 IST
+const day = { from: dayStart, to: new Date(dayStart.getTime() + 24 * 60 * MINUTE) };
+
+// 💳 Runs the mock gateway's checkout for an order at a given time
+const pay = async (t, at, amount) => {
+  t.mock.timers.setTime(at.getTime());
+  const { orderId } = await mock.createOrder({ amount, currency: 'INR', receipt: 'test' });
+  return completeMockOrder(orderId).payment;
+};
+
+const refund = async (t, at, payment, amount) => {
+  t.mock.timers.setTime(at.getTime());
+  return mock.refund({ paymentId: payment.id, amount });
+};
+
+const useMockGateway = (t) => {
+  const env = { ENABLE_MOCK_PAYMENTS: process.env.ENABLE_MOCK_PAYMENTS, MOCK_PAYMENT_SECRET: process.env.MOCK_PAYMENT_SECRET };
+  process.env.ENABLE_MOCK_PAYMENTS = 'true';
+  process.env.MOCK_PAYMENT_SECRET = 'test_secret';
+  t.after(() => Object.entries(env).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }));
+  resetMockGateway();
+  t.mock.timers.enable({ apis: ['Date'] });
+};
+
+const paidBooking = (payment, fields) => ({
+  amount: payment.amount,
+  payment: { provider: 'mock', orderId: payment.orderId, paymentId: payment.id, amount: payment.amount },
+  modifications: [],
+  refunds: [],
+  createdAt: payment.createdAt,
+  ...fields
+});
+
+test('a day whose payments, changes and refunds all match our bookings has no issues', async (t) => {
+  useMockGateway(t);
+  const at = (minutes) => new Date(day.from.getTime() + minutes * MINUTE);
+
+  // ⏱️ Booked just before midnight, paid just after: the booking's day checks the payment directly
+  const lastMinute = await pay(t, at(0), 45000);
+  const checkout = await pay(t, at(60), 30000);
+  const change = await pay(t, at(90), 12000);
+  const cancelled = await refund(t, at(120), checkout, 15000);
+
+  useMemoryModel(t, Payment);
+  useMemoryModel(t, Booking, {
+    docs: [
+      paidBooking(lastMinute, { createdAt: at(-1) }),
+      paidBooking(checkout, {
+        modifications: [{ difference: 12000, provider: 'mock', orderId: change.orderId, paymentId: change.id }],
+        refunds: [{ refundId: cancelled.id, amount: 15000 }]
+      })
+    ]
+  });
+
+  const report = await reconcilePayments({ ...day, provider: 'mock' });
+
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.summary.payments, 3);
+  assert.equal(report.summary.refunds, 1);
+  assert.equal(report.summary.bookings, 1);
+});
+
+test('each kind of mismatch between the gateway and our bookings is reported', async (t) => {
+  useMockGateway(t);
+  const at = (minutes) => new Date(day.from.getTime() + minutes * MINUTE);
+
+  const unbooked = await pay(t, at(10), 45000);
+  const stranger = await pay(t, at(20), 20000);
+  const underpaid = await pay(t, at(30), 30000);
+  const nextDay = await pay(t, day.to, 50000);
+  const unrecorded = await refund(t, at(40), underpaid, 5000);
+
+  useMemoryModel(t, Payment, { docs: [{ provider: 'mock', orderId: unbooked.orderId, failureReason: 'Seats already booked: A1' }] });
+  const [short, missing, late] = useMemoryModel(t, Booking, {
+    docs: [
+      paidBooking(underpaid, { amount: 32000, payment: { ...paidBooking(underpaid).payment, amount: 32000 } }),
+      paidBooking({ orderId: 'order_mock_999999', id: 'pay_mock_999999', amount: 25000, createdAt: at(50) }),
+      // 📅 Paid after the day ended for a different amount: the booking's day still catches it
+      paidBooking(nextDay, { amount: 40000, payment: { ...paidBooking(nextDay).payment, amount: 40000 }, createdAt: at(24 * 60 - 1) })
+    ]
+  });
+
+  const { summary, issues } = await reconcilePayments({ ...day, provider: 'mock' });
+
+  assert.deepEqual(issues, [
+    {
+      type: 'orphan_payment',
+      orderId: unbooked.orderId,
+      paymentId: unbooked.id,
+      actual: 45000,
+      note: 'Captured payment has no booking: Seats already booked: A1'
+    },
+    {
+      type: 'orphan_payment',
+      orderId: stranger.orderId,
+      paymentId: stranger.id,
+      actual: 20000,
+      note: 'Captured payment is not for any of our orders'
+    },
+    {
+      type: 'amount_mismatch',
+      orderId: underpaid.orderId,
+      paymentId: underpaid.id,
+      booking: short._id,
+      expected: 32000,
+      actual: 30000,
+      note: 'Captured amount differs from the booking'
+    },
+    {
+      type: 'orphan_refund',
+      paymentId: underpaid.id,
+      refundId: unrecorded.id,
+      actual: 5000,
+      note: 'Refund is not recorded on any booking'
+    },
+    {
+      type: 'orphan_booking',
+      orderId: 'order_mock_999999',
+      paymentId: 'pay_mock_999999',
+      booking: missing._id,
+      expected: 25000,
+      note: 'Provider has no such payment'
+    },
+    {
+      type: 'amount_mismatch',
+      orderId: nextDay.orderId,
+      paymentId: nextDay.id,
+      booking: late._id,
+      expected: 40000,
+      actual: 50000,
+      note: 'Captured amount differs from the booking'
+    }
+  ]);
+  assert.deepEqual(summary, {
+    payments: 3,
+    refunds: 1,
+    bookings: 3,
+    orphanPayments: 2,
+    orphanBookings: 1,
+    orphanRefunds: 1,
+    amountMismatches: 2
+  });
+});
+
+test('a booking change paid for the wrong amount is reported against its difference', async (t) => {
+  useMockGateway(t);
+  const checkout = await pay(t, new Date(day.from.getTime() + MINUTE), 30000);
+  const change = await pay(t, new Date(day.from.getTime() + 2 * MINUTE), 15000);
+
+  useMemoryModel(t, Payment);
+  const [booking] = useMemoryModel(t, Booking, {
+    docs: [paidBooking(checkout, { modifications: [{ difference: 12000, provider: 'mock', orderId: change.orderId, paymentId: change.id }] })]
+  });
+
+  const { issues } = await reconcilePayments({ ...day, provider: 'mock' });
+
+  assert.deepEqual(issues, [{
+    type: 'amount_mismatch',
+    orderId: change.orderId,
+    paymentId: change.id,
+    booking: booking._id,
+    expected: 12000,
+    actual: 15000,
+    note: 'Captured amount differs from the booking'
+  }]);
+});
+
+test('the daily job reconciles the IST calendar day before the run', () => {
+  // 23:59:59 IST on 1 Nov is still 1 Nov: the job checks 31 Oct
+  assert.deepEqual(getReconciliationDay(new Date('2026-11-01T18:29:59.999Z')), {
+    from: new Date('2026-10-30T18:30:00.000Z'),
+    to: new Date('2026-10-31T18:30:00.000Z')
+  });
+  // Midnight IST starts 2 Nov: the job checks 1 Nov
+  assert.deepEqual(getReconciliationDay(new Date('2026-11-01T18:30:00.000Z')), {
+    from: new Date('2026-10-31T18:30:00.000Z'),
+    to: new Date('2026-11-01T18:30:00.000Z')
+  });
+});
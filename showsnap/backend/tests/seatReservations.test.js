@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import Movie from '../models/Movie.js';
+import SeatHold from '../models/SeatHold.js';
+import SeatReservation from '../models/SeatReservation.js';
+import Theater from '../models/Theater.js';
+import User from '../models/User.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import { applyModification } from '../controllers/bookingModificationController.js';
+import { sweepExpiredBookings } from '../utils/bookingExpiry.js';
+import { reserveSeats } from '../utils/seatReservations.js';
+import logger from '../utils/logger.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const silent = { info() {}, warn() {}, error() {} };
+
+const SEAT_KEY = ['movie', 'theaterName', 'showtimeDate', 'seat'];
+
+const showtime = {
+  movieId: new mongoose.Types.ObjectId(),
+  theaterName: 'PVR Phoenix',
+  showtimeDate: new Date('2026-11-01T13:30:00.000Z')
+};
+
+test('parallel bookings for the same seat: exactly one wins', async (t) => {
+  const store = useMemoryModel(t, SeatReservation, { unique: SEAT_KEY });
+
+  const attempts = Array.from({ length: 10 }, () =>
+    reserveSeats({
+      ...showtime,
+      seats: ['A1'],
+      userId: new mongoose.Types.ObjectId(),
+      bookingId: new mongoose.Types.ObjectId()
+    })
+  );
+  const results = await Promise.allSettled(attempts);
+
+  const won = results.filter(r => r.status === 'fulfilled');
+  const lost = results.filter(r => r.status === 'rejected');
+  assert.equal(won.length, 1);
+  assert.equal(lost.length, 9);
+  for (const { reason } of lost) {
+    assert.equal(reason.status, 409);
+    assert.deepEqual(reason.conflicts, ['A1']);
+  }
+  assert.equal(store.filter(r => r.seat === 'A1').length, 1);
+});
+
+test('parallel holds overlapping on one seat: only one claims any seat', async (t) => {
+  const store = useMemoryModel(t, SeatReservation, { unique: SEAT_KEY });
+  const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+  const holds = [['A1', 'A2'], ['A2', 'A3'], ['A2']].map(seats => ({ seats, holdId: new mongoose.Types.ObjectId() }));
+
+  const results = await Promise.allSettled(holds.map(({ seats, holdId }) =>
+    reserveSeats({ ...showtime, seats, userId: new mongoose.Types.ObjectId(), holdId, expiresAt })
+  ));
+
+  const winners = holds.filter((_, i) => results[i].status === 'fulfilled');
+  assert.equal(winners.length, 1);
+  assert.equal(store.filter(r => r.seat === 'A2').length, 1);
+  // 🧹 Losers keep none of the seats they did get before the conflict
+  assert.deepEqual(
+    store.map(r => r.seat).sort(),
+    [...winners[0].seats].sort()
+  );
+  assert.ok(store.every(r => String(r.hold) === String(winners[0].holdId)));
+});
+
+test('a booking change that hits a taken seat keeps the seats the booking already had', async (t) => {
+  const bookingId = new mongoose.Types.ObjectId();
+  const holdId = new mongoose.Types.ObjectId();
+  const heldUntil = new Date(Date.now() + 10 * 60 * 1000);
+  const seat = (seatId, fields) => ({
+    movie: showtime.movieId,
+    theaterName: showtime.theaterName,
+    showtimeDate: showtime.showtimeDate,
+    seat: seatId,
+    user: new mongoose.Types.ObjectId(),
+    hold: null,
+    booking: null,
+    expiresAt: null,
+    ...fields
+  });
+  const store = useMemoryModel(t, SeatReservation, {
+    unique: SEAT_KEY,
+    docs: [
+      seat('A1', { booking: bookingId }),
+      seat('A2', { booking: bookingId }),
+      seat('A3', { hold: holdId, expiresAt: heldUntil }),
+      seat('A4', { booking: new mongoose.Types.ObjectId() })
+    ]
+  });
+
+  await assert.rejects(
+    reserveSeats({ ...showtime, seats: ['A3', 'A4', 'A5'], userId: new mongoose.Types.ObjectId(), holdId, bookingId }),
+    err => err.status === 409 && err.conflicts.join() === 'A4'
+  );
+
+  const bySeat = Object.fromEntries(store.map(r => [r.seat, r]));
+  assert.deepEqual(Object.keys(bySeat).sort(), ['A1', 'A2', 'A3', 'A4']);
+  assert.equal(String(bySeat.A1.booking), String(bookingId));
+  assert.equal(String(bySeat.A2.booking), String(bookingId));
+  // ↩️ The hold gets its seat back as it was
+  assert.equal(bySeat.A3.booking, null);
+  assert.equal(bySeat.A3.expiresAt.getTime(), heldUntil.getTime());
+});
+
+test('a booking change whose seat cleanup fails is kept, and the sweep frees the old seats later', async (t) => {
+  t.mock.method(logger, 'info', () => {});
+  const errors = [];
+  t.mock.method(logger, 'error', (message) => errors.push(message));
+
+  const userId = new mongoose.Types.ObjectId();
+  const bookingId = new mongoose.Types.ObjectId();
+  const holdId = new mongoose.Types.ObjectId();
+  const theater = { name: showtime.theaterName, location: 'Mumbai' };
+  const now = Date.now();
+  const claim = (seat, fields) => ({
+    movie: showtime.movieId,
+    theaterName: showtime.theaterName,
+    showtimeDate: showtime.showtimeDate,
+    seat,
+    user: userId,
+    hold: null,
+    booking: null,
+    expiresAt: null,
+    updatedAt: new Date(now - 5 * 60 * 1000),
+    ...fields
+  });
+
+  useMemoryModel(t, Movie, {
+    docs: [{
+      _id: showtime.movieId,
+      title: 'Dune',
+      embeddedTheaters: [{ ...theater, showtimes: [{ startTime: showtime.showtimeDate, screen: 'Screen 1' }] }]
+    }]
+  });
+  useMemoryModel(t, Theater, { docs: [{ ...theater, screens: [] }] });
+  useMemoryModel(t, User, { docs: [{ _id: userId, loyaltyPoints: 0 }] });
+  useMemoryModel(t, LoyaltyTransaction);
+  useMemoryModel(t, WaitlistEntry);
+  const bookings = useMemoryModel(t, Booking, {
+    docs: [{
+      _id: bookingId,
+      user: userId,
+      movie: showtime.movieId,
+      theater,
+      showtimeDate: showtime.showtimeDate,
+      seats: ['A1'],
+      amount: 20000,
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      payment: { provider: 'razorpay', orderId: 'order_1', paymentId: 'pay_1', amount: 20000 },
+      modifications: [],
+      refunds: [],
+      refundedAmount: 0,
+      loyaltyPoints: 0
+    }]
+  });
+  const holdExpiresAt = new Date(now + 10 * 60 * 1000);
+  const holds = useMemoryModel(t, SeatHold, {
+    docs: [{
+      _id: holdId,
+      user: userId,
+      movie: showtime.movieId,
+      theater,
+      showtimeDate: showtime.showtimeDate,
+      seats: ['A2'],
+      targetSeats: ['A2'],
+      booking: bookingId,
+      status: 'active',
+      expiresAt: holdExpiresAt
+    }]
+  });
+  const store = useMemoryModel(t, SeatReservation, {
+    unique: SEAT_KEY,
+    docs: [claim('A1', { booking: bookingId }), claim('A2', { hold: holdId, expiresAt: holdExpiresAt })]
+  });
+
+  // 💥 The database drops out right after the booking moved
+  const deleteMany = t.mock.method(SeatReservation, 'deleteMany', async () => { throw new Error('connection reset'); });
+
+  const { booking } = await applyModification({
+    bookingId,
+    holdId,
+    theater,
+    showtimeDate: showtime.showtimeDate,
+    seats: ['A2'],
+    quote: { currency: 'INR', total: 20000 }
+  });
+
+  assert.deepEqual(booking.seats, ['A2']);
+  assert.deepEqual(bookings[0].seats, ['A2']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /left to the expiry sweep/);
+  // The old seat is still claimed and the hold still active, for the sweep to find
+  assert.deepEqual(store.map(r => r.seat).sort(), ['A1', 'A2']);
+  assert.equal(holds[0].status, 'active');
+
+  deleteMany.mock.restore();
+  await sweepExpiredBookings({ now: () => new Date(now + 20 * 60 * 1000), log: silent });
+
+  assert.deepEqual(store.map(r => r.seat), ['A2']);
+  assert.equal(String(store[0].booking), String(bookingId));
+  assert.equal(holds[0].status, 'released');
+});
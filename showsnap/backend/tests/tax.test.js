@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTax, getTicketGstRate } from '../utils/tax.js';
+
+const line = (category, unitPrice, count) => ({
+  category,
+  unitPrice,
+  seats: Array.from({ length: count }, (_, i) => `${category[0]}${i + 1}`),
+  subtotal: unitPrice * count
+});
+
+const quote = (lines, fields) => ({
+  lines,
+  seatTotal: lines.reduce((sum, l) => sum + l.subtotal, 0),
+  convenienceFee: 0,
+  addOnTotal: 0,
+  discount: 0,
+  ...fields
+});
+
+test('tickets up to ₹100 are taxed at 12%, dearer ones at 18%', () => {
+  assert.equal(getTicketGstRate(9999), 12);
+  assert.equal(getTicketGstRate(10000), 12);
+  assert.equal(getTicketGstRate(10001), 18);
+
+  const { tickets } = computeTax(quote([line('Silver', 10000, 1), line('Gold', 10001, 1)]));
+  assert.deepEqual(tickets, [
+    { category: 'Silver', quantity: 1, rate: 12, taxableValue: 8929, gst: 1071 },
+    { category: 'Gold', quantity: 1, rate: 18, taxableValue: 8475, gst: 1526 }
+  ]);
+});
+
+test('GST on fares and GST on the convenience fee are split out separately', () => {
+  const tax = computeTax(quote([line('Silver', 10000, 2)], { convenienceFee: 3000 }));
+
+  assert.equal(tax.baseFare, 17857);
+  assert.equal(tax.ticketGst, 2143);
+  assert.equal(tax.convenienceFeeBase, 2542);
+  assert.equal(tax.convenienceFeeGst, 458);
+  assert.equal(tax.convenienceFeeRate, 18);
+  assert.equal(tax.foodGst, 0);
+  assert.equal(tax.totalGst, 2601);
+  // 🪙 An odd paisa goes to SGST
+  assert.equal(tax.cgst, 1300);
+  assert.equal(tax.sgst, 1301);
+});
+
+test('every part is rounded to the paisa and the parts add up to the amount paid', () => {
+  const q = quote([line('Silver', 9900, 1), line('Gold', 15050, 3)], { convenienceFee: 2999, addOnTotal: 33333, discount: 1001 });
+  const total = q.seatTotal + q.convenienceFee + q.addOnTotal - q.discount;
+  const tax = computeTax(q);
+
+  const parts = [tax.baseFare, tax.ticketGst, tax.convenienceFeeBase, tax.convenienceFeeGst, tax.foodBase, tax.foodGst];
+  parts.forEach(part => assert.ok(Number.isInteger(part), `${part} is not whole paise`));
+  assert.equal(parts.reduce((sum, part) => sum + part, 0), total);
+  assert.equal(tax.cgst + tax.sgst, tax.totalGst);
+
+  // ✂️ The discount is shared by line value, the last line taking what rounding leaves
+  assert.deepEqual(tax.tickets.map(t => t.taxableValue + t.gst), [9900 - 180, 45150 - 821]);
+});
+
+test('a discount larger than the fares comes off the fee, then the food', () => {
+  const tax = computeTax(quote([line('Gold', 25000, 1)], { convenienceFee: 2000, addOnTotal: 10500, discount: 27500 }));
+
+  assert.deepEqual(tax.tickets, [{ category: 'Gold', quantity: 1, rate: 18, taxableValue: 0, gst: 0 }]);
+  assert.equal(tax.convenienceFeeBase + tax.convenienceFeeGst, 0);
+  assert.equal(tax.foodBase, 9524);
+  assert.equal(tax.foodGst, 476);
+});
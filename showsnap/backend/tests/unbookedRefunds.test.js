@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import { getPaymentProvider } from '../utils/paymentProviders/index.js';
+import { refundUnbookedPayment, createUnbookedRefundJob } from '../utils/refunds.js';
+import logger from '../utils/logger.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const silent = { info() {}, warn() {}, error() {} };
+const MINUTE = 60 * 1000;
+const start = new Date('2026-11-01T10:00:00.000Z');
+const at = (minutes) => new Date(start.getTime() + minutes * MINUTE);
+
+const unbooked = (fields) => ({
+  provider: 'razorpay',
+  orderId: `order_${new mongoose.Types.ObjectId()}`,
+  paymentId: `pay_${new mongoose.Types.ObjectId()}`,
+  user: new mongoose.Types.ObjectId(),
+  amount: 45000,
+  status: 'paid',
+  unbookedRefund: { status: 'pending', attempts: 0, nextAttemptAt: start, refundId: null, lastError: null },
+  ...fields
+});
+
+// 💸 Stands in for the provider's refund API; `fail` makes the next calls throw
+const useProviderRefunds = (t) => {
+  const calls = [];
+  const provider = { fail: false, calls };
+  t.mock.method(getPaymentProvider('razorpay'), 'refund', async ({ paymentId, amount }) => {
+    calls.push({ paymentId, amount });
+    if (provider.fail) throw new Error('Gateway timeout');
+    return { id: `rfnd_${calls.length}`, paymentId, amount, status: 'processed', createdAt: new Date() };
+  });
+  return provider;
+};
+
+test('a paid order that could not be booked is refunded in full', async (t) => {
+  t.mock.method(logger, 'info', () => {});
+  const [payment] = useMemoryModel(t, Payment, { docs: [unbooked()] });
+  const provider = useProviderRefunds(t);
+
+  const refund = await refundUnbookedPayment(payment._id, at(0));
+
+  assert.equal(refund.amount, 45000);
+  assert.deepEqual(provider.calls, [{ paymentId: payment.paymentId, amount: 45000 }]);
+  assert.equal(payment.unbookedRefund.status, 'issued');
+  assert.equal(payment.unbookedRefund.refundId, 'rfnd_1');
+
+  // 🔁 Issued refunds are never sent again
+  assert.equal(await refundUnbookedPayment(payment._id, at(60)), null);
+  assert.equal(provider.calls.length, 1);
+});
+
+test('a failed refund stays pending and the job retries it once its retry time comes', async (t) => {
+  t.mock.method(logger, 'info', () => {});
+  t.mock.method(logger, 'error', () => {});
+  const [payment] = useMemoryModel(t, Payment, { docs: [unbooked()] });
+  const provider = useProviderRefunds(t);
+  let clock = at(0);
+  const job = createUnbookedRefundJob({ now: () => clock, log: silent });
+
+  provider.fail = true;
+  assert.equal(await refundUnbookedPayment(payment._id, clock), null);
+  assert.equal(payment.unbookedRefund.status, 'pending');
+  assert.equal(payment.unbookedRefund.lastError, 'Gateway timeout');
+
+  provider.fail = false;
+  clock = at(5);
+  assert.equal(await job.runOnce(), 0);
+  assert.equal(provider.calls.length, 1);
+
+  clock = at(15);
+  assert.equal(await job.runOnce(), 1);
+  assert.equal(payment.unbookedRefund.status, 'issued');
+  assert.equal(payment.unbookedRefund.attempts, 2);
+  assert.equal(provider.calls.length, 2);
+});
@@ -0,0 +1,161 @@
+import Booking from '../models/Booking.js';
+import SeatHold from '../models/SeatHold.js';
+import { releaseSeats, releaseStrayBookingSeats } from './seatReservations.js';
+import { offerFreedSeats, getOfferedHoldIds } from './waitlist.js';
+import { createIntervalJob } from './intervalJob.js';
+import logger from './logger.js';
+
+const BATCH_SIZE = 100;
+
+/**
+ * Seconds between expiry sweeps (BOOKING_SWEEP_INTERVAL_SECONDS, default 60)
+ * @returns {number}
+ */
+export const getSweepIntervalSeconds = () => {
+  const seconds = Number(process.env.BOOKING_SWEEP_INTERVAL_SECONDS);
+  return seconds > 0 ? seconds : 60;
+};
+
+/**
+ * Bookings that were never paid and whose payment window has passed
+ * @param {Date} now
+ * @returns {Object} Mongo filter
+ */
+const expiredUnpaidFilter = (now) => ({
+  expiresAt: { $ne: null, $lte: now },
+  status: { $in: ['pending', 'confirmed'] },
+  paymentStatus: { $in: ['unpaid', 'failed'] }
+});
+
+/**
+ * Offers seats freed by the sweep to the showtime's waitlist; a failed offer does not stop the sweep
+ */
+const offerSeats = async (source, seats, at, log) => {
+  try {
+    await offerFreedSeats({
+      movieId: source.movie,
+      theaterName: source.theater.name,
+      showtimeDate: source.showtimeDate,
+      seats
+    }, at);
+  } catch (err) {
+    log.error(`❌ Waitlist offer failed for seats freed by ${source._id}: ${err.message}`);
+  }
+};
+
+/**
+ * Frees seats a changed booking kept claiming because the cleanup after the change failed,
+ * and offers them to the waitlist
+ * @param {string} bookingId
+ * @param {Date} at
+ * @param {Object} log
+ * @returns {Promise<number>} Number of seats released
+ */
+const releaseChangeLeftovers = async (bookingId, at, log) => {
+  const booking = await Booking.findOne({ _id: bookingId, status: 'confirmed' }).select('movie theater showtimeDate seats').lean();
+  if (!booking) return 0;
+
+  const stray = await releaseStrayBookingSeats(booking, { now: at });
+  const showtimes = new Map();
+  for (const r of stray) {
+    const key = `${r.theaterName}|${new Date(r.showtimeDate).getTime()}`;
+    if (!showtimes.has(key)) showtimes.set(key, { ...r, seats: [] });
+    showtimes.get(key).seats.push(r.seat);
+  }
+  for (const { theaterName, showtimeDate, seats } of showtimes.values()) {
+    log.info(`🧹 Seats ${seats.join(', ')} vacated by booking ${booking._id} released`);
+    await offerSeats({ _id: booking._id, movie: booking.movie, theater: { name: theaterName }, showtimeDate }, seats, at, log);
+  }
+  return stray.length;
+};
+
+/**
+ * Releases seat holds whose checkout window has passed. Paid checkouts book their seats straight away,
+ * so a lapsed hold is what an unpaid checkout leaves behind. MongoDB's TTL index frees them too, but
+ * only the sweep passes the seats on to the waitlist; holds of open waitlist offers expire with the offer.
+ * @param {Date} at
+ * @param {Object} log
+ * @returns {Promise<{ holdsReleased: number, seatsReleased: number }>}
+ */
+const releaseLapsedHolds = async (at, log) => {
+  const lapsed = await SeatHold.find({ status: 'active', expiresAt: { $lte: at } }).select('_id').limit(BATCH_SIZE).lean();
+  const offered = (await getOfferedHoldIds(lapsed.map(h => h._id))).map(String);
+
+  let holdsReleased = 0;
+  let seatsReleased = 0;
+  for (const { _id } of lapsed) {
+    if (offered.includes(String(_id))) continue;
+
+    // 🔐 A hold extended or paid for meanwhile is left alone
+    const hold = await SeatHold.findOneAndUpdate(
+      { _id, status: 'active', expiresAt: { $lte: at } },
+      { status: 'released' },
+      { new: true }
+    );
+    if (!hold) continue;
+
+    const released = await releaseSeats({ holdId: hold._id });
+    holdsReleased++;
+    seatsReleased += released;
+    log.info(`⌛ Seat hold lapsed: ${hold._id} (seats ${hold.seats.join(', ')}, due ${hold.expiresAt.toISOString()})`);
+
+    if (released) await offerSeats(hold, hold.seats, at, log);
+    if (hold.booking) seatsReleased += await releaseChangeLeftovers(hold.booking, at, log);
+  }
+  return { holdsReleased, seatsReleased };
+};
+
+/**
+ * Cancels expired unpaid bookings and releases lapsed seat holds, freeing their seats and offering
+ * them to the waitlist
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, () => Date
+ * @param {Object} [options.log] - Logger with info/error
+ * @returns {Promise<{ expired: number, holdsReleased: number, seatsReleased: number }>}
+ */
+export const sweepExpiredBookings = async ({ now = () => new Date(), log = logger || console } = {}) => {
+  const at = now();
+  const candidates = await Booking.find(expiredUnpaidFilter(at)).select('_id').limit(BATCH_SIZE).lean();
+
+  let expired = 0;
+  let seatsReleased = 0;
+  for (const { _id } of candidates) {
+    // 🔐 A payment recorded meanwhile wins: the filter no longer matches a paid booking
+    const booking = await Booking.findOneAndUpdate(
+      { _id, ...expiredUnpaidFilter(at) },
+      { status: 'cancelled', cancelledAt: at },
+      { new: true }
+    );
+    if (!booking) continue;
+
+    const released = await releaseSeats({ bookingId: booking._id });
+    expired++;
+    seatsReleased += released;
+    log.info(`⌛ Unpaid booking expired: ${booking._id} (seats ${booking.seats.join(', ')}, due ${booking.expiresAt.toISOString()})`);
+
+    await offerSeats(booking, booking.seats, at, log);
+  }
+
+  const holds = await releaseLapsedHolds(at, log);
+  seatsReleased += holds.seatsReleased;
+
+  if (expired || holds.holdsReleased) {
+    log.info(`🧹 Expiry sweep: ${expired} bookings cancelled, ${holds.holdsReleased} holds lapsed, ${seatsReleased} seats released`);
+  }
+  return { expired, holdsReleased: holds.holdsReleased, seatsReleased };
+};
+
+/**
+ * Background job running sweepExpiredBookings on an interval
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Defaults to BOOKING_SWEEP_INTERVAL_SECONDS
+ * @param {Function} [options.now] - Clock passed to every sweep
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createExpirySweeper = ({
+  intervalMs = getSweepIntervalSeconds() * 1000,
+  now = () => new Date(),
+  log = logger || console
+} = {}) =>
+  createIntervalJob({ name: 'Expiry sweep', intervalMs, run: () => sweepExpiredBookings({ now, log }), log });
@@ -0,0 +1,178 @@
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { createTicketToken } from './ticketToken.js';
+
+// Built-in PDF fonts have no ₹ glyph, so amounts are printed as "INR"
+const formatAmount = (paise) => `INR ${((Number(paise) || 0) / 100).toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' });
+
+/**
+ * File name for a booking's invoice
+ * @param {Object} booking - Booking document
+ * @returns {string}
+ */
+export const invoiceFilename = (booking) =>
+  `invoice-${(booking.invoice?.number || String(booking._id)).replace(/\//g, '-')}.pdf`;
+
+const movieTitle = (booking, movie) => movie?.title || booking.movie?.title || 'Movie';
+
+/**
+ * Renders a PDF document into a buffer
+ * @param {Function} draw - Receives the PDFKit document and may be async
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    Promise.resolve(draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+
+const header = (doc, title) => {
+  doc.fontSize(22).font('Helvetica-Bold').text('ShowSnap', { continued: true })
+    .font('Helvetica').fontSize(14).text(`  ${title}`);
+  doc.moveDown(0.5)
+    .moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .stroke();
+  doc.moveDown();
+};
+
+const field = (doc, label, value) => {
+  doc.fontSize(11).font('Helvetica-Bold').text(`${label}: `, { continued: true })
+    .font('Helvetica').text(value ?? '-');
+};
+
+const row = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  const right = doc.page.width - doc.page.margins.right;
+  doc.fontSize(11).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, doc.page.margins.left, y, { width: 330 });
+  doc.text(value, right - 150, y, { width: 150, align: 'right' });
+  doc.moveDown(0.3);
+};
+
+/**
+ * Fare rows for a booking (legacy bookings without a breakdown show the amount only)
+ * @param {Object} booking - Booking document
+ * @returns {Array<{ label: string, amount: number, bold?: boolean }>}
+ */
+const fareRows = (booking) => {
+  const pricing = booking.pricing;
+  if (!pricing?.lines?.length) return [{ label: 'Tickets', amount: booking.amount, bold: true }];
+
+  return [
+    ...pricing.lines.map(line => ({
+      label: `${line.category} x ${line.seats.length} (${line.seats.join(', ')}) @ ${formatAmount(line.unitPrice)}`,
+      amount: line.subtotal
+    })),
+    ...(pricing.addOns || []).map(a => ({
+      label: `${a.name} x ${a.quantity} @ ${formatAmount(a.unitPrice)}`,
+      amount: a.subtotal
+    })),
+    ...(pricing.convenienceFee > 0 ? [{ label: 'Convenience fee', amount: pricing.convenienceFee }] : []),
+    ...(pricing.discounts || []).map(d => ({ label: `Discount: ${d.label}`, amount: -d.amount })),
+    { label: 'Total', amount: pricing.total, bold: true }
+  ];
+};
+
+/**
+ * Renders the printable ticket for a booking, with its entry QR code
+ * @param {Object} booking - Booking document
+ * @param {Object} [options]
+ * @param {Object} [options.movie] - Movie, when `booking.movie` is not populated
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const renderTicketPdf = (booking, { movie } = {}) =>
+  renderPdf(async (doc) => {
+    header(doc, 'Movie Ticket');
+
+    doc.fontSize(18).font('Helvetica-Bold').text(movieTitle(booking, movie));
+    doc.moveDown(0.5);
+    field(doc, 'Theater', [booking.theater?.name, booking.theater?.location].filter(Boolean).join(', '));
+    field(doc, 'Screen', booking.screen);
+    field(doc, 'Showtime', formatDate(booking.showtimeDate));
+    field(doc, 'Seats', booking.seats.join(', '));
+    field(doc, 'Booking ID', String(booking._id));
+    if (booking.pricing?.addOns?.length) {
+      field(doc, 'Food & beverages', booking.pricing.addOns.map(a => `${a.quantity} x ${a.name}`).join(', '));
+    }
+    doc.moveDown();
+
+    if (booking.status === 'confirmed') {
+      const qr = await QRCode.toBuffer(createTicketToken(booking), { width: 240, margin: 1 });
+      doc.image(qr, { fit: [200, 200] });
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica').text('Show this code at the entrance.');
+    } else {
+      doc.fontSize(14).font('Helvetica-Bold').fillColor('red').text('This booking is cancelled.').fillColor('black');
+    }
+    doc.moveDown();
+
+    fareRows(booking).forEach(r => row(doc, r.label, formatAmount(r.amount), r));
+  });
+
+/**
+ * Renders the tax invoice for a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} [options]
+ * @param {Object} [options.movie] - Movie, when `booking.movie` is not populated
+ * @param {Object} [options.user] - Customer, when `booking.user` is not populated
+ * @returns {Promise<Buffer>} PDF file
+ */
+export const renderInvoicePdf = (booking, { movie, user } = {}) =>
+  renderPdf((doc) => {
+    const customer = user || (booking.user?.email ? booking.user : null);
+    header(doc, 'Tax Invoice');
+
+    field(doc, 'Invoice number', booking.invoice?.number || 'Not issued');
+    field(doc, 'Invoice date', formatDate(booking.invoice?.issuedAt || booking.createdAt || Date.now()));
+    if (process.env.COMPANY_GSTIN) field(doc, 'GSTIN', process.env.COMPANY_GSTIN);
+    if (customer) field(doc, 'Billed to', `${customer.name} <${customer.email}>`);
+    doc.moveDown();
+
+    field(doc, 'Movie', movieTitle(booking, movie));
+    field(doc, 'Theater', [booking.theater?.name, booking.theater?.location].filter(Boolean).join(', '));
+    field(doc, 'Screen', booking.screen);
+    field(doc, 'Showtime', formatDate(booking.showtimeDate));
+    field(doc, 'Seats', booking.seats.join(', '));
+    doc.moveDown();
+
+    fareRows(booking).forEach(r => row(doc, r.label, formatAmount(r.amount), r));
+    doc.moveDown();
+
+    const tax = booking.pricing?.tax;
+    if (tax) {
+      doc.fontSize(12).font('Helvetica-Bold').text('Tax breakdown');
+      doc.moveDown(0.3);
+      tax.tickets.forEach(t =>
+        row(doc, `${t.category} x ${t.quantity} - taxable value (GST ${t.rate}%)`, formatAmount(t.taxableValue)));
+      row(doc, 'Base fare', formatAmount(tax.baseFare), { bold: true });
+      row(doc, 'GST on tickets', formatAmount(tax.ticketGst));
+      if (tax.convenienceFeeBase + tax.convenienceFeeGst > 0) {
+        row(doc, 'Convenience fee - taxable value', formatAmount(tax.convenienceFeeBase));
+        row(doc, `GST on convenience fee (${tax.convenienceFeeRate}%)`, formatAmount(tax.convenienceFeeGst));
+      }
+      if (tax.foodBase + tax.foodGst > 0) {
+        row(doc, 'Food & beverages - taxable value', formatAmount(tax.foodBase));
+        row(doc, `GST on food & beverages (${tax.foodRate}%)`, formatAmount(tax.foodGst));
+      }
+      row(doc, 'CGST', formatAmount(tax.cgst));
+      row(doc, 'SGST', formatAmount(tax.sgst));
+      row(doc, 'Total GST', formatAmount(tax.totalGst), { bold: true });
+    }
+    doc.fontSize(9).font('Helvetica').text('All prices are inclusive of GST.');
+    doc.moveDown();
+
+    if (booking.payment?.amount) row(doc, 'Amount paid', formatAmount(booking.payment.amount), { bold: true });
+    if (booking.refundedAmount > 0) row(doc, 'Refunded', formatAmount(-booking.refundedAmount));
+    if (booking.payment?.paymentId) field(doc, 'Payment reference', booking.payment.paymentId);
+  });
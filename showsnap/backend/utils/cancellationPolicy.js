@@ -0,0 +1,81 @@
+/**
+ * Policy used for theaters that have not configured one:
+ * full refund until 24h before the show, 50% until 2h before, no cancellation after
+ */
+export const DEFAULT_CANCELLATION_POLICY = Object.freeze({
+  tiers: Object.freeze([
+    Object.freeze({ hoursBefore: 24, refundPercent: 100 }),
+    Object.freeze({ hoursBefore: 2, refundPercent: 50 })
+  ])
+});
+
+/**
+ * Fills in defaults and orders tiers from the earliest cutoff to the latest
+ * @param {Object} [policy] - Raw policy (possibly partial)
+ * @returns {{ tiers: Array<{ hoursBefore: number, refundPercent: number }> }}
+ */
+export const normalizePolicy = (policy) => {
+  const tiers = Array.isArray(policy?.tiers) && policy.tiers.length
+    ? policy.tiers
+    : DEFAULT_CANCELLATION_POLICY.tiers;
+
+  return {
+    tiers: tiers
+      .map(t => ({ hoursBefore: Number(t.hoursBefore), refundPercent: Number(t.refundPercent) }))
+      .sort((a, b) => b.hoursBefore - a.hoursBefore)
+  };
+};
+
+/**
+ * Validates an admin-supplied policy
+ * @param {Object} policy - Policy to validate
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePolicy = (policy) => {
+  if (!policy || typeof policy !== 'object') return 'Cancellation policy is required';
+  if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) return 'At least one cancellation tier is required';
+
+  for (const tier of policy.tiers) {
+    const hours = Number(tier?.hoursBefore);
+    const percent = Number(tier?.refundPercent);
+    if (!Number.isFinite(hours) || hours < 0) return 'Tier cutoff must be zero or more hours before the show';
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) return 'Tier refund must be between 0 and 100 percent';
+  }
+
+  const hours = policy.tiers.map(t => Number(t.hoursBefore));
+  if (new Set(hours).size !== hours.length) return 'Each tier needs a different cutoff';
+
+  return null;
+};
+
+/**
+ * Works out whether a booking can be cancelled now and how much goes back (paise)
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Normalized policy
+ * @param {number} refundableAmount - Most that could go back (see utils/refunds.js)
+ * @param {Date} [now=new Date()] - Time of cancellation
+ * @returns {Object} { allowed, reason, hoursBeforeShow, refundPercent, refundableAmount, cancellationFee, refundAmount }
+ */
+export const quoteCancellation = (booking, policy, refundableAmount, now = new Date()) => {
+  const hoursBeforeShow = (new Date(booking.showtimeDate).getTime() - now.getTime()) / (60 * 60 * 1000);
+  const tier = policy.tiers.find(t => hoursBeforeShow >= t.hoursBefore);
+
+  let reason = null;
+  if (booking.status !== 'confirmed') reason = 'Booking is already cancelled';
+  else if (hoursBeforeShow <= 0) reason = 'The show has already started';
+  else if (!tier) reason = 'The cancellation window for this show has closed';
+
+  const refundPercent = reason ? 0 : tier.refundPercent;
+  const refundAmount = Math.round((refundableAmount * refundPercent) / 100);
+
+  return {
+    allowed: !reason,
+    reason,
+    hoursBeforeShow: Math.max(0, Math.floor(hoursBeforeShow * 10) / 10),
+    refundPercent,
+    refundableAmount,
+    cancellationFee: reason ? 0 : refundableAmount - refundAmount,
+    refundAmount,
+    policy
+  };
+};
@@ -0,0 +1,270 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Payment from '../models/Payment.js';
+import { quoteBooking, applyDiscounts } from './pricing.js';
+import { createIntervalJob } from './intervalJob.js';
+import httpError from './httpError.js';
+import logger from './logger.js';
+
+const DUPLICATE_KEY = 11000;
+const BATCH_SIZE = 100;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Canonical form of a code typed by a user
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Discount a coupon gives on an order total, before any cap by the total itself
+ * @param {Object} coupon - Coupon document
+ * @param {number} subtotal - Order total before discounts (paise)
+ * @returns {number} Discount in paise
+ */
+export const computeCouponDiscount = (coupon, subtotal) => {
+  const discount = coupon.discountType === 'percentage'
+    ? Math.round((subtotal * coupon.value) / 100)
+    : coupon.value;
+  const capped = coupon.maxDiscount != null ? Math.min(discount, coupon.maxDiscount) : discount;
+  return Math.min(capped, subtotal);
+};
+
+/**
+ * Checks that a coupon may be used by a user for a showtime and prices it
+ * @param {Object} params
+ * @param {string} params.code - Coupon code
+ * @param {string} params.userId - Redeeming user
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {string|Date} params.showtimeDate - Showtime start
+ * @param {Object} params.quote - Quote without discounts
+ * @param {Date} [params.now]
+ * @returns {Promise<{ coupon: Object, discount: number }>}
+ * @throws {Error} 404 for unknown codes, 400 with the reason when the coupon does not apply
+ */
+export const evaluateCoupon = async ({ code, userId, movieId, theaterName, showtimeDate, quote, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon || !coupon.active) throw httpError(404, 'Invalid coupon code');
+
+  if (coupon.validFrom && now < coupon.validFrom) throw httpError(400, 'This coupon is not active yet');
+  if (coupon.validUntil && now > coupon.validUntil) throw httpError(400, 'This coupon has expired');
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(400, 'This coupon has been fully redeemed');
+  }
+
+  // 🎯 Restrictions
+  if (coupon.movies.length && !coupon.movies.some(m => String(m) === String(movieId))) {
+    throw httpError(400, 'This coupon is not valid for this movie');
+  }
+  if (coupon.theaters.length && !coupon.theaters.includes(theaterName)) {
+    throw httpError(400, 'This coupon is not valid at this theater');
+  }
+  const weekday = new Date(new Date(showtimeDate).getTime() + IST_OFFSET_MS).getUTCDay();
+  if (coupon.daysOfWeek.length && !coupon.daysOfWeek.includes(weekday)) {
+    throw httpError(400, 'This coupon is not valid for shows on this day');
+  }
+
+  const subtotal = quote.seatTotal + quote.convenienceFee + (quote.addOnTotal || 0);
+  if (subtotal < coupon.minAmount) {
+    throw httpError(400, `This coupon needs a minimum order of ₹${(coupon.minAmount / 100).toFixed(2)}`);
+  }
+
+  const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, status: { $ne: 'released' } });
+  if (used >= coupon.perUserLimit) throw httpError(400, 'You have already used this coupon');
+
+  const discount = computeCouponDiscount(coupon, subtotal);
+  if (discount <= 0) throw httpError(400, 'This coupon gives no discount on this order');
+
+  return { coupon, discount };
+};
+
+/**
+ * Quotes seats of a showtime with an optional coupon applied
+ * @param {Object} params - quoteBooking params plus { couponCode, userId }
+ * @returns {Promise<{ quote: Object, coupon: Object|null }>} coupon is { coupon, code, discount } when applied
+ * @throws {Error} 400/404 error for unknown showtimes, seats or unusable coupons
+ */
+export const quoteWithCoupon = async ({ couponCode, userId, ...params }) => {
+  const quote = await quoteBooking({ ...params, userId });
+  if (!normalizeCouponCode(couponCode)) return { quote, coupon: null };
+
+  const { coupon, discount } = await evaluateCoupon({
+    code: couponCode,
+    userId,
+    movieId: params.movieId,
+    theaterName: params.theaterName,
+    showtimeDate: params.showtimeDate,
+    quote
+  });
+
+  return {
+    quote: applyDiscounts(quote, [{ label: `Coupon ${coupon.code}`, amount: discount }]),
+    coupon: { coupon: coupon._id, code: coupon.code, discount }
+  };
+};
+
+/**
+ * Counts one more use of a coupon if its global limit allows it
+ * @param {string} couponId
+ * @returns {Promise<boolean>} Whether the use was counted
+ */
+const takeGlobalUse = async (couponId) =>
+  Boolean(await Coupon.findOneAndUpdate(
+    { _id: couponId, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+    { $inc: { usedCount: 1 } }
+  ));
+
+/**
+ * Reserves a coupon use for a new order within the coupon's per-user and global limits.
+ * Each of a user's allowed uses is a slot only one order can hold, and the global count only moves
+ * while it is under the limit, so concurrent checkouts cannot overspend either limit.
+ * @param {Object} params
+ * @param {Object} params.coupon - { coupon, code, discount } as returned by quoteWithCoupon
+ * @param {string} params.userId
+ * @param {string} params.orderId - Payment order the discount was quoted for
+ * @param {Date} params.releaseAfter - Unpaid by then, the use goes back
+ * @returns {Promise<Object>} Reserved redemption
+ * @throws {Error} 400 when either limit is reached
+ */
+export const reserveCoupon = async ({ coupon, userId, orderId, releaseAfter }) => {
+  const limits = await Coupon.findById(coupon.coupon).select('perUserLimit').lean();
+  if (!limits) throw httpError(400, 'Invalid coupon code');
+
+  let redemption = null;
+  for (let slot = 1; slot <= limits.perUserLimit && !redemption; slot++) {
+    try {
+      redemption = await CouponRedemption.create({
+        coupon: coupon.coupon,
+        code: coupon.code,
+        user: userId,
+        orderId,
+        discount: coupon.discount,
+        status: 'reserved',
+        slot,
+        releaseAfter
+      });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY) throw err; // slot held by another order
+    }
+  }
+  if (!redemption) throw httpError(400, 'You have already used this coupon');
+
+  if (!(await takeGlobalUse(coupon.coupon))) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw httpError(400, 'This coupon has been fully redeemed');
+  }
+  return redemption;
+};
+
+/**
+ * Gives back the coupon use reserved for an order
+ * @param {string} orderId
+ * @param {string} reason - For logs
+ * @returns {Promise<boolean>} Whether this call released it
+ */
+const releaseReservation = async (orderId, reason) => {
+  // 🔐 Only one caller gives the use back
+  const released = await CouponRedemption.findOneAndUpdate(
+    { orderId, status: 'reserved' },
+    { $set: { status: 'released', slot: null, releaseAfter: null } }
+  );
+  if (!released) return false;
+
+  await Coupon.updateOne({ _id: released.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  logger.info(`🏷️ Coupon ${released.code} use released for order ${orderId} (${reason})`);
+  return true;
+};
+
+/**
+ * Gives back the coupon use reserved for an order that was not paid (or could not be booked)
+ * @param {Object} payment - Payment document
+ * @param {string} reason - For logs
+ * @returns {Promise<boolean>} Whether this call released it
+ */
+export const releaseCoupon = (payment, reason) =>
+  payment.coupon?.coupon ? releaseReservation(payment.orderId, reason) : Promise.resolve(false);
+
+/**
+ * Records the coupon use of a paid order. The use was reserved when the order was created; one released
+ * meanwhile (e.g. after a failed attempt) is counted again, since the discount was honoured in the payment.
+ * The unique order ID makes repeated verification of the same payment count once.
+ * @param {Object} payment - Payment document with `coupon` set
+ * @param {string} bookingId - Booking the order produced
+ * @returns {Promise<Object|null>} Redemption, or null when there is nothing (new) to record
+ */
+export const redeemCoupon = async (payment, bookingId) => {
+  if (!payment.coupon?.coupon) return null;
+
+  const reserved = await CouponRedemption.findOneAndUpdate(
+    { orderId: payment.orderId, status: 'reserved' },
+    { $set: { status: 'redeemed', booking: bookingId, releaseAfter: null } },
+    { new: true }
+  );
+  if (reserved) return reserved;
+
+  let redemption = await CouponRedemption.findOneAndUpdate(
+    { orderId: payment.orderId, status: 'released' },
+    { $set: { status: 'redeemed', booking: bookingId } },
+    { new: true }
+  );
+  if (!redemption) {
+    // Orders created before uses were reserved
+    try {
+      redemption = await CouponRedemption.create({
+        coupon: payment.coupon.coupon,
+        code: payment.coupon.code,
+        user: payment.user,
+        booking: bookingId,
+        orderId: payment.orderId,
+        discount: payment.coupon.discount
+      });
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) return null;
+      throw err;
+    }
+  }
+
+  if (!(await takeGlobalUse(payment.coupon.coupon))) {
+    await Coupon.updateOne({ _id: payment.coupon.coupon }, { $inc: { usedCount: 1 } });
+    logger.warn(`⚠️ Coupon ${payment.coupon.code} redeemed beyond its limit by order ${payment.orderId}`);
+  }
+  return redemption;
+};
+
+/**
+ * Releases coupon uses reserved for orders that were not paid within their hold window
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of uses released
+ */
+export const releaseStaleCouponReservations = async (now = new Date()) => {
+  const stale = await CouponRedemption.find({ status: 'reserved', releaseAfter: { $lte: now } })
+    .select('orderId')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let released = 0;
+  for (const { orderId } of stale) {
+    const payment = await Payment.findOne({ orderId }).select('status').lean();
+    if (payment?.status === 'paid') continue; // redeemed as soon as its booking exists
+    if (await releaseReservation(orderId, 'checkout not completed')) released++;
+  }
+  return released;
+};
+
+/**
+ * Background job releasing coupon uses of unpaid orders on an interval
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Defaults to one minute
+ * @param {Function} [options.now] - Clock passed to every run, () => Date
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createCouponReservationJob = ({
+  intervalMs = 60 * 1000,
+  now = () => new Date(),
+  log = logger || console
+} = {}) =>
+  createIntervalJob({ name: 'Coupon reservation release', intervalMs, run: () => releaseStaleCouponReservations(now()), log });
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/**
+ * Hex HMAC-SHA256 signature of a payload
+ * @param {string|Buffer} payload - Payload to sign
+ * @param {string} secret - Shared secret
+ * @returns {string}
+ */
+export const signHmac = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Compares an HMAC-SHA256 signature in constant time
+ * @param {string|Buffer} payload - Signed payload
+ * @param {string} signature - Hex signature received
+ * @param {string} secret - Shared secret
+ * @returns {boolean}
+ */
+export const isValidSignature = (payload, signature, secret) => {
+  if (!signature || !secret) return false;
+  const expected = signHmac(payload, secret);
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
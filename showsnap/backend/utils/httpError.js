@@ -0,0 +1,15 @@
+/**
+ * Creates an Error carrying an HTTP status for the controller (or global handler) to send
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message shown to the client
+ * @param {Object} [details] - Extra fields to attach, e.g. { conflicts }
+ * @returns {Error}
+ */
+const httpError = (status, message, details = {}) => {
+  const err = new Error(message);
+  err.status = status;
+  Object.assign(err, details);
+  return err;
+};
+
+export default httpError;
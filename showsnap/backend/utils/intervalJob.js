@@ -0,0 +1,45 @@
+import logger from './logger.js';
+
+/**
+ * Runs a task on an interval without overlapping runs; a tick during a slow run waits for it instead
+ * @param {Object} options
+ * @param {string} options.name - Job name, for logs
+ * @param {number} options.intervalMs - Time between runs
+ * @param {Function} options.run - Async task; its errors are logged, never thrown
+ * @param {Object} [options.log] - Logger
+ * @param {boolean} [options.runOnStart] - Also run right away when started (default true)
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createIntervalJob = ({ name, intervalMs, run, log = logger || console, runOnStart = true }) => {
+  let timer = null;
+  let running = null;
+
+  const runOnce = () => {
+    if (!running) {
+      running = Promise.resolve()
+        .then(run)
+        .catch(err => {
+          log.error(`❌ ${name} failed: ${err.message}`);
+          return null;
+        })
+        .finally(() => { running = null; });
+    }
+    return running;
+  };
+
+  return {
+    runOnce,
+    start() {
+      if (timer) return;
+      timer = setInterval(runOnce, intervalMs);
+      timer.unref?.();
+      log.info(`⏱️ ${name} started (every ${Math.round(intervalMs / 1000)}s)`);
+      if (runOnStart) runOnce();
+    },
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await running;
+    }
+  };
+};
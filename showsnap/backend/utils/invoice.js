@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Counter from '../models/Counter.js';
+import { createIntervalJob } from './intervalJob.js';
+import logger from './logger.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const BATCH_SIZE = 100;
+// Bookings this new may still be numbered by the request that created them
+const RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Indian financial year (April–March, IST) a date falls in
+ * @param {Date} [date]
+ * @returns {string} e.g. "2026-27"
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Prefix of invoice numbers (INVOICE_PREFIX, default "SS")
+ * @returns {string}
+ */
+const getInvoicePrefix = () => process.env.INVOICE_PREFIX || 'SS';
+
+/**
+ * Gives a confirmed booking the next invoice number of the current financial year.
+ * The counter and the booking change in one transaction, so a number is only spent on the booking that
+ * carries it; a booking left without one (e.g. the database was unreachable) is numbered by the invoice job.
+ * @param {Object} booking - Saved booking document (updated in place)
+ * @returns {Promise<Object>} The booking's invoice details
+ */
+export const assignInvoiceNumber = async (booking) => {
+  if (booking.invoice?.number) return booking.invoice;
+
+  const session = await mongoose.startSession();
+  let invoice = null;
+  try {
+    await session.withTransaction(async () => {
+      invoice = null;
+      const issuedAt = new Date();
+      const financialYear = getFinancialYear(issuedAt);
+      const { seq } = await Counter.findOneAndUpdate(
+        { _id: `invoice:${financialYear}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+      );
+
+      const next = {
+        number: `${getInvoicePrefix()}/${financialYear}/${String(seq).padStart(6, '0')}`,
+        financialYear,
+        sequence: seq,
+        issuedAt
+      };
+      // 🔐 Numbered meanwhile by another call: roll the counter back
+      const { modifiedCount } = await Booking.updateOne(
+        { _id: booking._id, 'invoice.number': null },
+        { $set: { invoice: next } },
+        { session }
+      );
+      if (!modifiedCount) {
+        await session.abortTransaction();
+        return;
+      }
+      invoice = next;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!invoice) {
+    ({ invoice } = await Booking.findById(booking._id).select('invoice').lean());
+  }
+  booking.invoice = invoice;
+  return invoice;
+};
+
+/**
+ * Numbers confirmed bookings that were saved without an invoice number, oldest first
+ * @param {Date} [now]
+ * @param {Object} [log] - Logger
+ * @returns {Promise<number>} Number of bookings numbered
+ */
+export const assignMissingInvoiceNumbers = async (now = new Date(), log = logger || console) => {
+  const missing = await Booking.find({
+    status: 'confirmed',
+    'invoice.number': null,
+    createdAt: { $lte: new Date(now.getTime() - RETRY_AFTER_MS) }
+  })
+    .select('invoice')
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let numbered = 0;
+  for (const booking of missing) {
+    try {
+      await assignInvoiceNumber(booking);
+      numbered++;
+    } catch (err) {
+      log.error(`❌ Invoice number not assigned for booking ${booking._id}: ${err.message}`);
+    }
+  }
+  return numbered;
+};
+
+/**
+ * Background job numbering bookings that missed their invoice number, on an interval
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Defaults to five minutes
+ * @param {Function} [options.now] - Clock passed to every run, () => Date
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createInvoiceJob = ({
+  intervalMs = 5 * 60 * 1000,
+  now = () => new Date(),
+  log = logger || console
+} = {}) =>
+  createIntervalJob({ name: 'Invoice numbering', intervalMs, run: () => assignMissingInvoiceNumbers(now(), log), log });
@@ -0,0 +1,200 @@
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import { getPaidAmount } from './refunds.js';
+import httpError from './httpError.js';
+import logger from './logger.js';
+
+const log = logger || console;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+/**
+ * Membership tiers, lowest first. `minSpend` is net spend over the last 365 days (paise);
+ * `convenienceFeeDiscount` is the % of the convenience fee waived; `earlyAccessDays` opens
+ * bookings for upcoming movies that many days before everyone else (when pre-sale windows are on).
+ */
+export const LOYALTY_TIERS = Object.freeze([
+  Object.freeze({ name: 'Member', minSpend: 0, convenienceFeeDiscount: 0, earlyAccessDays: 0 }),
+  Object.freeze({ name: 'Silver', minSpend: 300000, convenienceFeeDiscount: 25, earlyAccessDays: 1 }),
+  Object.freeze({ name: 'Gold', minSpend: 1000000, convenienceFeeDiscount: 50, earlyAccessDays: 3 }),
+  Object.freeze({ name: 'Platinum', minSpend: 2500000, convenienceFeeDiscount: 100, earlyAccessDays: 7 })
+]);
+
+/**
+ * Points earned per ₹100 paid (LOYALTY_POINTS_PER_100_RUPEES, default 10)
+ * @returns {number}
+ */
+export const getPointsPer100Rupees = () => {
+  const points = Number(process.env.LOYALTY_POINTS_PER_100_RUPEES);
+  return points >= 0 ? points : 10;
+};
+
+/**
+ * Days before a movie's release that everyone can book it (BOOKING_OPENS_DAYS_BEFORE_RELEASE).
+ * Unset, upcoming movies can be booked any time and tiers get no early access.
+ * @returns {number|null} null when pre-sale windows are off
+ */
+export const getBookingWindowDays = () => {
+  const raw = process.env.BOOKING_OPENS_DAYS_BEFORE_RELEASE;
+  const days = Number(raw);
+  return raw?.trim() && days >= 0 ? days : null;
+};
+
+/**
+ * What a booking is worth to the loyalty program: what was paid for it, including
+ * booking changes, less what was refunded (paise)
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+export const getNetSpend = (booking) => Math.max(0, getPaidAmount(booking) - (booking.refundedAmount || 0));
+
+/**
+ * Net spend of a user's paid bookings made in the 365 days before `now` (paise)
+ * @param {string} userId
+ * @param {Date} [now]
+ * @returns {Promise<number>}
+ */
+export const getYearlySpend = async (userId, now = new Date()) => {
+  const bookings = await Booking.find({
+    user: userId,
+    paymentStatus: { $in: ['paid', 'partially_refunded'] },
+    createdAt: { $gt: new Date(now.getTime() - YEAR_MS) }
+  })
+    .select('amount payment modifications refundedAmount')
+    .lean();
+  return bookings.reduce((sum, booking) => sum + getNetSpend(booking), 0);
+};
+
+/**
+ * Tier reached with a yearly spend
+ * @param {number} spend - Paise
+ * @returns {Object} Entry of LOYALTY_TIERS
+ */
+export const getTierForSpend = (spend) =>
+  [...LOYALTY_TIERS].reverse().find(tier => spend >= tier.minSpend) || LOYALTY_TIERS[0];
+
+/**
+ * A user's current tier
+ * @param {string} [userId] - Anonymous visitors get the base tier
+ * @returns {Promise<Object>} Entry of LOYALTY_TIERS
+ */
+export const getUserTier = async (userId) =>
+  userId ? getTierForSpend(await getYearlySpend(userId)) : LOYALTY_TIERS[0];
+
+/**
+ * Points, tier and progress to the next tier
+ * @param {string} userId
+ * @returns {Promise<Object>} { points, yearlySpend, tier, nextTier, spendToNextTier, tiers, earlyAccess }
+ */
+export const getMembership = async (userId) => {
+  const [user, yearlySpend] = await Promise.all([
+    User.findById(userId).select('loyaltyPoints').lean(),
+    getYearlySpend(userId)
+  ]);
+  const tier = getTierForSpend(yearlySpend);
+  const nextTier = LOYALTY_TIERS[LOYALTY_TIERS.indexOf(tier) + 1] || null;
+
+  return {
+    points: user?.loyaltyPoints || 0,
+    yearlySpend,
+    tier,
+    nextTier,
+    spendToNextTier: nextTier ? nextTier.minSpend - yearlySpend : 0,
+    tiers: LOYALTY_TIERS,
+    earlyAccess: getBookingWindowDays() !== null // whether `earlyAccessDays` applies
+  };
+};
+
+/**
+ * When a user may start booking a movie: with pre-sale windows on, upcoming movies open a few days
+ * before release, earlier for higher tiers
+ * @param {Object} movie - Movie with releaseDate
+ * @param {Object} tier - Entry of LOYALTY_TIERS
+ * @returns {Date|null} null when the movie has no release date or pre-sale windows are off
+ */
+export const getBookingOpensAt = (movie, tier) => {
+  const windowDays = getBookingWindowDays();
+  if (!movie?.releaseDate || windowDays === null) return null;
+  const days = windowDays + tier.earlyAccessDays;
+  return new Date(new Date(movie.releaseDate).getTime() - days * DAY_MS);
+};
+
+/**
+ * Rejects bookings for a movie that has not opened for the user yet
+ * @param {Object} movie - Movie with releaseDate
+ * @param {string} userId
+ * @param {Date} [now]
+ * @throws {Error} 403 error naming the opening date, and the tier that could book already
+ */
+export const assertBookingOpen = async (movie, userId, now = new Date()) => {
+  const tier = await getUserTier(userId);
+  const opensAt = getBookingOpensAt(movie, tier);
+  if (!opensAt || opensAt <= now) return;
+
+  const earlier = LOYALTY_TIERS.find(t => t.earlyAccessDays > tier.earlyAccessDays && getBookingOpensAt(movie, t) <= now);
+  throw httpError(
+    403,
+    `Bookings for ${movie.title} open on ${opensAt.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}` +
+      (earlier ? `. ${earlier.name} members can book now.` : '.'),
+    { opensAt }
+  );
+};
+
+/**
+ * Points earned for an amount (paise)
+ * @param {number} amount
+ * @returns {number}
+ */
+export const pointsForAmount = (amount) => Math.floor((amount * getPointsPer100Rupees()) / 10000);
+
+/**
+ * Brings the points a booking holds in line with what it is worth now: a paid booking earns points,
+ * a cancelled one gives them all back, and seat cancellations or refunds give back their share
+ * @param {Object} booking - Booking document
+ * @param {string} reason - Shown in the points history, e.g. "cancellation"
+ * @returns {Promise<number>} Points added (negative when reversed)
+ */
+export const syncBookingPoints = async (booking, reason) => {
+  const paid = ['paid', 'partially_refunded'].includes(booking.paymentStatus);
+  const target = booking.status === 'cancelled' || !paid ? 0 : pointsForAmount(getNetSpend(booking));
+  const held = booking.loyaltyPoints || 0;
+  if (target === held) return 0;
+
+  // 🔐 Only the request that moves the booking's points from what it read applies the change
+  const moved = await Booking.updateOne(
+    { _id: booking._id, loyaltyPoints: held || { $in: [0, null] } },
+    { $set: { loyaltyPoints: target } }
+  );
+  if (!moved.modifiedCount) return 0;
+  booking.loyaltyPoints = target;
+
+  const change = target - held;
+  const userId = booking.user._id || booking.user;
+  await User.updateOne({ _id: userId }, { $inc: { loyaltyPoints: change } });
+  await LoyaltyTransaction.create({
+    user: userId,
+    booking: booking._id,
+    type: change > 0 ? 'earn' : 'reversal',
+    points: Math.abs(change),
+    reason
+  });
+
+  log.info(`⭐ ${change > 0 ? '+' : ''}${change} loyalty points for booking ${booking._id} (${reason})`);
+  return change;
+};
+
+/**
+ * Latest entries of a user's points history, newest first
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>}
+ */
+export const getPointsHistory = (userId, { limit = 10 } = {}) =>
+  LoyaltyTransaction.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('booking', 'seats showtimeDate theater')
+    .lean();
@@ -0,0 +1,57 @@
+import httpError from './httpError.js';
+
+const MAX_QUANTITY_PER_ITEM = 10;
+
+/**
+ * Validates an admin-supplied F&B menu
+ * @param {Array<Object>} items - Menu items ({ name, kind, price, includes, available, description })
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateMenu = (items) => {
+  if (!Array.isArray(items)) return 'Menu must be a list of items';
+
+  for (const item of items) {
+    if (!item?.name?.trim()) return 'Every menu item needs a name';
+    if (item.kind && !['item', 'combo'].includes(item.kind)) return `"${item.name}" must be an item or a combo`;
+    const price = Number(item.price);
+    if (!Number.isFinite(price) || price < 0) return `"${item.name}" needs a price of zero or more`;
+    if (item.includes !== undefined && !Array.isArray(item.includes)) return `"${item.name}" includes must be a list`;
+  }
+
+  const names = items.map(i => i.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) return 'Menu item names must be unique';
+
+  return null;
+};
+
+/**
+ * Prices the F&B items a user picked against a theater's menu (amounts in paise)
+ * @param {Array<Object>} menu - Theater menu items
+ * @param {Array<{ itemId: string, quantity: number }>} [requested] - Picked items
+ * @returns {Array<Object>} Lines { itemId, name, kind, unitPrice, quantity, subtotal }
+ * @throws {Error} 400 error for unknown, unavailable or over-ordered items
+ */
+export const priceAddOns = (menu = [], requested = []) => {
+  if (!Array.isArray(requested)) throw httpError(400, 'Add-ons must be a list');
+
+  const quantities = new Map();
+  for (const { itemId, quantity } of requested) {
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 0) throw httpError(400, 'Add-on quantity must be a whole number');
+    quantities.set(String(itemId), (quantities.get(String(itemId)) || 0) + qty);
+  }
+
+  return [...quantities]
+    .filter(([, quantity]) => quantity > 0)
+    .map(([itemId, quantity]) => {
+      const item = menu.find(i => String(i._id) === itemId);
+      if (!item) throw httpError(400, 'Add-on is not on this theater\'s menu');
+      if (!item.available) throw httpError(400, `${item.name} is not available right now`);
+      if (quantity > MAX_QUANTITY_PER_ITEM) {
+        throw httpError(400, `At most ${MAX_QUANTITY_PER_ITEM} of ${item.name} per booking`);
+      }
+
+      const unitPrice = Math.round(Number(item.price) * 100);
+      return { itemId: item._id, name: item.name, kind: item.kind, unitPrice, quantity, subtotal: unitPrice * quantity };
+    });
+};
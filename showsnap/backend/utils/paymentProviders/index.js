@@ -0,0 +1,43 @@
+import httpError from '../httpError.js';
+import razorpay from './razorpay.js';
+import stripe from './stripe.js';
+import mock, { isMockEnabled } from './mock.js';
+
+/*
+ * 💳 Payment providers share one interface; amounts are in the currency's smallest unit (paise).
+ *
+ *   createOrder({ amount, currency, receipt, notes }) -> { orderId, checkout }
+ *     `checkout` is what the browser needs to collect the payment (keys, client secret)
+ *   verifyCheckout(body) -> { orderId, paymentId }
+ *     checks what the browser reports after paying; throws a 400 error when it cannot be trusted
+ *   fetchPayment(paymentId) -> { id, orderId, amount, currency, status: 'paid'|'pending'|'failed', failureReason, createdAt }
+ *   capturePayment(paymentId) -> payment as fetchPayment returns it, after capturing it if it was only authorized
+ *   refund({ paymentId, amount, notes }) -> { id, paymentId, amount, status: 'processed'|'pending'|'failed', createdAt }
+ *   listPayments({ from, to }) / listRefunds({ from, to }) -> payments / refunds created in [from, to)
+ *   parseWebhook(req) -> { eventId, event, type, payment, refund }
+ *     verifies the signature over req.rawBody; `type` is one of payment.paid, payment.attempted,
+ *     payment.failed, refund.processed, refund.failed, or null for events we ignore
+ */
+const providers = { razorpay, stripe, mock };
+
+// 🧪 Providers that must be switched on explicitly
+const OPT_IN_PROVIDERS = { mock: isMockEnabled };
+
+/**
+ * Provider new orders are created with (PAYMENT_PROVIDER, default razorpay)
+ * @returns {string}
+ */
+export const getDefaultProviderName = () => process.env.PAYMENT_PROVIDER || 'razorpay';
+
+/**
+ * Resolves a payment provider by name
+ * @param {string} [name] - Provider name; defaults to the configured provider
+ * @returns {Object} Provider implementation
+ * @throws {Error} 404 error for unknown providers, and for opt-in providers that are not switched on
+ */
+export const getPaymentProvider = (name = getDefaultProviderName()) => {
+  const provider = providers[name];
+  const disabled = OPT_IN_PROVIDERS[name] && !OPT_IN_PROVIDERS[name]();
+  if (!provider || disabled) throw httpError(404, `Unknown payment provider: ${name}`);
+  return provider;
+};
@@ -0,0 +1,150 @@
+import httpError from '../httpError.js';
+import { signHmac, isValidSignature } from '../hmac.js';
+
+// 🧪 In-memory payment gateway for offline development and tests. Off unless explicitly enabled, never in production.
+
+const WEBHOOK_EVENTS = ['payment.paid', 'payment.attempted', 'payment.failed', 'refund.processed', 'refund.failed'];
+
+/**
+ * Whether the mock gateway may be used: ENABLE_MOCK_PAYMENTS=true with a MOCK_PAYMENT_SECRET to sign
+ * its checkouts and webhooks, outside production
+ * @returns {boolean}
+ */
+export const isMockEnabled = () =>
+  process.env.ENABLE_MOCK_PAYMENTS === 'true' &&
+  Boolean(process.env.MOCK_PAYMENT_SECRET?.trim()) &&
+  process.env.NODE_ENV !== 'production';
+
+const getMockSecret = () => {
+  if (!isMockEnabled()) throw httpError(404, 'Unknown payment provider: mock');
+  return process.env.MOCK_PAYMENT_SECRET;
+};
+
+let state;
+
+/**
+ * Forgets every mock order, payment and refund and restarts the id sequences
+ */
+export const resetMockGateway = () => {
+  state = { sequences: {}, orders: new Map(), payments: new Map(), refunds: [] };
+};
+resetMockGateway();
+
+// Deterministic ids: order_mock_000001, pay_mock_000001, rfnd_mock_000001, ...
+const nextId = (prefix) => {
+  state.sequences[prefix] = (state.sequences[prefix] || 0) + 1;
+  return `${prefix}_mock_${String(state.sequences[prefix]).padStart(6, '0')}`;
+};
+
+/**
+ * Signature the mock checkout hands back for a payment, as Razorpay does
+ * @param {string} orderId - Mock order ID
+ * @param {string} paymentId - Mock payment ID
+ * @returns {string}
+ */
+export const signMockPayment = (orderId, paymentId) => signHmac(`${orderId}|${paymentId}`, getMockSecret());
+
+/**
+ * Signature for a mock webhook body, sent in the x-mock-signature header
+ * @param {string|Buffer} rawBody - Exact request body
+ * @returns {string}
+ */
+export const signMockWebhook = (rawBody) => signHmac(rawBody, getMockSecret());
+
+/**
+ * Pays (or fails to pay) a mock order, standing in for the gateway's hosted checkout
+ * @param {string} orderId - Mock order ID
+ * @param {'success'|'failure'} [outcome]
+ * @returns {{ payment: Object, signature: string|null }} Payment as fetchPayment reports it
+ * @throws {Error} 404 error for unknown orders, 409 when the order is already paid
+ */
+export const completeMockOrder = (orderId, outcome = 'success') => {
+  const order = state.orders.get(orderId);
+  if (!order) throw httpError(404, 'Unknown mock order');
+  if (order.paymentIds.some(id => state.payments.get(id).status === 'paid')) {
+    throw httpError(409, 'Mock order is already paid');
+  }
+
+  const payment = {
+    id: nextId('pay'),
+    orderId,
+    amount: order.amount,
+    currency: order.currency,
+    status: outcome === 'success' ? 'paid' : 'failed',
+    failureReason: outcome === 'success' ? null : 'Payment declined by the mock gateway',
+    createdAt: new Date()
+  };
+  state.payments.set(payment.id, payment);
+  order.paymentIds.push(payment.id);
+
+  return { payment: { ...payment }, signature: payment.status === 'paid' ? signMockPayment(orderId, payment.id) : null };
+};
+
+export default {
+  name: 'mock',
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const orderId = nextId('order');
+    state.orders.set(orderId, { amount, currency, receipt, notes, paymentIds: [] });
+    return { orderId, checkout: { mock: true } };
+  },
+
+  verifyCheckout({ mock_order_id, mock_payment_id, mock_signature }) {
+    if (!mock_order_id || !mock_payment_id || !mock_signature) {
+      throw httpError(400, 'Missing or invalid booking data');
+    }
+    if (!isValidSignature(`${mock_order_id}|${mock_payment_id}`, mock_signature, getMockSecret())) {
+      throw httpError(400, 'Invalid signature. Payment verification failed.');
+    }
+    return { orderId: mock_order_id, paymentId: mock_payment_id };
+  },
+
+  async fetchPayment(paymentId) {
+    const payment = state.payments.get(paymentId);
+    if (!payment) throw httpError(400, 'Unknown mock payment');
+    return { ...payment };
+  },
+
+  // Mock payments are captured when completed
+  capturePayment(paymentId) {
+    return this.fetchPayment(paymentId);
+  },
+
+  async refund({ paymentId, amount }) {
+    const payment = state.payments.get(paymentId);
+    if (!payment || payment.status !== 'paid') throw new Error('Mock payment is not captured');
+    const refunded = state.refunds.filter(r => r.paymentId === paymentId).reduce((sum, r) => sum + r.amount, 0);
+    if (refunded + amount > payment.amount) throw new Error('Refund exceeds the captured amount');
+
+    const refund = { id: nextId('rfnd'), paymentId, amount, status: 'processed', createdAt: new Date() };
+    state.refunds.push(refund);
+    return { ...refund };
+  },
+
+  async listPayments({ from, to }) {
+    return [...state.payments.values()]
+      .filter(p => p.createdAt >= from && p.createdAt < to)
+      .map(p => ({ ...p }));
+  },
+
+  async listRefunds({ from, to }) {
+    return state.refunds
+      .filter(r => r.createdAt >= from && r.createdAt < to)
+      .map(r => ({ ...r }));
+  },
+
+  parseWebhook(req) {
+    if (!req.rawBody || !isValidSignature(req.rawBody, req.get('x-mock-signature'), getMockSecret())) {
+      throw httpError(400, 'Invalid webhook signature');
+    }
+
+    // Mock events already use the provider-neutral shape: { id, event, payment, refund }
+    const { id, event, payment = null, refund = null } = req.body;
+    const type = WEBHOOK_EVENTS.includes(event) ? event : null;
+    if (!id || !event || (type?.startsWith('payment.') && !payment) || (type?.startsWith('refund.') && !refund)) {
+      throw httpError(400, 'Malformed webhook event');
+    }
+
+    return { eventId: id, event, type, payment, refund };
+  }
+};
@@ -0,0 +1,143 @@
+import Razorpay from 'razorpay';
+import httpError from '../httpError.js';
+import { isValidSignature } from '../hmac.js';
+
+let client = null;
+
+// 💳 Razorpay client, created on first use so Stripe-only deployments need no Razorpay keys
+const razorpay = () => {
+  client ||= new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID,
+    key_secret: process.env.RAZORPAY_SECRET
+  });
+  return client;
+};
+
+// Authorized payments are not ours until captured (Razorpay refunds them if we never capture)
+const PAYMENT_STATUSES = { captured: 'paid', refunded: 'paid', failed: 'failed' };
+
+/**
+ * Normalizes a Razorpay payment entity
+ * @param {Object} entity - Razorpay payment
+ * @returns {Object} { id, orderId, amount, currency, status, failureReason, createdAt }
+ */
+const toPayment = (entity) => entity && {
+  id: entity.id,
+  orderId: entity.order_id,
+  amount: entity.amount,
+  currency: entity.currency,
+  status: PAYMENT_STATUSES[entity.status] || 'pending',
+  failureReason: entity.error_description || null,
+  createdAt: entity.created_at ? new Date(entity.created_at * 1000) : null
+};
+
+/**
+ * Normalizes a Razorpay refund entity
+ * @param {Object} entity - Razorpay refund
+ * @returns {Object} { id, paymentId, amount, status, createdAt }
+ */
+const toRefund = (entity) => entity && {
+  id: entity.id,
+  paymentId: entity.payment_id,
+  amount: entity.amount,
+  status: entity.status === 'processed' || entity.status === 'failed' ? entity.status : 'pending',
+  createdAt: entity.created_at ? new Date(entity.created_at * 1000) : null
+};
+
+const PAGE_SIZE = 100;
+
+/**
+ * Collects every page of a Razorpay collection created between two dates
+ * @param {Object} collection - e.g. razorpay().payments
+ * @param {Date} from - Inclusive start
+ * @param {Date} to - Exclusive end
+ * @returns {Promise<Array<Object>>} Raw entities
+ */
+const listAll = async (collection, from, to) => {
+  const items = [];
+  const range = { from: Math.floor(from.getTime() / 1000), to: Math.ceil(to.getTime() / 1000) - 1 };
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await collection.all({ ...range, count: PAGE_SIZE, skip });
+    items.push(...page.items);
+    if (page.items.length < PAGE_SIZE) return items;
+  }
+};
+
+const WEBHOOK_EVENTS = {
+  'payment.captured': 'payment.paid',
+  'order.paid': 'payment.paid',
+  'payment.authorized': 'payment.attempted',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.processed',
+  'refund.failed': 'refund.failed'
+};
+
+export default {
+  name: 'razorpay',
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const order = await razorpay().orders.create({ amount, currency, receipt, notes });
+    return { orderId: order.id, checkout: { keyId: process.env.RAZORPAY_KEY_ID } };
+  },
+
+  verifyCheckout({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      throw httpError(400, 'Missing or invalid booking data');
+    }
+    if (!isValidSignature(`${razorpay_order_id}|${razorpay_payment_id}`, razorpay_signature, process.env.RAZORPAY_SECRET)) {
+      throw httpError(400, 'Invalid signature. Payment verification failed.');
+    }
+    return { orderId: razorpay_order_id, paymentId: razorpay_payment_id };
+  },
+
+  async fetchPayment(paymentId) {
+    return toPayment(await razorpay().payments.fetch(paymentId));
+  },
+
+  async capturePayment(paymentId) {
+    const payment = await razorpay().payments.fetch(paymentId);
+    if (payment.status !== 'authorized') return toPayment(payment);
+    try {
+      // 💰 Unless the account auto-captures, the money only moves once we capture the authorization
+      return toPayment(await razorpay().payments.capture(paymentId, payment.amount, payment.currency));
+    } catch (err) {
+      // Captured meanwhile (by auto-capture or a parallel verification)
+      return toPayment(await razorpay().payments.fetch(paymentId));
+    }
+  },
+
+  async refund({ paymentId, amount, notes }) {
+    try {
+      return toRefund(await razorpay().payments.refund(paymentId, { amount, notes }));
+    } catch (err) {
+      throw new Error(err.error?.description || err.message);
+    }
+  },
+
+  async listPayments({ from, to }) {
+    return (await listAll(razorpay().payments, from, to)).map(toPayment);
+  },
+
+  async listRefunds({ from, to }) {
+    return (await listAll(razorpay().refunds, from, to)).map(toRefund);
+  },
+
+  parseWebhook(req) {
+    if (!req.rawBody || !isValidSignature(req.rawBody, req.get('x-razorpay-signature'), process.env.RAZORPAY_WEBHOOK_SECRET)) {
+      throw httpError(400, 'Invalid webhook signature');
+    }
+
+    const { event, payload = {} } = req.body;
+    const eventId = req.get('x-razorpay-event-id');
+    if (!eventId || !event) throw httpError(400, 'Malformed webhook event');
+
+    const type = WEBHOOK_EVENTS[event] || null;
+    const payment = toPayment(payload.payment?.entity) || null;
+    const refund = toRefund(payload.refund?.entity) || null;
+    if ((type?.startsWith('payment.') && !payment) || (type?.startsWith('refund.') && !refund)) {
+      throw httpError(400, 'Malformed webhook event');
+    }
+
+    return { eventId, event, type, payment, refund };
+  }
+};
@@ -0,0 +1,145 @@
+import Stripe from 'stripe';
+import httpError from '../httpError.js';
+
+let client = null;
+
+// 💳 Stripe client, created on first use so Razorpay-only deployments need no Stripe keys
+const stripe = () => {
+  client ||= new Stripe(process.env.STRIPE_SECRET_KEY);
+  return client;
+};
+
+/**
+ * Normalizes a Stripe PaymentIntent. The intent plays the part of both the order and the payment.
+ * @param {Object} intent - Stripe PaymentIntent
+ * @returns {Object} { id, orderId, amount, currency, status, failureReason, createdAt }
+ */
+const toPayment = (intent) => {
+  const failureReason = intent.last_payment_error?.message || null;
+  let status = 'pending';
+  if (intent.status === 'succeeded') status = 'paid';
+  else if (intent.status === 'canceled' || (intent.status === 'requires_payment_method' && failureReason)) status = 'failed';
+
+  return {
+    id: intent.id,
+    orderId: intent.id,
+    amount: intent.status === 'succeeded' ? intent.amount_received : intent.amount,
+    currency: intent.currency.toUpperCase(),
+    status,
+    failureReason,
+    createdAt: new Date(intent.created * 1000)
+  };
+};
+
+/**
+ * Normalizes a Stripe Refund
+ * @param {Object} refund - Stripe Refund
+ * @returns {Object} { id, paymentId, amount, status, createdAt }
+ */
+const toRefund = (refund) => {
+  let status = 'pending';
+  if (refund.status === 'succeeded') status = 'processed';
+  else if (refund.status === 'failed' || refund.status === 'canceled') status = 'failed';
+
+  return {
+    id: refund.id,
+    paymentId: refund.payment_intent,
+    amount: refund.amount,
+    status,
+    createdAt: new Date(refund.created * 1000)
+  };
+};
+
+// Stripe date filters use Unix seconds; `to` is exclusive
+const createdBetween = (from, to) => ({
+  gte: Math.floor(from.getTime() / 1000),
+  lt: Math.ceil(to.getTime() / 1000)
+});
+
+const MAX_LISTED = 10000;
+
+/**
+ * Maps a Stripe event to a provider-neutral webhook event
+ * @param {Object} event - Verified Stripe event
+ * @returns {{ type: string|null, payment: Object|null, refund: Object|null }}
+ */
+const mapEvent = (event) => {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return { type: 'payment.paid', payment: toPayment(object), refund: null };
+    case 'payment_intent.processing':
+      return { type: 'payment.attempted', payment: toPayment(object), refund: null };
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return { type: 'payment.failed', payment: toPayment(object), refund: null };
+    case 'refund.updated':
+    case 'charge.refund.updated': {
+      const refund = toRefund(object);
+      const type = refund.status === 'pending' ? null : `refund.${refund.status}`;
+      return { type, payment: null, refund };
+    }
+    default:
+      return { type: null, payment: null, refund: null };
+  }
+};
+
+export default {
+  name: 'stripe',
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const intent = await stripe().paymentIntents.create({
+      amount,
+      currency: currency.toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      metadata: { receipt, ...notes }
+    });
+    return {
+      orderId: intent.id,
+      checkout: { publishableKey: process.env.STRIPE_PUBLISHABLE_KEY, clientSecret: intent.client_secret }
+    };
+  },
+
+  verifyCheckout({ payment_intent }) {
+    if (!payment_intent) throw httpError(400, 'Missing or invalid booking data');
+    // Stripe signs nothing for the browser; the intent is fetched with the secret key before booking
+    return { orderId: payment_intent, paymentId: payment_intent };
+  },
+
+  async fetchPayment(paymentId) {
+    return toPayment(await stripe().paymentIntents.retrieve(paymentId));
+  },
+
+  // PaymentIntents are created with automatic capture
+  capturePayment(paymentId) {
+    return this.fetchPayment(paymentId);
+  },
+
+  async refund({ paymentId, amount, notes }) {
+    return toRefund(await stripe().refunds.create({ payment_intent: paymentId, amount, metadata: notes }));
+  },
+
+  async listPayments({ from, to }) {
+    const intents = await stripe().paymentIntents
+      .list({ created: createdBetween(from, to), limit: 100 })
+      .autoPagingToArray({ limit: MAX_LISTED });
+    return intents.map(toPayment);
+  },
+
+  async listRefunds({ from, to }) {
+    const refunds = await stripe().refunds
+      .list({ created: createdBetween(from, to), limit: 100 })
+      .autoPagingToArray({ limit: MAX_LISTED });
+    return refunds.map(toRefund);
+  },
+
+  parseWebhook(req) {
+    let event;
+    try {
+      event = stripe().webhooks.constructEvent(req.rawBody, req.get('stripe-signature'), process.env.STRIPE_WEBHOOK_SECRET);
+    } catch {
+      throw httpError(400, 'Invalid webhook signature');
+    }
+    return { eventId: event.id, event: event.type, ...mapEvent(event) };
+  }
+};
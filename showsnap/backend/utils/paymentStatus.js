@@ -0,0 +1,38 @@
+import Payment from '../models/Payment.js';
+
+/**
+ * Statuses a payment may move to from each status
+ */
+export const PAYMENT_TRANSITIONS = Object.freeze({
+  created: Object.freeze(['attempted', 'paid', 'failed']),
+  attempted: Object.freeze(['paid', 'failed']),
+  failed: Object.freeze(['attempted', 'paid']), // the same order can be retried
+  paid: Object.freeze(['refunded']),
+  refunded: Object.freeze([])
+});
+
+/**
+ * Lists the statuses a payment may be in to move to `to`
+ * @param {string} to - Target status
+ * @returns {Array<string>}
+ */
+const allowedFrom = (to) =>
+  Object.keys(PAYMENT_TRANSITIONS).filter(from => PAYMENT_TRANSITIONS[from].includes(to));
+
+/**
+ * Atomically moves a payment to a new status when the transition is allowed
+ * @param {Object} filter - Identifies the payment, e.g. { orderId }
+ * @param {string} to - Target status
+ * @param {Object} [fields] - Extra fields to set with the transition
+ * @param {string} [reason] - Note stored in the status history
+ * @returns {Promise<Object|null>} Updated payment, or null when it is missing or the transition is not allowed
+ */
+export const transitionPayment = (filter, to, fields = {}, reason = null) =>
+  Payment.findOneAndUpdate(
+    { ...filter, status: { $in: allowedFrom(to) } },
+    {
+      $set: { ...fields, status: to },
+      $push: { statusHistory: { status: to, at: new Date(), reason } }
+    },
+    { new: true }
+  );
@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import Movie from '../models/Movie.js';
+import Theater from '../models/Theater.js';
+import httpError from './httpError.js';
+import { findScreenLayout, groupSeatsByCategory, listSeatIds } from './seatLayout.js';
+import { computeTax } from './tax.js';
+import { priceAddOns } from './menu.js';
+import { getUserTier } from './loyalty.js';
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+/**
+ * Convenience fee charged per seat in ₹ (CONVENIENCE_FEE_PER_SEAT, default 0)
+ * @returns {number}
+ */
+export const getConvenienceFeePerSeat = () => {
+  const fee = Number(process.env.CONVENIENCE_FEE_PER_SEAT);
+  return fee >= 0 ? fee : 0;
+};
+
+/**
+ * Resolves an embedded showtime and the seat layout of its screen
+ * @param {Object} params
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {string|Date} params.showtimeDate - Showtime start
+ * @returns {Promise<Object>} { movie, theater, showtime, showtimeDate, theaterDoc, layout }
+ * @throws {Error} 400/404 error when the showtime cannot be resolved
+ */
+export const resolveShowtime = async ({ movieId, theaterName, showtimeDate }) => {
+  if (!mongoose.Types.ObjectId.isValid(movieId)) throw httpError(400, 'Invalid movie ID');
+
+  const start = new Date(showtimeDate);
+  if (isNaN(start.getTime())) throw httpError(400, 'Invalid showtime');
+
+  const movie = await Movie.findById(movieId).lean();
+  if (!movie) throw httpError(404, 'Movie not found');
+
+  const theater = (movie.embeddedTheaters || []).find(t => t.name === theaterName);
+  const showtime = theater?.showtimes?.find(s => new Date(s.startTime).getTime() === start.getTime());
+  if (!showtime) throw httpError(404, 'Showtime not found');
+
+  const theaterDoc = await Theater.findOne({ name: theaterName }).lean();
+
+  return {
+    movie,
+    theater,
+    showtime,
+    showtimeDate: start,
+    theaterDoc,
+    layout: findScreenLayout(theaterDoc, showtime.screen)
+  };
+};
+
+/**
+ * Applies discounts to a quote's fees, seat and add-on prices (all amounts in paise)
+ * @param {Object} quote - Quote with { lines, seatTotal, convenienceFee, addOns }; earlier discounts are replaced
+ * @param {Array<{ label: string, amount: number }>} discounts - Discounts in paise, applied in order
+ * @returns {Object} { currency, lines, seatTotal, convenienceFee, addOns, addOnTotal, discounts, discount, total, tax }
+ */
+export const applyDiscounts = (quote, discounts = []) => {
+  const addOns = quote.addOns || [];
+  const addOnTotal = addOns.reduce((sum, a) => sum + a.subtotal, 0);
+
+  // 🏷️ Discounts never take the payable amount below zero
+  let total = quote.seatTotal + quote.convenienceFee + addOnTotal;
+  const applied = discounts
+    .map(d => {
+      const amount = Math.min(Math.max(Math.round(Number(d.amount) || 0), 0), total);
+      total -= amount;
+      return { label: d.label, amount };
+    })
+    .filter(d => d.amount > 0);
+
+  const discounted = {
+    currency: quote.currency || 'INR',
+    lines: quote.lines,
+    seatTotal: quote.seatTotal,
+    convenienceFee: quote.convenienceFee,
+    addOns,
+    addOnTotal,
+    discounts: applied,
+    discount: applied.reduce((sum, d) => sum + d.amount, 0),
+    total,
+    membership: quote.membership || null
+  };
+  return { ...discounted, tax: computeTax(discounted) };
+};
+
+/**
+ * Prices seats against a layout (all amounts in paise)
+ * @param {Object} layout - Normalized seat layout
+ * @param {Array<string>} seats - Seat IDs
+ * @param {Array<{ label: string, amount: number }>} [discounts] - Discounts in paise, applied in order
+ * @param {Array<Object>} [addOns] - Priced F&B lines (see utils/menu.js)
+ * @param {Object} [tier] - Loyalty tier whose convenience fee discount applies (see utils/loyalty.js)
+ * @returns {Object} { currency, lines, seatTotal, convenienceFee, addOns, addOnTotal, discounts, discount, total, tax, membership }
+ */
+export const buildQuote = (layout, seats, discounts = [], addOns = [], tier = null) => {
+  const lines = groupSeatsByCategory(layout, seats).map(group => ({
+    category: group.category,
+    unitPrice: toPaise(group.price),
+    seats: group.seats,
+    subtotal: toPaise(group.subtotal)
+  }));
+
+  // ⭐ Members pay a reduced convenience fee
+  const feeDiscount = tier?.convenienceFeeDiscount || 0;
+  const convenienceFee = toPaise(getConvenienceFeePerSeat()) * seats.length;
+
+  return applyDiscounts({
+    currency: 'INR',
+    lines,
+    seatTotal: lines.reduce((sum, line) => sum + line.subtotal, 0),
+    convenienceFee: convenienceFee - Math.round((convenienceFee * feeDiscount) / 100),
+    addOns,
+    membership: tier ? { tier: tier.name, convenienceFeeDiscount: feeDiscount } : null
+  }, discounts);
+};
+
+/**
+ * Computes the payable amount for seats of a showtime
+ * @param {Object} params
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {string|Date} params.showtimeDate - Showtime start
+ * @param {Array<string>} params.seats - Seat IDs
+ * @param {Array<{ label: string, amount: number }>} [params.discounts] - Discounts in paise
+ * @param {Array<{ itemId: string, quantity: number }>} [params.addOns] - F&B picked from the theater's menu
+ * @param {Array<Object>} [params.addOnLines] - Already priced F&B lines kept from a booking (replaces `addOns`)
+ * @param {string} [params.userId] - Booking user, whose loyalty tier perks apply
+ * @returns {Promise<Object>} Price quote (see buildQuote)
+ * @throws {Error} 400/404 error for unknown showtimes, seats or menu items
+ */
+export const quoteBooking = async ({
+  movieId,
+  theaterName,
+  showtimeDate,
+  seats,
+  discounts = [],
+  addOns = [],
+  addOnLines,
+  userId
+}) => {
+  const uniqueSeats = [...new Set(seats || [])];
+  if (uniqueSeats.length === 0) throw httpError(400, 'No seats selected');
+
+  const { layout, theaterDoc } = await resolveShowtime({ movieId, theaterName, showtimeDate });
+
+  const validSeats = listSeatIds(layout);
+  const invalid = uniqueSeats.filter(s => !validSeats.includes(s));
+  if (invalid.length > 0) {
+    throw httpError(400, `Seats do not exist on this screen: ${invalid.join(', ')}`);
+  }
+
+  const priced = addOnLines
+    ? addOnLines.map(a => ({ itemId: a.itemId, name: a.name, kind: a.kind, unitPrice: a.unitPrice, quantity: a.quantity, subtotal: a.subtotal }))
+    : priceAddOns(theaterDoc?.menu, addOns);
+
+  const tier = userId ? await getUserTier(userId) : null;
+  return buildQuote(layout, uniqueSeats, discounts, priced, tier);
+};
+
+/**
+ * Splits what was paid for a booking between the seats it keeps and the seats it releases.
+ * Seat prices stay at what was paid and add-ons stay on the booking; fees and discounts are shared out
+ * per seat / by the value kept.
+ * @param {Object|null} quote - Booking's price breakdown (null for bookings made before quotes existed)
+ * @param {number} amount - Booking's current amount (paise)
+ * @param {Array<string>} seats - Seats currently on the booking
+ * @param {Array<string>} releasedSeats - Seats being released
+ * @returns {{ remaining: Object|null, remainingTotal: number, releasedValue: number, releasedFees: number }}
+ */
+export const splitQuote = (quote, amount, seats, releasedSeats) => {
+  const released = new Set(releasedSeats);
+  const keptCount = seats.filter(s => !released.has(s)).length;
+
+  if (!quote) {
+    const remainingTotal = Math.round((amount * keptCount) / seats.length);
+    return { remaining: null, remainingTotal, releasedValue: amount - remainingTotal, releasedFees: 0 };
+  }
+
+  const lines = quote.lines
+    .map(line => {
+      const kept = line.seats.filter(s => !released.has(s));
+      return { category: line.category, unitPrice: line.unitPrice, seats: kept, subtotal: line.unitPrice * kept.length };
+    })
+    .filter(line => line.seats.length > 0);
+
+  const seatTotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  // 🍿 Add-ons stay with the seats that are kept
+  const addOns = quote.addOns || [];
+  const addOnTotal = quote.addOnTotal || 0;
+
+  const keptShare = quote.seatTotal + addOnTotal > 0
+    ? (seatTotal + addOnTotal) / (quote.seatTotal + addOnTotal)
+    : keptCount / seats.length;
+  const convenienceFee = Math.round((quote.convenienceFee * keptCount) / seats.length);
+  const discounts = quote.discounts
+    .map(d => ({ label: d.label, amount: Math.round(d.amount * keptShare) }))
+    .filter(d => d.amount > 0);
+  const discount = discounts.reduce((sum, d) => sum + d.amount, 0);
+
+  const remaining = {
+    currency: quote.currency,
+    lines,
+    seatTotal,
+    convenienceFee,
+    addOns,
+    addOnTotal,
+    discounts,
+    discount,
+    total: Math.max(0, seatTotal + convenienceFee + addOnTotal - discount),
+    membership: quote.membership || null
+  };
+  remaining.tax = computeTax(remaining);
+
+  return {
+    remaining,
+    remainingTotal: remaining.total,
+    releasedValue: amount - remaining.total,
+    releasedFees: quote.convenienceFee - convenienceFee
+  };
+};
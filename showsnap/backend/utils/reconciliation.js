@@ -0,0 +1,250 @@
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { getPaymentProvider, getDefaultProviderName } from './paymentProviders/index.js';
+import { createIntervalJob } from './intervalJob.js';
+import logger from './logger.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUMMARY_KEYS = {
+  orphan_payment: 'orphanPayments',
+  orphan_booking: 'orphanBookings',
+  orphan_refund: 'orphanRefunds',
+  amount_mismatch: 'amountMismatches'
+};
+
+/**
+ * The IST calendar day before `now`, which the daily job reconciles
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date }} `to` is exclusive
+ */
+export const getReconciliationDay = (now = new Date()) => {
+  const todayStart = Math.floor((now.getTime() + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+  return { from: new Date(todayStart - DAY_MS), to: new Date(todayStart) };
+};
+
+/**
+ * Matches a provider's payments and refunds created in a period against our bookings
+ * @param {Object} params
+ * @param {Date} params.from - Inclusive start
+ * @param {Date} params.to - Exclusive end
+ * @param {string} [params.provider] - Provider name; defaults to the configured provider
+ * @returns {Promise<Object>} { provider, from, to, summary, issues }
+ */
+export const reconcilePayments = async ({ from, to, provider: providerName = getDefaultProviderName() }) => {
+  const provider = getPaymentProvider(providerName);
+  const [payments, refunds] = await Promise.all([
+    provider.listPayments({ from, to }),
+    provider.listRefunds({ from, to })
+  ]);
+  const captured = payments.filter(p => p.status === 'paid');
+  const settledRefunds = refunds.filter(r => r.status !== 'failed');
+  const issues = [];
+
+  // 💳 Every captured payment should have paid for a booking or a booking change
+  const orderIds = captured.map(p => p.orderId);
+  const paidBookings = await Booking.find({
+    $or: [{ 'payment.orderId': { $in: orderIds } }, { 'modifications.orderId': { $in: orderIds } }]
+  }).select('payment modifications amount').lean();
+
+  const expectedByOrder = new Map();
+  for (const booking of paidBookings) {
+    if (booking.payment?.orderId) {
+      expectedByOrder.set(booking.payment.orderId, { booking: booking._id, amount: booking.payment.amount ?? booking.amount });
+    }
+    for (const change of booking.modifications || []) {
+      if (change.orderId) expectedByOrder.set(change.orderId, { booking: booking._id, amount: change.difference });
+    }
+  }
+
+  // Orders we created but never booked usually carry the reason the booking failed
+  const orphanOrders = await Payment.find({
+    provider: provider.name,
+    orderId: { $in: captured.filter(p => !expectedByOrder.has(p.orderId)).map(p => p.orderId) }
+  }).select('orderId failureReason').lean();
+  const orderRecords = new Map(orphanOrders.map(record => [record.orderId, record]));
+
+  for (const payment of captured) {
+    const expected = expectedByOrder.get(payment.orderId);
+    if (!expected) {
+      const record = orderRecords.get(payment.orderId);
+      issues.push({
+        type: 'orphan_payment',
+        orderId: payment.orderId,
+        paymentId: payment.id,
+        actual: payment.amount,
+        note: record
+          ? `Captured payment has no booking${record.failureReason ? `: ${record.failureReason}` : ''}`
+          : 'Captured payment is not for any of our orders'
+      });
+    } else if (expected.amount !== payment.amount) {
+      issues.push({
+        type: 'amount_mismatch',
+        orderId: payment.orderId,
+        paymentId: payment.id,
+        booking: expected.booking,
+        expected: expected.amount,
+        actual: payment.amount,
+        note: 'Captured amount differs from the booking'
+      });
+    }
+  }
+
+  // 💸 Every refund should be recorded on the booking that asked for it
+  const refundBookings = await Booking.find({ 'refunds.refundId': { $in: settledRefunds.map(r => r.id) } })
+    .select('refunds')
+    .lean();
+  const expectedByRefund = new Map(
+    refundBookings.flatMap(b => b.refunds.filter(r => r.refundId).map(r => [r.refundId, { booking: b._id, amount: r.amount }]))
+  );
+
+  for (const refund of settledRefunds) {
+    const expected = expectedByRefund.get(refund.id);
+    if (!expected) {
+      issues.push({
+        type: 'orphan_refund',
+        paymentId: refund.paymentId,
+        refundId: refund.id,
+        actual: refund.amount,
+        note: 'Refund is not recorded on any booking'
+      });
+    } else if (expected.amount !== refund.amount) {
+      issues.push({
+        type: 'amount_mismatch',
+        paymentId: refund.paymentId,
+        refundId: refund.id,
+        booking: expected.booking,
+        expected: expected.amount,
+        actual: refund.amount,
+        note: 'Refunded amount differs from the booking'
+      });
+    }
+  }
+
+  // 🎟️ Every paid booking made in the period should have a captured payment behind it
+  const capturedById = new Map(captured.map(p => [p.id, p]));
+  const bookings = await Booking.find({
+    'payment.provider': provider.name,
+    'payment.paymentId': { $ne: null },
+    createdAt: { $gte: from, $lt: to }
+  }).select('payment amount').lean();
+
+  for (const booking of bookings) {
+    const { orderId, paymentId } = booking.payment;
+    if (capturedById.has(paymentId)) continue;
+
+    // Paid just outside the period, or missing altogether: ask the provider directly
+    const payment = await provider.fetchPayment(paymentId).catch(() => null);
+    const expected = booking.payment.amount ?? booking.amount;
+    if (payment?.status !== 'paid') {
+      issues.push({
+        type: 'orphan_booking',
+        orderId,
+        paymentId,
+        booking: booking._id,
+        expected,
+        note: payment ? `Provider reports the payment as ${payment.status}` : 'Provider has no such payment'
+      });
+    } else if (payment.amount !== expected) {
+      issues.push({
+        type: 'amount_mismatch',
+        orderId,
+        paymentId,
+        booking: booking._id,
+        expected,
+        actual: payment.amount,
+        note: 'Captured amount differs from the booking'
+      });
+    }
+  }
+
+  const summary = {
+    payments: captured.length,
+    refunds: settledRefunds.length,
+    bookings: bookings.length,
+    orphanPayments: 0,
+    orphanBookings: 0,
+    orphanRefunds: 0,
+    amountMismatches: 0
+  };
+  issues.forEach(issue => { summary[SUMMARY_KEYS[issue.type]]++; });
+
+  return { provider: provider.name, from, to, summary, issues };
+};
+
+/**
+ * Reconciles a period and stores the report
+ * @param {Object} params - See reconcilePayments, plus:
+ * @param {'scheduled'|'manual'} [params.trigger]
+ * @param {string} [params.requestedBy] - Admin who asked for the report
+ * @returns {Promise<Object>} Saved ReconciliationReport
+ */
+export const runReconciliation = async ({ trigger = 'manual', requestedBy = null, ...params }) => {
+  const result = await reconcilePayments(params);
+  const report = await ReconciliationReport.create({ ...result, trigger, requestedBy });
+
+  const found = result.issues.length;
+  (logger || console)[found ? 'warn' : 'info'](
+    `🧮 Reconciliation ${report._id} (${result.provider}, ${result.from.toISOString()} – ${result.to.toISOString()}): ${found} issues`
+  );
+  return report;
+};
+
+const CSV_COLUMNS = ['type', 'orderId', 'paymentId', 'refundId', 'booking', 'expected', 'actual', 'note'];
+
+// Spreadsheets run text cells starting with these as formulas (amounts stay numbers)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Report issues as CSV (amounts in paise)
+ * @param {Object} report - ReconciliationReport
+ * @returns {string}
+ */
+export const reportToCsv = (report) =>
+  [CSV_COLUMNS, ...report.issues.map(issue => CSV_COLUMNS.map(column => issue[column]))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n') + '\n';
+
+/**
+ * Background job that reconciles the previous IST day once, for every provider that took payments
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - How often to check whether the day is done (default hourly)
+ * @param {Function} [options.now] - Clock, () => Date
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createReconciliationJob = ({
+  intervalMs = 60 * 60 * 1000,
+  now = () => new Date(),
+  log = logger || console
+} = {}) =>
+  createIntervalJob({
+    name: 'Daily reconciliation',
+    intervalMs,
+    log,
+    // 🔁 Restarts do not each call the provider; the first check comes one interval in
+    runOnStart: false,
+    run: async () => {
+      const { from, to } = getReconciliationDay(now());
+      // Orders paid entirely with ShowSnap credits or a coupon never reach a provider
+      const used = await Payment.distinct('provider', { createdAt: { $gte: from, $lt: to }, provider: { $nin: ['wallet', 'free'] } });
+
+      for (const provider of new Set([getDefaultProviderName(), ...used])) {
+        if (await ReconciliationReport.exists({ provider, from, trigger: 'scheduled' })) continue;
+        try {
+          await runReconciliation({ from, to, provider, trigger: 'scheduled' });
+        } catch (err) {
+          // Another server got there first
+          if (err.code !== 11000) throw err;
+        }
+      }
+    }
+  });
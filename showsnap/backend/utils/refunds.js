@@ -0,0 +1,316 @@
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { creditWallet } from './wallet.js';
+import { createIntervalJob } from './intervalJob.js';
+import logger from './logger.js';
+
+const log = logger || console;
+
+const BATCH_SIZE = 100;
+const UNBOOKED_REFUND_RETRY_MS = 15 * 60 * 1000;
+
+/**
+ * Provider payments captured for a booking: its checkout and the difference paid for each booking change
+ * @param {Object} booking - Booking document
+ * @returns {Array<{ provider: string, paymentId: string, amount: number }>} Oldest first
+ */
+const getCapturedPayments = (booking) => {
+  const payments = [];
+  if (booking.payment?.paymentId) {
+    payments.push({
+      provider: booking.payment.provider || 'razorpay',
+      paymentId: booking.payment.paymentId,
+      amount: booking.payment.amount ?? booking.amount
+    });
+  }
+  for (const change of booking.modifications || []) {
+    if (!change.paymentId || change.difference <= 0) continue;
+    payments.push({
+      provider: change.provider || booking.payment?.provider || 'razorpay',
+      paymentId: change.paymentId,
+      amount: change.difference
+    });
+  }
+  return payments;
+};
+
+/**
+ * What the user paid for a booking: the provider's captures (checkout and paid booking changes)
+ * plus any ShowSnap credits (paise)
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+export const getPaidAmount = (booking) => {
+  const changes = (booking.modifications || [])
+    .filter(change => change.paymentId && change.difference > 0)
+    .reduce((sum, change) => sum + change.difference, 0);
+  return (booking.payment?.amount ?? booking.amount) + (booking.payment?.walletAmount || 0) + changes;
+};
+
+/**
+ * Whether anything was paid for the booking, with the provider or with credits
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+export const isPaidBooking = (booking) => Boolean(booking.payment?.paymentId || booking.payment?.walletAmount > 0);
+
+/**
+ * Amount of a booking's current seats that can be refunded: the convenience fee is kept (paise).
+ * Refunds never exceed what was paid for the booking.
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+export const getRefundableAmount = (booking) => {
+  if (!isPaidBooking(booking) || booking.paymentStatus === 'refunded') return 0;
+  const convenienceFee = booking.pricing?.convenienceFee || 0;
+  const stillPaid = getPaidAmount(booking) - (booking.refundedAmount || 0);
+  return Math.max(0, Math.min(booking.amount - convenienceFee, stillPaid));
+};
+
+/**
+ * Derives the booking's payment status from what has been refunded so far
+ * @param {Object} booking - Booking document
+ * @returns {string}
+ */
+const refundedPaymentStatus = (booking) => {
+  if (booking.refundedAmount <= 0) return booking.paymentStatus;
+  return booking.refundedAmount >= getPaidAmount(booking) ? 'refunded' : 'partially_refunded';
+};
+
+/**
+ * Amount each captured payment can still give back (paise). Refunds recorded before they named
+ * their payment were made against the checkout payment.
+ * @param {Object} booking - Booking document
+ * @returns {Array<{ provider: string, paymentId: string, refundable: number }>} Oldest first
+ */
+const getProviderRefundables = (booking) => {
+  const returned = new Map();
+  for (const r of booking.refunds) {
+    if (r.destination === 'wallet' || r.status === 'failed') continue;
+    const paymentId = r.paymentId || booking.payment?.paymentId;
+    returned.set(paymentId, (returned.get(paymentId) || 0) + r.amount);
+  }
+  return getCapturedPayments(booking).map(p => ({
+    provider: p.provider,
+    paymentId: p.paymentId,
+    refundable: Math.max(0, p.amount - (returned.get(p.paymentId) || 0))
+  }));
+};
+
+/**
+ * Refunds part of one captured payment through its provider
+ * @param {Object} booking - Booking document
+ * @param {Object} captured - { provider, paymentId } (see getCapturedPayments)
+ * @param {number} amount - Paise
+ * @param {string} reason
+ * @returns {Promise<Object>} Refund entry, failed when the provider declined
+ */
+const refundPayment = async (booking, captured, amount, reason) => {
+  try {
+    const refund = await getPaymentProvider(captured.provider).refund({
+      paymentId: captured.paymentId,
+      amount,
+      notes: { bookingId: String(booking._id), reason }
+    });
+    if (refund.status === 'failed') throw new Error('Refund declined');
+
+    booking.refundedAmount = (booking.refundedAmount || 0) + refund.amount;
+    log.info(`💸 Refund ${refund.id} of ${refund.amount} paise issued for booking ${booking._id}`);
+    return {
+      refundId: refund.id,
+      paymentId: captured.paymentId,
+      amount: refund.amount,
+      status: refund.status,
+      reason,
+      processedAt: refund.status === 'processed' ? new Date() : null
+    };
+  } catch (err) {
+    log.error(`❌ Refund failed for booking ${booking._id}: ${err.message}`);
+    return { refundId: null, paymentId: captured.paymentId, amount, status: 'failed', reason, failureReason: err.message };
+  }
+};
+
+/**
+ * Refunds through the providers the booking was paid with, newest payment first
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Paise, at most what the payments can still give back
+ * @param {string} reason
+ * @returns {Promise<Array<Object>>} One refund entry per payment used
+ */
+const refundToProvider = async (booking, amount, reason) => {
+  const entries = [];
+  let owed = amount;
+  for (const captured of getProviderRefundables(booking).reverse()) {
+    if (owed <= 0) break;
+    const take = Math.min(owed, captured.refundable);
+    if (take <= 0) continue;
+    entries.push(await refundPayment(booking, captured, take, reason));
+    owed -= take;
+  }
+  return entries;
+};
+
+/**
+ * Refunds instantly as ShowSnap credits
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Paise
+ * @param {string} reason
+ * @returns {Promise<Object>} Refund entry
+ */
+const refundToWallet = async (booking, amount, reason) => {
+  try {
+    const credit = await creditWallet({
+      userId: booking.user._id || booking.user,
+      amount,
+      reason: 'refund',
+      description: `Refund for ${reason}`,
+      booking: booking._id
+    });
+
+    booking.refundedAmount = (booking.refundedAmount || 0) + amount;
+    return {
+      refundId: String(credit._id),
+      amount,
+      destination: 'wallet',
+      status: 'processed',
+      reason,
+      processedAt: new Date()
+    };
+  } catch (err) {
+    log.error(`❌ Wallet refund failed for booking ${booking._id}: ${err.message}`);
+    return { refundId: null, amount, destination: 'wallet', status: 'failed', reason, failureReason: err.message };
+  }
+};
+
+/**
+ * Refunds part of a booking's payment and records it on the booking.
+ * Money goes back through the providers it was paid with, up to what those payments captured; the rest
+ * (credits spent on the booking, or everything when `toWallet` is set) goes back as ShowSnap credits.
+ * A failed refund is recorded too so support can retry it; the caller decides whether to surface it.
+ * @param {Object} booking - Booking document (saved by this function)
+ * @param {number} amount - Amount to refund (paise)
+ * @param {string} reason - Why the money goes back, e.g. "cancellation"
+ * @param {Object} [options]
+ * @param {boolean} [options.toWallet] - Refund instantly as credits instead of to the original payment
+ * @returns {Promise<Object|null>} Refund entry (a summary with `refunds` when spread over several), or null when there is nothing to refund
+ */
+export const issueRefund = async (booking, amount, reason, { toWallet = false } = {}) => {
+  if (!isPaidBooking(booking) || amount <= 0) return null;
+
+  const providerRefundable = getProviderRefundables(booking).reduce((sum, p) => sum + p.refundable, 0);
+  const toProvider = toWallet ? 0 : Math.min(amount, providerRefundable);
+  const entries = toProvider > 0 ? await refundToProvider(booking, toProvider, reason) : [];
+  if (amount > toProvider) entries.push(await refundToWallet(booking, amount - toProvider, reason));
+
+  booking.paymentStatus = refundedPaymentStatus(booking);
+  booking.refunds.push(...entries);
+  await booking.save();
+
+  const saved = booking.refunds.slice(-entries.length);
+  if (saved.length === 1) return saved[0];
+  return {
+    refundId: saved[0].refundId,
+    amount,
+    status: saved.some(r => r.status === 'failed') ? 'failed' : saved[0].status,
+    destination: saved.every(r => r.destination === saved[0].destination) ? saved[0].destination : 'split',
+    refunds: saved
+  };
+};
+
+/**
+ * Applies the provider's final word on a refund to the booking that requested it
+ * @param {string} refundId - Provider refund ID
+ * @param {'processed'|'failed'} status - Outcome reported by the webhook
+ * @returns {Promise<Object|null>} Updated booking, or null when no booking owns the refund
+ */
+export const settleRefund = async (refundId, status) => {
+  const booking = await Booking.findOne({ 'refunds.refundId': refundId });
+  const entry = booking?.refunds.find(r => r.refundId === refundId);
+  if (!entry || entry.status === status) return booking;
+
+  // ↩️ A rejected refund no longer counts towards what was returned
+  if (status === 'failed' && entry.status !== 'failed') {
+    booking.refundedAmount = Math.max(0, booking.refundedAmount - entry.amount);
+    booking.paymentStatus = booking.refundedAmount > 0 ? refundedPaymentStatus(booking) : 'paid';
+    entry.failureReason = 'Rejected by the payment provider';
+  }
+
+  entry.status = status;
+  entry.processedAt = status === 'processed' ? new Date() : entry.processedAt;
+  await booking.save();
+  return booking;
+};
+
+/**
+ * Refunds the provider charge of an order that was paid but could not be booked. The order must have
+ * `unbookedRefund` pending; a failed attempt stays pending and is retried by the unbooked refund job.
+ * @param {string} paymentRecordId - Payment document ID
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} Provider refund, or null when it was not issued (by this call)
+ */
+export const refundUnbookedPayment = async (paymentRecordId, now = new Date()) => {
+  // 🔐 Claim the attempt; a run that dies midway is retried once the claim lapses
+  const record = await Payment.findOneAndUpdate(
+    { _id: paymentRecordId, 'unbookedRefund.status': 'pending', 'unbookedRefund.nextAttemptAt': { $lte: now } },
+    {
+      $set: { 'unbookedRefund.nextAttemptAt': new Date(now.getTime() + UNBOOKED_REFUND_RETRY_MS) },
+      $inc: { 'unbookedRefund.attempts': 1 }
+    },
+    { new: true }
+  );
+  if (!record) return null;
+
+  try {
+    const refund = await getPaymentProvider(record.provider).refund({
+      paymentId: record.paymentId,
+      amount: record.amount,
+      notes: { orderId: record.orderId, reason: 'booking could not be completed' }
+    });
+    if (refund.status === 'failed') throw new Error('Refund declined');
+
+    await Payment.updateOne(
+      { _id: record._id },
+      { $set: { 'unbookedRefund.status': 'issued', 'unbookedRefund.refundId': refund.id, 'unbookedRefund.lastError': null } }
+    );
+    log.info(`💸 Refund ${refund.id} of ${refund.amount} paise issued for unbooked order ${record.orderId}`);
+    return refund;
+  } catch (err) {
+    await Payment.updateOne({ _id: record._id }, { $set: { 'unbookedRefund.lastError': err.message } });
+    log.error(`❌ Refund failed for unbooked order ${record.orderId} (attempt ${record.unbookedRefund.attempts}): ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * Retries the refunds of paid orders that could not be booked
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of refunds issued
+ */
+export const retryUnbookedRefunds = async (now = new Date()) => {
+  const due = await Payment.find({ 'unbookedRefund.status': 'pending', 'unbookedRefund.nextAttemptAt': { $lte: now } })
+    .select('_id')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let issued = 0;
+  for (const { _id } of due) {
+    if (await refundUnbookedPayment(_id, now)) issued++;
+  }
+  return issued;
+};
+
+/**
+ * Background job retrying refunds of paid orders that could not be booked, on an interval
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Defaults to five minutes
+ * @param {Function} [options.now] - Clock passed to every run, () => Date
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createUnbookedRefundJob = ({
+  intervalMs = 5 * 60 * 1000,
+  now = () => new Date(),
+  log: jobLog = log
+} = {}) =>
+  createIntervalJob({ name: 'Unbooked order refunds', intervalMs, run: () => retryUnbookedRefunds(now()), log: jobLog });
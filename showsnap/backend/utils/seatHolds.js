@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import SeatHold from '../models/SeatHold.js';
+
+/**
+ * Number of minutes a seat hold stays valid (SEAT_HOLD_MINUTES, default 10)
+ * @returns {number}
+ */
+export const getSeatHoldMinutes = () => {
+  const minutes = Number(process.env.SEAT_HOLD_MINUTES);
+  return minutes > 0 ? minutes : 10;
+};
+
+/**
+ * Computes the expiry timestamp for a hold created or refreshed now
+ * @returns {Date}
+ */
+export const getHoldExpiry = () => new Date(Date.now() + getSeatHoldMinutes() * 60 * 1000);
+
+/**
+ * Resolves an unexpired hold owned by the given user
+ * @param {string} holdId - SeatHold ID
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<Object|null>} SeatHold document or null
+ */
+export const getActiveHold = async (holdId, userId) => {
+  if (!holdId || !mongoose.Types.ObjectId.isValid(holdId)) return null;
+
+  return SeatHold.findOne({
+    _id: holdId,
+    user: userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+};
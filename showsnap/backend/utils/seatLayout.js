@@ -0,0 +1,199 @@
+/**
+ * Category used for rows that no configured category claims
+ */
+export const DEFAULT_SEAT_CATEGORY = Object.freeze({
+  name: 'Classic',
+  price: 250,
+  rows: Object.freeze([]),
+  color: '#9ca3af'
+});
+
+/**
+ * Layout used for screens that have not been configured yet (A–D × 1–6)
+ */
+export const DEFAULT_SEAT_LAYOUT = Object.freeze({
+  rows: 4,
+  seatsPerRow: 6,
+  rowLabels: Object.freeze(['A', 'B', 'C', 'D']),
+  aisles: Object.freeze([]),
+  rowGaps: Object.freeze([]),
+  unavailable: Object.freeze([]),
+  categories: Object.freeze([DEFAULT_SEAT_CATEGORY])
+});
+
+const CATEGORY_COLORS = ['#9ca3af', '#60a5fa', '#a78bfa', '#f472b6', '#34d399', '#fbbf24'];
+
+/**
+ * Generates spreadsheet-style row labels: A…Z, AA, AB…
+ * @param {number} count - Number of rows
+ * @returns {Array<string>}
+ */
+const generateRowLabels = (count) =>
+  Array.from({ length: count }, (_, i) => {
+    let label = '';
+    for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+    }
+    return label;
+  });
+
+/**
+ * Fills in defaults and derived row labels for a layout
+ * @param {Object} [layout] - Raw layout (possibly partial)
+ * @returns {Object} Complete layout
+ */
+export const normalizeLayout = (layout = {}) => {
+  const rows = Number(layout.rows) || DEFAULT_SEAT_LAYOUT.rows;
+  const seatsPerRow = Number(layout.seatsPerRow) || DEFAULT_SEAT_LAYOUT.seatsPerRow;
+  const rowLabels = Array.isArray(layout.rowLabels) && layout.rowLabels.length === rows
+    ? layout.rowLabels.map(l => String(l).trim().toUpperCase())
+    : generateRowLabels(rows);
+
+  return {
+    rows,
+    seatsPerRow,
+    rowLabels,
+    aisles: Array.isArray(layout.aisles) ? layout.aisles.map(Number) : [],
+    rowGaps: Array.isArray(layout.rowGaps) ? layout.rowGaps.map(l => String(l).trim().toUpperCase()) : [],
+    unavailable: Array.isArray(layout.unavailable) ? layout.unavailable.map(s => String(s).trim().toUpperCase()) : [],
+    categories: Array.isArray(layout.categories) && layout.categories.length
+      ? layout.categories.map((c, i) => ({
+          name: String(c.name).trim(),
+          price: Number(c.price),
+          rows: Array.isArray(c.rows) ? c.rows.map(l => String(l).trim().toUpperCase()) : [],
+          color: c.color || CATEGORY_COLORS[i % CATEGORY_COLORS.length]
+        }))
+      : [{ ...DEFAULT_SEAT_CATEGORY, rows: [] }]
+  };
+};
+
+/**
+ * Lists every position in the grid, including unavailable ones
+ * @param {Object} layout - Normalized layout
+ * @returns {Array<string>} Seat IDs such as "A1"
+ */
+const listAllPositions = (layout) =>
+  layout.rowLabels.flatMap(row =>
+    Array.from({ length: layout.seatsPerRow }, (_, i) => `${row}${i + 1}`)
+  );
+
+/**
+ * Validates an admin-supplied layout
+ * @param {Object} layout - Layout to validate
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateLayout = (layout) => {
+  if (!layout || typeof layout !== 'object') return 'Layout is required';
+
+  const { rows, seatsPerRow, rowLabels, aisles, rowGaps, unavailable, categories } = layout;
+
+  if (!Number.isInteger(Number(rows)) || rows < 1 || rows > 52) return 'Rows must be between 1 and 52';
+  if (!Number.isInteger(Number(seatsPerRow)) || seatsPerRow < 1 || seatsPerRow > 60) {
+    return 'Seats per row must be between 1 and 60';
+  }
+
+  if (rowLabels !== undefined) {
+    if (!Array.isArray(rowLabels) || rowLabels.length !== Number(rows)) {
+      return 'Row labels must match the number of rows';
+    }
+    if (new Set(rowLabels.map(l => String(l).trim().toUpperCase())).size !== rowLabels.length) {
+      return 'Row labels must be unique';
+    }
+  }
+
+  const normalized = normalizeLayout(layout);
+
+  if (aisles !== undefined && (!Array.isArray(aisles) ||
+    normalized.aisles.some(a => !Number.isInteger(a) || a < 1 || a >= normalized.seatsPerRow))) {
+    return 'Aisles must be seat numbers inside the row';
+  }
+
+  if (rowGaps !== undefined && (!Array.isArray(rowGaps) ||
+    normalized.rowGaps.some(l => !normalized.rowLabels.includes(l)))) {
+    return 'Row gaps must reference existing row labels';
+  }
+
+  if (unavailable !== undefined) {
+    const seatIds = new Set(listAllPositions(normalized));
+    if (!Array.isArray(unavailable) || normalized.unavailable.some(s => !seatIds.has(s))) {
+      return 'Unavailable positions must be seats inside the layout';
+    }
+  }
+
+  if (categories !== undefined) {
+    if (!Array.isArray(categories) || categories.length === 0) return 'At least one seat category is required';
+
+    const names = categories.map(c => String(c?.name || '').trim());
+    if (names.some(n => !n)) return 'Every seat category needs a name';
+    if (new Set(names).size !== names.length) return 'Seat category names must be unique';
+
+    if (categories.some(c => !Number.isFinite(Number(c.price)) || Number(c.price) < 0)) {
+      return 'Seat category prices must be zero or more';
+    }
+
+    const claimedRows = normalized.categories.flatMap(c => c.rows);
+    if (claimedRows.some(l => !normalized.rowLabels.includes(l))) {
+      return 'Seat categories must reference existing row labels';
+    }
+    if (new Set(claimedRows).size !== claimedRows.length) {
+      return 'A row can only belong to one seat category';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Lists the bookable seats of a layout
+ * @param {Object} [layout] - Layout (defaults applied)
+ * @returns {Array<string>} Seat IDs such as "A1"
+ */
+export const listSeatIds = (layout) => {
+  const normalized = normalizeLayout(layout);
+  const unavailable = new Set(normalized.unavailable);
+  return listAllPositions(normalized).filter(id => !unavailable.has(id));
+};
+
+/**
+ * Finds the layout of a theater's screen, falling back to the default layout
+ * @param {Object} theater - Theater document or plain object
+ * @param {string} screenName - Screen name, e.g. "Screen 1"
+ * @returns {Object} Normalized layout
+ */
+export const findScreenLayout = (theater, screenName) => {
+  const screen = (theater?.screens || []).find(
+    s => s && typeof s === 'object' && s.name === screenName
+  );
+  return normalizeLayout(screen?.layout?.toObject?.() || screen?.layout || DEFAULT_SEAT_LAYOUT);
+};
+
+/**
+ * Resolves the category of a seat; rows no category claims fall into the first one
+ * @param {Object} layout - Normalized layout
+ * @param {string} seatId - Seat ID such as "A1"
+ * @returns {Object} Category ({ name, price, rows, color })
+ */
+export const getSeatCategory = (layout, seatId) => {
+  const row = String(seatId).match(/^([A-Z]+)\d+$/)?.[1];
+  return layout.categories.find(c => c.rows.includes(row)) || layout.categories[0];
+};
+
+/**
+ * Groups seats by category with per-category subtotals (₹)
+ * @param {Object} layout - Normalized layout
+ * @param {Array<string>} seats - Seat IDs
+ * @returns {Array<{ category: string, price: number, seats: Array<string>, subtotal: number }>}
+ */
+export const groupSeatsByCategory = (layout, seats) => {
+  const groups = new Map();
+
+  seats.forEach(seatId => {
+    const { name, price } = getSeatCategory(layout, seatId);
+    if (!groups.has(name)) groups.set(name, { category: name, price, seats: [], subtotal: 0 });
+    const group = groups.get(name);
+    group.seats.push(seatId);
+    group.subtotal += price;
+  });
+
+  return [...groups.values()];
+};
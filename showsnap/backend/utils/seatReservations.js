@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import SeatReservation from '../models/SeatReservation.js';
+import httpError from './httpError.js';
+
+const DUPLICATE_KEY = 11000;
+
+const isDuplicateKeyError = (err) =>
+  err?.code === DUPLICATE_KEY || err?.writeErrors?.some?.(e => (e.code ?? e.err?.code) === DUPLICATE_KEY);
+
+/**
+ * Atomically claims seats for a showtime.
+ * Seats already claimed by `holdId` are promoted to the booking; the rest are
+ * inserted one document per seat so the unique index rejects any double claim.
+ * On conflict only what this call changed is undone: its inserted seats are removed and
+ * promoted seats go back to the hold, so seats the booking already owned stay claimed.
+ * @param {Object} params
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {Date} params.showtimeDate - Showtime start
+ * @param {Array<string>} params.seats - Seats to claim
+ * @param {string} params.userId - Claiming user
+ * @param {string} [params.holdId] - Hold that owns (or will own) the seats
+ * @param {string} [params.bookingId] - Booking the seats are paid for by
+ * @param {Date|null} [params.expiresAt=null] - Expiry for held seats
+ * @throws {Error} 409 error with `conflicts` when any seat is taken
+ */
+export const reserveSeats = async ({
+  movieId,
+  theaterName,
+  showtimeDate,
+  seats,
+  userId,
+  holdId = null,
+  bookingId = null,
+  expiresAt = null
+}) => {
+  const showtime = { movie: movieId, theaterName, showtimeDate: new Date(showtimeDate) };
+  let remaining = [...new Set(seats)];
+  let promoted = [];
+
+  // ⬆️ Promote seats this hold already owns
+  if (holdId && bookingId) {
+    promoted = await SeatReservation.find({ ...showtime, hold: holdId, booking: null, seat: { $in: remaining } })
+      .select('expiresAt')
+      .lean();
+    await SeatReservation.updateMany(
+      { _id: { $in: promoted.map(r => r._id) }, booking: null },
+      { $set: { booking: bookingId, expiresAt: null } }
+    );
+    const owned = await SeatReservation.find({ ...showtime, booking: bookingId }).distinct('seat');
+    remaining = remaining.filter(s => !owned.includes(s));
+  }
+
+  if (remaining.length === 0) return;
+
+  // 🧹 Expired holds no longer count, even before the TTL monitor removes them
+  await SeatReservation.deleteMany({
+    ...showtime,
+    seat: { $in: remaining },
+    expiresAt: { $lte: new Date() }
+  });
+
+  const docs = remaining.map(seat => ({
+    _id: new mongoose.Types.ObjectId(),
+    ...showtime,
+    seat,
+    user: userId,
+    hold: holdId,
+    booking: bookingId,
+    expiresAt
+  }));
+
+  const ownIds = docs.map(d => d._id);
+  try {
+    await SeatReservation.insertMany(docs, { ordered: false });
+  } catch (err) {
+    // ↩️ Undo only this call: seats the booking held before stay locked
+    await SeatReservation.deleteMany({ _id: { $in: ownIds } });
+    await Promise.all(promoted.map(r => SeatReservation.updateOne(
+      { _id: r._id, hold: holdId, booking: bookingId },
+      { $set: { booking: null, expiresAt: r.expiresAt } }
+    )));
+
+    if (!isDuplicateKeyError(err)) throw err;
+
+    const taken = await SeatReservation.find({
+      ...showtime,
+      seat: { $in: remaining },
+      _id: { $nin: ownIds }
+    }).distinct('seat');
+
+    const conflicts = remaining.filter(s => taken.includes(s));
+    throw httpError(409, `Seats already booked: ${conflicts.join(', ')}`, { conflicts });
+  }
+};
+
+/**
+ * Releases seats claimed by a hold or a booking
+ * @param {Object} owner
+ * @param {string} [owner.holdId] - Release seats only held by this hold
+ * @param {string} [owner.bookingId] - Release seats paid for by this booking
+ * @param {string} [owner.theaterName] - Only at this theater (a changed booking may own seats at two shows)
+ * @param {Date} [owner.showtimeDate] - Only at this showtime
+ * @param {Array<string>} [seats] - Release only these seats
+ * @returns {Promise<number>} Number of seats released
+ */
+export const releaseSeats = async ({ holdId, bookingId, theaterName, showtimeDate }, seats) => {
+  const query = bookingId ? { booking: bookingId } : { hold: holdId, booking: null };
+  if (!bookingId && !holdId) return 0;
+  if (Array.isArray(seats)) query.seat = { $in: seats };
+  if (theaterName) query.theaterName = theaterName;
+  if (showtimeDate) query.showtimeDate = new Date(showtimeDate);
+
+  const { deletedCount } = await SeatReservation.deleteMany(query);
+  return deletedCount;
+};
+
+/**
+ * Releases seats a booking still claims but no longer lists, e.g. when freeing them after a booking change failed.
+ * Claims made within `graceMs` are kept: they may belong to a change that is still being applied.
+ * @param {Object} booking - Booking with theater, showtimeDate and seats
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.graceMs]
+ * @returns {Promise<Array<Object>>} Released claims ({ theaterName, showtimeDate, seat })
+ */
+export const releaseStrayBookingSeats = async (booking, { now = new Date(), graceMs = 60 * 1000 } = {}) => {
+  const claims = await SeatReservation.find({
+    booking: booking._id,
+    updatedAt: { $lte: new Date(now.getTime() - graceMs) }
+  })
+    .select('theaterName showtimeDate seat')
+    .lean();
+  const stray = claims.filter(r =>
+    r.theaterName !== booking.theater.name ||
+    new Date(r.showtimeDate).getTime() !== new Date(booking.showtimeDate).getTime() ||
+    !booking.seats.includes(r.seat)
+  );
+  if (!stray.length) return [];
+
+  await SeatReservation.deleteMany({ _id: { $in: stray.map(r => r._id) }, booking: booking._id });
+  return stray;
+};
+
+/**
+ * Extends the expiry of every seat still held by a hold
+ * @param {string} holdId - SeatHold ID
+ * @param {Date} expiresAt - New expiry
+ * @returns {Promise<number>} Number of seats still held
+ */
+export const extendHeldSeats = async (holdId, expiresAt) => {
+  const { modifiedCount } = await SeatReservation.updateMany(
+    { hold: holdId, booking: null, expiresAt: { $gt: new Date() } },
+    { $set: { expiresAt } }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Lists seats currently held (not yet booked) for a showtime
+ * @param {Object} params
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {Date} params.showtimeDate - Showtime start
+ * @param {string} [params.excludeHoldId] - Ignore seats of this hold
+ * @returns {Promise<Array<string>>} Held seat numbers
+ */
+export const getHeldSeats = ({ movieId, theaterName, showtimeDate, excludeHoldId }) => {
+  const query = {
+    movie: movieId,
+    theaterName,
+    showtimeDate,
+    booking: null,
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (excludeHoldId && mongoose.Types.ObjectId.isValid(excludeHoldId)) {
+    query.hold = { $ne: excludeHoldId };
+  }
+
+  return SeatReservation.find(query).distinct('seat');
+};
+
+/**
+ * Lists seats of a showtime that are booked or currently held
+ * @param {Object} params
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {Date} params.showtimeDate - Showtime start
+ * @returns {Promise<Array<string>>} Seat numbers
+ */
+export const getTakenSeats = ({ movieId, theaterName, showtimeDate }) =>
+  SeatReservation.find({
+    movie: movieId,
+    theaterName,
+    showtimeDate,
+    $or: [{ booking: { $ne: null } }, { expiresAt: { $gt: new Date() } }]
+  }).distinct('seat');
@@ -0,0 +1,88 @@
+// 🧾 GST for cinema tickets. Listed prices and fees are tax-inclusive; all amounts in paise.
+
+/**
+ * Ticket GST slabs by listed ticket price (first slab whose `upTo` covers the price applies)
+ */
+export const TICKET_GST_SLABS = [
+  { upTo: 10000, rate: 12 }, // tickets up to ₹100
+  { upTo: Infinity, rate: 18 }
+];
+
+/**
+ * GST rate on the convenience fee (%)
+ */
+export const CONVENIENCE_FEE_GST_RATE = 18;
+
+/**
+ * GST rate on food and beverages sold at the theater (%)
+ */
+export const FOOD_GST_RATE = 5;
+
+/**
+ * GST rate for a ticket
+ * @param {number} unitPrice - Listed ticket price (paise)
+ * @returns {number} Rate in %
+ */
+export const getTicketGstRate = (unitPrice) =>
+  TICKET_GST_SLABS.find(slab => unitPrice <= slab.upTo).rate;
+
+/**
+ * Splits a tax-inclusive amount into taxable value and GST
+ * @param {number} amount - Amount including GST (paise)
+ * @param {number} rate - GST rate in %
+ * @returns {{ taxableValue: number, gst: number }}
+ */
+const splitInclusive = (amount, rate) => {
+  const taxableValue = Math.round((amount * 100) / (100 + rate));
+  return { taxableValue, gst: amount - taxableValue };
+};
+
+/**
+ * Tax breakdown of a price quote. Discounts lower the ticket value first (shared by line value),
+ * then the convenience fee, then food. The parts always add up to `quote.total`.
+ * @param {Object} quote - { lines, seatTotal, convenienceFee, addOnTotal, discount }
+ * @returns {Object} { tickets, baseFare, ticketGst, convenienceFeeBase, convenienceFeeGst, convenienceFeeRate,
+ *   foodBase, foodGst, foodRate, totalGst, cgst, sgst }
+ */
+export const computeTax = ({ lines = [], seatTotal = 0, convenienceFee = 0, addOnTotal = 0, discount = 0 }) => {
+  const ticketDiscount = Math.min(discount, seatTotal);
+  const feeDiscount = Math.min(discount - ticketDiscount, convenienceFee);
+  const foodDiscount = Math.min(discount - ticketDiscount - feeDiscount, addOnTotal);
+
+  let discountLeft = ticketDiscount;
+  const tickets = lines.map((line, i) => {
+    const lineDiscount = i === lines.length - 1
+      ? discountLeft
+      : Math.round((ticketDiscount * line.subtotal) / (seatTotal || 1));
+    discountLeft -= lineDiscount;
+
+    const rate = getTicketGstRate(line.unitPrice);
+    return {
+      category: line.category,
+      quantity: line.seats.length,
+      rate,
+      ...splitInclusive(line.subtotal - lineDiscount, rate)
+    };
+  });
+
+  const fee = splitInclusive(convenienceFee - feeDiscount, CONVENIENCE_FEE_GST_RATE);
+  const food = splitInclusive(addOnTotal - foodDiscount, FOOD_GST_RATE);
+  const ticketGst = tickets.reduce((sum, t) => sum + t.gst, 0);
+  const totalGst = ticketGst + fee.gst + food.gst;
+  const cgst = Math.floor(totalGst / 2);
+
+  return {
+    tickets,
+    baseFare: tickets.reduce((sum, t) => sum + t.taxableValue, 0),
+    ticketGst,
+    convenienceFeeBase: fee.taxableValue,
+    convenienceFeeGst: fee.gst,
+    convenienceFeeRate: CONVENIENCE_FEE_GST_RATE,
+    foodBase: food.taxableValue,
+    foodGst: food.gst,
+    foodRate: FOOD_GST_RATE,
+    totalGst,
+    cgst,
+    sgst: totalGst - cgst
+  };
+};
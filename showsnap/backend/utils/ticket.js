@@ -0,0 +1,52 @@
+import { createTicketToken } from './ticketToken.js';
+
+/**
+ * Builds the ticket payload shown to the booking's owner
+ * @param {Object} booking - Booking document with `movie` populated
+ * @returns {Object} Ticket (amounts in paise)
+ */
+export const buildTicket = (booking) => {
+  const movie = booking.movie && typeof booking.movie === 'object' && booking.movie.title
+    ? booking.movie
+    : null;
+  const pricing = booking.pricing?.toObject?.() || booking.pricing || null;
+
+  return {
+    bookingId: booking._id,
+    status: booking.status,
+    paymentStatus: booking.paymentStatus,
+    movie: movie
+      ? {
+          id: movie._id,
+          title: movie.title,
+          posterUrl: movie.posterUrl,
+          language: movie.language,
+          duration: movie.duration
+        }
+      : { id: booking.movie },
+    theater: {
+      name: booking.theater?.name,
+      location: booking.theater?.location
+    },
+    screen: booking.screen,
+    showtimeDate: booking.showtimeDate,
+    seats: booking.seats,
+    amount: booking.amount,
+    pricing,
+    refundedAmount: booking.refundedAmount || 0,
+    refunds: (booking.refunds || []).map(r => ({
+      refundId: r.refundId,
+      amount: r.amount,
+      status: r.status
+    })),
+    payment: {
+      provider: booking.payment?.provider,
+      orderId: booking.payment?.orderId,
+      paymentId: booking.payment?.paymentId
+    },
+    checkoutRef: booking.checkoutRef,
+    invoiceNumber: booking.invoice?.number || null,
+    ticketToken: booking.status === 'confirmed' ? createTicketToken(booking) : null,
+    bookedAt: booking.createdAt
+  };
+};
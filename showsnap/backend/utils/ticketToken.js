@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+
+const TOKEN_PREFIX = 'SS1';
+
+/**
+ * Secret used to sign tickets (TICKET_SECRET, falling back to JWT_SECRET)
+ * @returns {string}
+ */
+const getTicketSecret = () => {
+  const secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('TICKET_SECRET is not configured');
+  return secret;
+};
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', getTicketSecret()).update(payload).digest('base64url');
+
+/**
+ * Creates the signed token encoded in a booking's QR code.
+ * The signature covers booking ID, showtime and seats, so a changed booking gets a new token.
+ * @param {Object} booking - Booking document
+ * @returns {string} Token such as "SS1.<payload>.<signature>"
+ */
+export const createTicketToken = (booking) => {
+  const payload = Buffer.from(JSON.stringify({
+    b: String(booking._id),
+    t: new Date(booking.showtimeDate).getTime(),
+    s: [...booking.seats].sort()
+  })).toString('base64url');
+
+  return `${TOKEN_PREFIX}.${payload}.${sign(`${TOKEN_PREFIX}.${payload}`)}`;
+};
+
+/**
+ * Checks a ticket token's signature and decodes it
+ * @param {string} token - Token read from a QR code
+ * @returns {{ valid: boolean, reason?: string, bookingId?: string, showtimeDate?: Date, seats?: Array<string> }}
+ */
+export const verifyTicketToken = (token) => {
+  const [prefix, payload, signature] = String(token || '').trim().split('.');
+  if (prefix !== TOKEN_PREFIX || !payload || !signature) return { valid: false, reason: 'Not a ShowSnap ticket' };
+
+  const expected = sign(`${prefix}.${payload}`);
+  if (
+    expected.length !== signature.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  ) {
+    return { valid: false, reason: 'Ticket signature is invalid' };
+  }
+
+  try {
+    const { b, t, s } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return { valid: true, bookingId: b, showtimeDate: new Date(t), seats: s };
+  } catch {
+    return { valid: false, reason: 'Ticket is malformed' };
+  }
+};
+
+/**
+ * Tells whether a token still matches the booking it names (seats or showtime may have changed)
+ * @param {Object} decoded - Result of verifyTicketToken
+ * @param {Object} booking - Booking document
+ * @returns {boolean}
+ */
+export const tokenMatchesBooking = (decoded, booking) =>
+  decoded.bookingId === String(booking._id) &&
+  decoded.showtimeDate.getTime() === new Date(booking.showtimeDate).getTime() &&
+  decoded.seats.join(',') === [...booking.seats].sort().join(',');
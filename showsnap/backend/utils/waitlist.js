@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import SeatHold from '../models/SeatHold.js';
+import { reserveSeats, releaseSeats } from './seatReservations.js';
+import { createIntervalJob } from './intervalJob.js';
+import sendEmail from './sendEmail.js';
+import logger from './logger.js';
+
+const log = logger || console;
+
+/**
+ * Minutes a waitlisted user has to claim freed seats (WAITLIST_CLAIM_MINUTES, default 30)
+ * @returns {number}
+ */
+export const getWaitlistClaimMinutes = () => {
+  const minutes = Number(process.env.WAITLIST_CLAIM_MINUTES);
+  return minutes > 0 ? minutes : 30;
+};
+
+/**
+ * Hash stored for a claim token, so a database leak does not leak working links
+ * @param {string} token - Token from the claim link
+ * @returns {string}
+ */
+export const hashClaimToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const sendOfferEmail = async (entry, token) => {
+  await entry.populate('user movie');
+  // 🔗 Same default as config.clientURL, so an unset CLIENT_URL never sends "undefined/..." links
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const claimUrl = `${clientUrl}/waitlist/claim/${token}`;
+
+  await sendEmail({
+    to: entry.user.email,
+    subject: `Seats are available for ${entry.movie.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; padding: 20px;">
+        <h2>Your waitlisted seats are ready</h2>
+        <p>Hi ${entry.user.name},</p>
+        <p>Seats opened up for <strong>${entry.movie.title}</strong> and we are holding them for you.</p>
+        <ul>
+          <li><strong>Theater:</strong> ${entry.theater.name}</li>
+          <li><strong>Showtime:</strong> ${new Date(entry.showtimeDate).toLocaleString()}</li>
+          <li><strong>Seats:</strong> ${entry.offer.seats.join(', ')}</li>
+        </ul>
+        <p>
+          <a href="${claimUrl}" style="background-color: #ef4444; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Claim your seats</a>
+        </p>
+        <p>This link expires at ${entry.offer.expiresAt.toLocaleString()}; after that the seats go to the next person in line.</p>
+      </div>
+    `
+  });
+};
+
+/**
+ * Holds seats for one waitlisted user, retrying without seats someone else grabbed meanwhile
+ * @returns {Promise<{ hold: Object|null, available: Array<string> }>} The hold (null if too few seats are left)
+ */
+const holdForEntry = async (entry, available, expiresAt) => {
+  let seats = available;
+
+  while (seats.length >= entry.seatsWanted) {
+    const hold = new SeatHold({
+      user: entry.user,
+      movie: entry.movie,
+      theater: entry.theater,
+      showtimeDate: entry.showtimeDate,
+      seats: seats.slice(0, entry.seatsWanted),
+      expiresAt
+    });
+
+    try {
+      await reserveSeats({
+        movieId: entry.movie,
+        theaterName: entry.theater.name,
+        showtimeDate: entry.showtimeDate,
+        seats: hold.seats,
+        userId: entry.user,
+        holdId: hold._id,
+        expiresAt
+      });
+    } catch (err) {
+      if (!err.conflicts) throw err;
+      seats = seats.filter(s => !err.conflicts.includes(s));
+      continue;
+    }
+
+    try {
+      await hold.save();
+    } catch (err) {
+      await releaseSeats({ holdId: hold._id });
+      throw err;
+    }
+    return { hold, available: seats };
+  }
+
+  return { hold: null, available: seats };
+};
+
+/**
+ * Offers freed seats of a showtime to waitlisted users in the order they joined.
+ * Users who want more seats than are left are skipped, not dropped from the queue.
+ * @param {Object} params
+ * @param {string} params.movieId - Movie ID
+ * @param {string} params.theaterName - Theater name
+ * @param {Date} params.showtimeDate - Showtime start
+ * @param {Array<string>} params.seats - Seats just freed
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<Object>>} Entries that received an offer
+ */
+export const offerFreedSeats = async ({ movieId, theaterName, showtimeDate, seats }, now = new Date()) => {
+  let available = [...new Set(seats)];
+  if (!available.length || new Date(showtimeDate) <= now) return [];
+
+  const queue = await WaitlistEntry.find({
+    movie: movieId,
+    'theater.name': theaterName,
+    showtimeDate,
+    status: 'waiting'
+  }).sort({ createdAt: 1 });
+
+  const offered = [];
+  for (const waiting of queue) {
+    if (available.length === 0) break;
+    if (waiting.seatsWanted > available.length) continue;
+
+    const expiresAt = new Date(now.getTime() + getWaitlistClaimMinutes() * 60 * 1000);
+    const result = await holdForEntry(waiting, available, expiresAt);
+    available = result.available;
+    if (!result.hold) continue;
+
+    // 🔐 The user may have left the queue meanwhile; only a still-waiting entry gets the seats
+    const token = crypto.randomBytes(32).toString('hex');
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: waiting._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: { hold: result.hold._id, seats: result.hold.seats, tokenHash: hashClaimToken(token), offeredAt: now, expiresAt }
+      },
+      { new: true }
+    );
+    if (!entry) {
+      await releaseSeats({ holdId: result.hold._id });
+      await SeatHold.updateOne({ _id: result.hold._id }, { $set: { status: 'released' } });
+      continue;
+    }
+
+    available = available.filter(s => !result.hold.seats.includes(s));
+    offered.push(entry);
+    log.info(`🎟️ Waitlist offer ${entry._id}: ${entry.offer.seats.join(', ')} until ${expiresAt.toISOString()}`);
+
+    try {
+      await sendOfferEmail(entry, token);
+    } catch (emailErr) {
+      log.warn(`⚠️ Waitlist email failed for entry ${entry._id}: ${emailErr.message}`);
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Expires unclaimed offers and passes their seats to the next users in line
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const expireWaitlistOffers = async (now = new Date()) => {
+  const stale = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+
+  let expired = 0;
+  for (const candidate of stale) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: 'offered' },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!entry) continue;
+    expired++;
+
+    await releaseSeats({ holdId: entry.offer.hold });
+    await SeatHold.updateOne({ _id: entry.offer.hold, status: 'active' }, { $set: { status: 'released' } });
+    log.info(`⌛ Waitlist offer expired: ${entry._id}`);
+
+    await offerFreedSeats({
+      movieId: entry.movie,
+      theaterName: entry.theater.name,
+      showtimeDate: entry.showtimeDate,
+      seats: entry.offer.seats
+    }, now);
+  }
+  return expired;
+};
+
+/**
+ * Which of these seat holds back a waitlist offer that is still open (its expiry is handled here)
+ * @param {Array<string>} holdIds - SeatHold IDs
+ * @returns {Promise<Array<string>>}
+ */
+export const getOfferedHoldIds = (holdIds) =>
+  WaitlistEntry.find({ 'offer.hold': { $in: holdIds }, status: 'offered' }).distinct('offer.hold');
+
+/**
+ * Background job expiring unclaimed waitlist offers on an interval
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Defaults to one minute
+ * @param {Function} [options.now] - Clock passed to every run, () => Date
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createWaitlistOfferJob = ({
+  intervalMs = 60 * 1000,
+  now = () => new Date(),
+  log = logger || console
+} = {}) =>
+  createIntervalJob({ name: 'Waitlist offer expiry', intervalMs, run: () => expireWaitlistOffers(now()), log });
+
+/**
+ * Marks the waitlist offer behind a seat hold as claimed once its booking exists
+ * @param {string} holdId - SeatHold the booking was paid from
+ * @param {string} bookingId - New booking
+ * @returns {Promise<void>}
+ */
+export const markWaitlistClaimed = async (holdId, bookingId) => {
+  if (!holdId) return;
+  await WaitlistEntry.updateOne(
+    { 'offer.hold': holdId, status: { $in: ['offered', 'expired'] } },
+    { status: 'claimed', booking: bookingId }
+  );
+};
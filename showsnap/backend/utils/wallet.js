@@ -0,0 +1,354 @@
+import Wallet from '../models/Wallet.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import Payment from '../models/Payment.js';
+import httpError from './httpError.js';
+import { createIntervalJob } from './intervalJob.js';
+import logger from './logger.js';
+
+const log = logger || console;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+/**
+ * Days a wallet credit can be spent for (WALLET_CREDIT_VALIDITY_DAYS, default 365)
+ * @returns {number}
+ */
+export const getCreditValidityDays = () => {
+  const days = Number(process.env.WALLET_CREDIT_VALIDITY_DAYS);
+  return days > 0 ? days : 365;
+};
+
+/**
+ * Spendable ShowSnap credits of a user (paise)
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export const getWalletBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ user: userId }).select('balance').lean();
+  return wallet?.balance || 0;
+};
+
+/**
+ * Adds a credit lot to a user's wallet
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - Paise
+ * @param {string} params.reason - See WalletTransaction reasons, e.g. "refund"
+ * @param {string} [params.description] - Shown in the wallet history
+ * @param {string} [params.booking] - Booking the credit relates to
+ * @param {string} [params.payment] - Payment order the credit relates to
+ * @param {Date} [params.expiresAt] - Defaults to WALLET_CREDIT_VALIDITY_DAYS from now
+ * @returns {Promise<Object>} Credit WalletTransaction
+ */
+export const creditWallet = async ({
+  userId,
+  amount,
+  reason,
+  description = null,
+  booking = null,
+  payment = null,
+  expiresAt = new Date(Date.now() + getCreditValidityDays() * DAY_MS)
+}) => {
+  if (!Number.isInteger(amount) || amount <= 0) throw httpError(400, 'Credit amount must be a positive number of paise');
+
+  const credit = await WalletTransaction.create({
+    user: userId,
+    type: 'credit',
+    amount,
+    reason,
+    description,
+    booking,
+    payment,
+    expiresAt,
+    remaining: amount
+  });
+  await Wallet.updateOne({ user: userId }, { $inc: { balance: amount } }, { upsert: true });
+
+  log.info(`👛 ${amount} paise credited to wallet of user ${userId} (${reason})`);
+  return credit;
+};
+
+/**
+ * Puts amounts taken from credit lots back into them, and the total back into the balance
+ * @param {string} userId
+ * @param {Array<{ credit: string, amount: number }>} lots
+ * @param {number} amount - Balance to restore (paise)
+ */
+const restoreCredits = async (userId, lots, amount) => {
+  await Promise.all(lots.map(lot => WalletTransaction.updateOne({ _id: lot.credit }, { $inc: { remaining: lot.amount } })));
+  await Wallet.updateOne({ user: userId }, { $inc: { balance: amount } });
+};
+
+/**
+ * Spends credits from a user's wallet, taking the lots that expire soonest first
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - Paise
+ * @param {string} [params.reason] - Defaults to "checkout"
+ * @param {string} [params.description]
+ * @param {string} [params.booking]
+ * @param {string} [params.payment] - Payment order the credits pay towards
+ * @returns {Promise<Object>} Debit WalletTransaction
+ * @throws {Error} 409 when the wallet does not hold enough credits
+ */
+export const debitWallet = async ({
+  userId,
+  amount,
+  reason = 'checkout',
+  description = null,
+  booking = null,
+  payment = null
+}) => {
+  if (!Number.isInteger(amount) || amount <= 0) throw httpError(400, 'Debit amount must be a positive number of paise');
+
+  // 🔐 Take the balance first so concurrent checkouts cannot spend the same credits
+  const wallet = await Wallet.findOneAndUpdate(
+    { user: userId, balance: { $gte: amount } },
+    { $inc: { balance: -amount } }
+  );
+  if (!wallet) throw httpError(409, 'Not enough ShowSnap credits');
+
+  const lots = [];
+  let owed = amount;
+  while (owed > 0) {
+    const lot = await WalletTransaction.findOne({
+      user: userId,
+      type: 'credit',
+      remaining: { $gt: 0 },
+      expiresAt: { $gt: new Date() }
+    }).sort({ expiresAt: 1, createdAt: 1 });
+    if (!lot) break;
+
+    const take = Math.min(owed, lot.remaining);
+    const taken = await WalletTransaction.updateOne(
+      { _id: lot._id, remaining: { $gte: take } },
+      { $inc: { remaining: -take } }
+    );
+    if (!taken.modifiedCount) continue; // spent by another request meanwhile: look again
+
+    lots.push({ credit: lot._id, amount: take });
+    owed -= take;
+  }
+
+  // Credits that expired before the sweep caught up are counted in the balance but cannot be spent
+  if (owed > 0) {
+    await restoreCredits(userId, lots, amount);
+    throw httpError(409, 'Not enough ShowSnap credits');
+  }
+
+  const debit = await WalletTransaction.create({
+    user: userId,
+    type: 'debit',
+    amount,
+    reason,
+    description,
+    booking,
+    payment,
+    lots
+  });
+
+  log.info(`👛 ${amount} paise debited from wallet of user ${userId} (${reason})`);
+  return debit;
+};
+
+/**
+ * Undoes a debit, returning the credits to the lots they came from (with their original expiry)
+ * @param {string} debitId - Debit WalletTransaction ID
+ * @param {string} [description]
+ * @returns {Promise<Object|null>} Reversal WalletTransaction, or null when already reversed
+ */
+export const reverseDebit = async (debitId, description = null) => {
+  // 🔐 Only one caller puts the money back
+  const debit = await WalletTransaction.findOneAndUpdate(
+    { _id: debitId, type: 'debit', reversedAt: null },
+    { $set: { reversedAt: new Date() } },
+    { new: true }
+  );
+  if (!debit) return null;
+
+  await restoreCredits(debit.user, debit.lots, debit.amount);
+  const reversal = await WalletTransaction.create({
+    user: debit.user,
+    type: 'credit',
+    amount: debit.amount,
+    reason: 'reversal',
+    description,
+    booking: debit.booking,
+    payment: debit.payment,
+    remaining: 0 // the amount lives in the restored lots
+  });
+
+  log.info(`↩️ Wallet debit ${debit._id} of ${debit.amount} paise reversed for user ${debit.user}`);
+  return reversal;
+};
+
+/**
+ * Zeroes credit lots whose validity has passed
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of lots expired
+ */
+export const expireWalletCredits = async (now = new Date()) => {
+  const lots = await WalletTransaction.find({ type: 'credit', remaining: { $gt: 0 }, expiresAt: { $lte: now } })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const lot of lots) {
+    // 🔐 Skip lots spent from since they were read
+    const claimed = await WalletTransaction.updateOne(
+      { _id: lot._id, remaining: lot.remaining },
+      { $set: { remaining: 0 } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    await Wallet.updateOne({ user: lot.user }, { $inc: { balance: -lot.remaining } });
+    await WalletTransaction.create({
+      user: lot.user,
+      type: 'debit',
+      amount: lot.remaining,
+      reason: 'expiry',
+      description: 'Credits expired',
+      lots: [{ credit: lot._id, amount: lot.remaining }]
+    });
+    expired++;
+  }
+  return expired;
+};
+
+/**
+ * Marks the credits reserved for a paid order as spent. Credits released meanwhile are taken again.
+ * @param {Object} record - Payment document with a wallet reservation
+ * @returns {Promise<void>}
+ * @throws {Error} 409 when released credits have since been spent elsewhere
+ */
+export const captureWalletCredits = async (record) => {
+  const captured = await Payment.findOneAndUpdate(
+    { _id: record._id, 'wallet.status': 'reserved' },
+    { $set: { 'wallet.status': 'captured' } }
+  );
+  if (captured) return;
+
+  const debit = await debitWallet({
+    userId: record.user,
+    amount: record.wallet.amount,
+    description: `Booking for order ${record.orderId}`,
+    payment: record._id
+  });
+  await Payment.updateOne(
+    { _id: record._id },
+    { $set: { 'wallet.status': 'captured', 'wallet.transaction': debit._id } }
+  );
+};
+
+/**
+ * Gives the credits of an order back to its user
+ * @param {Object} record - Payment document with a wallet reservation
+ * @param {string} reason - Shown in the wallet history
+ * @param {Object} [options]
+ * @param {boolean} [options.captured] - Also release credits already spent (the booking failed)
+ * @returns {Promise<boolean>} Whether this call released them
+ */
+export const releaseWalletCredits = async (record, reason, { captured = false } = {}) => {
+  // 🔐 A reservation is released only while its order is unpaid, unless the booking itself failed
+  const released = await Payment.findOneAndUpdate(
+    captured
+      ? { _id: record._id, 'wallet.status': { $in: ['reserved', 'captured'] } }
+      : { _id: record._id, 'wallet.status': 'reserved', status: { $ne: 'paid' } },
+    { $set: { 'wallet.status': 'released' } }
+  );
+  if (!released) return false;
+
+  await reverseDebit(released.wallet.transaction, reason);
+  return true;
+};
+
+/**
+ * Releases credits reserved for orders that were not paid within their hold window
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of reservations released
+ */
+export const releaseStaleWalletReservations = async (now = new Date()) => {
+  const stale = await Payment.find({
+    'wallet.status': 'reserved',
+    'wallet.releaseAfter': { $lte: now },
+    status: { $ne: 'paid' }
+  })
+    .select('wallet status')
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let released = 0;
+  for (const record of stale) {
+    if (await releaseWalletCredits(record, 'Checkout not completed')) released++;
+  }
+  return released;
+};
+
+/**
+ * Background job returning credits of unpaid orders and expiring old credits on an interval
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Defaults to one minute
+ * @param {Function} [options.now] - Clock passed to every run, () => Date
+ * @param {Object} [options.log] - Logger
+ * @returns {{ start: Function, stop: Function, runOnce: Function }}
+ */
+export const createWalletJob = ({
+  intervalMs = 60 * 1000,
+  now = () => new Date(),
+  log = logger || console
+} = {}) =>
+  createIntervalJob({
+    name: 'Wallet sweep',
+    intervalMs,
+    log,
+    run: async () => {
+      const at = now();
+      const released = await releaseStaleWalletReservations(at);
+      const expired = await expireWalletCredits(at);
+      if (released || expired) {
+        log.info(`👛 Wallet sweep: ${released} credit reservations released, ${expired} credit lots expired`);
+      }
+      return { released, expired };
+    }
+  });
+
+/**
+ * Page of a user's wallet history, newest first
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ transactions: Array<Object>, total: number }>}
+ */
+export const getWalletHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-lots')
+      .populate('booking', 'seats showtimeDate theater')
+      .lean(),
+    WalletTransaction.countDocuments({ user: userId })
+  ]);
+  return { transactions, total };
+};
+
+/**
+ * The user's credit lot that expires next
+ * @param {string} userId
+ * @returns {Promise<{ amount: number, expiresAt: Date }|null>}
+ */
+export const getNextCreditExpiry = async (userId) => {
+  const lot = await WalletTransaction.findOne({
+    user: userId,
+    type: 'credit',
+    remaining: { $gt: 0 },
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ expiresAt: 1 })
+    .select('remaining expiresAt')
+    .lean();
+  return lot ? { amount: lot.remaining, expiresAt: lot.expiresAt } : null;
+};